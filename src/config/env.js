@@ -11,14 +11,51 @@ const env = {
   NODE_ENV: process.env.NODE_ENV || "development",
   PORT: parseInt(process.env.PORT || "8080", 10),
   JWT_SECRET: must("JWT_SECRET"),
+  // Short-lived access JWT + rotating refresh token (stored hashed in refresh_tokens)
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || "15m",
+  REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10),
   DATABASE_URL: must("DATABASE_URL"),
   ALLOWED_ORIGINS: (process.env.ALLOWED_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean),
   REPORT_TITLE: process.env.REPORT_TITLE || "Transport Requests",
   // Brevo (Transactional email) - used for OTP password reset
   BREVO_API_KEY: process.env.BREVO_API_KEY || "",
+  BREVO_API_URL: process.env.BREVO_API_URL || "https://api.brevo.com/v3/smtp/email",
   BREVO_SENDER_EMAIL: process.env.BREVO_SENDER_EMAIL || "",
   BREVO_SENDER_NAME: process.env.BREVO_SENDER_NAME || "",
   APP_NAME: process.env.APP_NAME || "Transport Request System",
+  // Notifications: transport brevo | smtp | file | console (default: brevo when configured, else smtp, else console)
+  NOTIFY_TRANSPORT: (process.env.NOTIFY_TRANSPORT || "").trim().toLowerCase(),
+  NOTIFY_LOCALE: (process.env.NOTIFY_LOCALE || "both").trim().toLowerCase(),   // si | en | both
+  NOTIFY_FILE: process.env.NOTIFY_FILE || "notifications.log",
+  NOTIFY_POLL_SECONDS: parseInt(process.env.NOTIFY_POLL_SECONDS || "30", 10),
+  NOTIFY_MAX_ATTEMPTS: parseInt(process.env.NOTIFY_MAX_ATTEMPTS || "6", 10),
+  SMTP_HOST: process.env.SMTP_HOST || "",
+  SMTP_PORT: parseInt(process.env.SMTP_PORT || "587", 10),
+  SMTP_SECURE: String(process.env.SMTP_SECURE || "false").toLowerCase() === "true",
+  SMTP_USER: process.env.SMTP_USER || "",
+  SMTP_PASS: process.env.SMTP_PASS || "",
+  SMTP_FROM: process.env.SMTP_FROM || "",
+  // SMS after HR final approval: adapter http | fake (empty = SMS off)
+  SMS_ADAPTER: (process.env.SMS_ADAPTER || "").trim().toLowerCase(),
+  SMS_API_URL: process.env.SMS_API_URL || "",
+  SMS_API_KEY: process.env.SMS_API_KEY || "",
+  SMS_SENDER_ID: process.env.SMS_SENDER_ID || "",
+  SMS_COUNTRY_CODE: process.env.SMS_COUNTRY_CODE || "94",
+  SMS_LOCALE: (process.env.SMS_LOCALE || "si").trim().toLowerCase(),   // si | en
+  SMS_MAX_SEGMENTS: parseInt(process.env.SMS_MAX_SEGMENTS || "3", 10),
+  SMS_FAKE_FILE: process.env.SMS_FAKE_FILE || "",
+  // Outbound webhooks: worker poll interval, attempts per delivery, request timeout
+  WEBHOOK_POLL_SECONDS: parseInt(process.env.WEBHOOK_POLL_SECONDS || "30", 10),
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "8", 10),
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10),
+  // Boarding scans this many minutes after the stop's estimated time are marked LATE
+  BOARDING_LATE_GRACE_MINUTES: parseInt(process.env.BOARDING_LATE_GRACE_MINUTES || "10", 10),
+  // Recurring schedules: how often the in-process scheduler runs and how far ahead it creates requests
+  SCHEDULER_ENABLED: String(process.env.SCHEDULER_ENABLED || "true").toLowerCase() === "true",
+  SCHEDULER_INTERVAL_MINUTES: parseInt(process.env.SCHEDULER_INTERVAL_MINUTES || "60", 10),
+  SCHEDULE_LOOKAHEAD_DAYS: parseInt(process.env.SCHEDULE_LOOKAHEAD_DAYS || "7", 10),
+  // EMP self-registrations still PENDING_HOD after this many days are closed automatically (0 = never)
+  REGISTRATION_EXPIRY_DAYS: parseInt(process.env.REGISTRATION_EXPIRY_DAYS || "14", 10),
   FRONTEND_URL: process.env.FRONTEND_URL || ""
 
 };
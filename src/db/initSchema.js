@@ -1,6 +1,6 @@
 const fs = require("fs");
 const path = require("path");
-const { query } = require("./pool");
+const { query, withTransaction } = require("./pool");
 
 async function tableExists(table) {
   const r = await query("SELECT to_regclass($1) AS t", [`public.${table}`]);
@@ -133,6 +133,31 @@ async function migrateSchema() {
   await ensureColumn("transport_request_employees", "assigned_vehicle_id", "INTEGER");
   await ensureColumn("employees", "default_sub_route_id", "INTEGER");
 
+  // Employee opt-out (flag on the department request row)
+  await ensureColumn("transport_request_employees", "opted_out_at", "TIMESTAMPTZ NULL");
+  await ensureColumn("transport_request_employees", "opt_out_reason", "TEXT NULL");
+
+  // Sub-route stop sequence; existing routes start in the old alphabetical order
+  await ensureColumn("sub_routes", "stop_order", "INT NULL");
+  await ensureColumn("sub_routes", "stop_offset_minutes", "INT NULL");
+  await ensureColumn("sub_routes", "landmark", "TEXT NULL");
+  await query(`
+    UPDATE sub_routes s SET stop_order = o.n
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY route_id ORDER BY sub_name) AS n
+      FROM sub_routes
+    ) o
+    WHERE s.id = o.id
+      AND s.route_id IN (SELECT route_id FROM sub_routes GROUP BY route_id HAVING COUNT(*) FILTER (WHERE stop_order IS NULL) = COUNT(*));
+  `);
+
+  // Stop / route coordinates and segment distances (distance costing)
+  await ensureColumn("sub_routes", "latitude", "NUMERIC(9,6) NULL");
+  await ensureColumn("sub_routes", "longitude", "NUMERIC(9,6) NULL");
+  await ensureColumn("sub_routes", "segment_km", "NUMERIC(8,2) NULL");
+  await ensureColumn("routes", "start_latitude", "NUMERIC(9,6) NULL");
+  await ensureColumn("routes", "start_longitude", "NUMERIC(9,6) NULL");
+
   // Vehicles extra identifiers (TA UI uses these)
   await ensureColumn("vehicles", "registration_no", "TEXT");
   await ensureColumn("vehicles", "fleet_no", "TEXT");
@@ -153,16 +178,101 @@ async function migrateSchema() {
     );`
   );
 
+  // Driver registry (TA CRUD under /ta/drivers; assignments reference driver_id)
+  await ensureColumn("drivers", "licence_no", "TEXT");
+  await ensureColumn("drivers", "licence_expiry", "DATE");
+  await ensureColumn("drivers", "default_vehicle_id", "INTEGER");
+  await ensureColumn("drivers", "is_active", "BOOLEAN NOT NULL DEFAULT TRUE");
+  try {
+    await query("CREATE UNIQUE INDEX IF NOT EXISTS ux_drivers_licence_no ON drivers(licence_no) WHERE licence_no IS NOT NULL;");
+  } catch (e) {
+    console.warn("initSchema: drivers licence index ensure skipped:", e.message);
+  }
+
   // Request assignment advanced fields (TA overbook/notes)
   await ensureColumn("request_assignments", "instructions", "TEXT");
   await ensureColumn("request_assignments", "overbook_amount", "INT NOT NULL DEFAULT 0");
   await ensureColumn("request_assignments", "overbook_reason", "TEXT");
   await ensureColumn("request_assignments", "overbook_status", "TEXT NOT NULL DEFAULT 'NONE'");
+  await ensureColumn("request_assignments", "trip_km", "NUMERIC(8,2) NULL");
+
+  // Per-km rate by vehicle type (costing report)
+  await ensureTable(
+    "vehicle_type_rates",
+    `CREATE TABLE vehicle_type_rates (
+      vehicle_type TEXT PRIMARY KEY,
+      rate_per_km NUMERIC(10,2) NOT NULL,
+      updated_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
 
 
+  // Reject / send-back reasons (Admin reject, return to HOD, HR return to TA)
+  await ensureColumn("approvals_audit", "comment", "TEXT");
+
+  // Full audit trail (GET /requests/:id/history, GET /admin/audit)
+  await ensureColumn("approvals_audit", "from_status", "TEXT");
+  await ensureColumn("approvals_audit", "to_status", "TEXT");
+  await ensureColumn("approvals_audit", "diff", "JSONB");
+  try {
+    await query("CREATE INDEX IF NOT EXISTS idx_audit_request_created ON approvals_audit(request_id, created_at DESC);");
+    await query("CREATE INDEX IF NOT EXISTS idx_audit_user_created ON approvals_audit(action_by_user_id, created_at DESC);");
+    await query("CREATE INDEX IF NOT EXISTS idx_audit_created ON approvals_audit(created_at DESC);");
+  } catch (e) {
+    console.warn("initSchema: approvals_audit index ensure skipped:", e.message);
+  }
+
   // Password reset (OTP) support
   await ensureColumn("users", "previous_password_hash", "TEXT");
 
+  // Admin user management (/admin/users)
+  await ensureColumn("users", "must_change_password", "BOOLEAN NOT NULL DEFAULT FALSE");
+  await ensureTable(
+    "user_audit",
+    `CREATE TABLE user_audit (
+      id SERIAL PRIMARY KEY,
+      target_user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      action_by_user_id INT NULL REFERENCES users(id) ON DELETE RESTRICT,
+      action TEXT NOT NULL,
+      comment TEXT NULL,
+      diff JSONB NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  try {
+    await query("CREATE INDEX IF NOT EXISTS idx_user_audit_target_created ON user_audit(target_user_id, created_at DESC);");
+  } catch (e) {
+    console.warn("initSchema: user_audit index ensure skipped:", e.message);
+  }
+  // NULL action_by_user_id = automatic change (e.g. expired self-registration); older installs created it NOT NULL
+  try {
+    await query("ALTER TABLE user_audit ALTER COLUMN action_by_user_id DROP NOT NULL;");
+  } catch (e) {
+    console.warn("initSchema: user_audit action_by nullable skipped:", e.message);
+  }
+
+  // Refresh tokens (POST /auth/refresh, POST /auth/logout)
+  await ensureTable(
+    "refresh_tokens",
+    `CREATE TABLE refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ NULL,
+      replaced_by_id INT NULL REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      created_ip TEXT NULL,
+      user_agent TEXT NULL
+    );`
+  );
+  try {
+    await query("CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_active ON refresh_tokens(user_id) WHERE revoked_at IS NULL;");
+  } catch (e) {
+    console.warn("initSchema: refresh_tokens index ensure skipped:", e.message);
+  }
+
   await ensureTable(
     "password_reset_requests",
     `CREATE TABLE password_reset_requests (
@@ -185,6 +295,313 @@ async function migrateSchema() {
     console.warn("initSchema: password reset indexes ensure skipped:", e.message);
   }
 
+  // Recurring transport schedules (HOD) + scheduler bookkeeping
+  await ensureTable(
+    "transport_schedules",
+    `CREATE TABLE transport_schedules (
+      id SERIAL PRIMARY KEY,
+      department_id INT NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      weekdays INT[] NOT NULL,
+      request_time TIME NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NULL,
+      auto_submit BOOLEAN NOT NULL DEFAULT FALSE,
+      is_paused BOOLEAN NOT NULL DEFAULT FALSE,
+      notes TEXT NULL,
+      created_by_user_id INT NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  await ensureTable(
+    "transport_schedule_employees",
+    `CREATE TABLE transport_schedule_employees (
+      schedule_id INT NOT NULL REFERENCES transport_schedules(id) ON DELETE CASCADE,
+      employee_id INT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      PRIMARY KEY (schedule_id, employee_id)
+    );`
+  );
+  await ensureTable(
+    "transport_schedule_overrides",
+    `CREATE TABLE transport_schedule_overrides (
+      id SERIAL PRIMARY KEY,
+      schedule_id INT NOT NULL REFERENCES transport_schedules(id) ON DELETE CASCADE,
+      occurrence_date DATE NOT NULL,
+      action TEXT NOT NULL,
+      request_time TIME NULL,
+      employee_ids INT[] NULL,
+      note TEXT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE(schedule_id, occurrence_date)
+    );`
+  );
+  await ensureTable(
+    "transport_schedule_runs",
+    `CREATE TABLE transport_schedule_runs (
+      id SERIAL PRIMARY KEY,
+      schedule_id INT NOT NULL REFERENCES transport_schedules(id) ON DELETE CASCADE,
+      occurrence_date DATE NOT NULL,
+      request_id INT NULL REFERENCES transport_requests(id) ON DELETE SET NULL,
+      outcome TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE(schedule_id, occurrence_date)
+    );`
+  );
+
+  // Daily run is keyed by date + shift (request_time). Old single-per-day masters were
+  // stored at 00:00 with notes 'Daily Run (All Departments)': move each to its shift when the
+  // day only had one, otherwise keep it as a whole-day master that still locks every shift of
+  // its date (findMaster). Not caught: a half-done move would leave locked days open.
+  await ensureColumn("transport_requests", "legacy_whole_day", "BOOLEAN NOT NULL DEFAULT FALSE");
+  const legacy = await withTransaction(async (tx) => {
+    await tx.query("DROP INDEX IF EXISTS ux_daily_master_per_day;");
+    await tx.query(`
+      UPDATE transport_requests m
+      SET request_time = t.request_time, notes = 'Daily Run ' || to_char(t.request_time, 'HH24:MI') || ' (All Departments)'
+      FROM (
+        SELECT request_date, MIN(request_time) AS request_time
+        FROM transport_requests
+        WHERE is_daily_master=FALSE AND status NOT IN ('DRAFT','SUBMITTED','REJECTED')
+        GROUP BY request_date
+        HAVING COUNT(DISTINCT request_time) = 1
+      ) t
+      WHERE m.is_daily_master=TRUE AND m.request_time='00:00' AND m.notes='Daily Run (All Departments)'
+        AND NOT m.legacy_whole_day AND m.request_date=t.request_date;
+    `);
+    const r = await tx.query(`
+      UPDATE transport_requests SET legacy_whole_day=TRUE
+      WHERE is_daily_master=TRUE AND request_time='00:00' AND notes='Daily Run (All Departments)' AND NOT legacy_whole_day
+      RETURNING id, to_char(request_date, 'YYYY-MM-DD') AS date, status
+    `);
+    await tx.query("CREATE UNIQUE INDEX IF NOT EXISTS ux_daily_master_per_shift ON transport_requests(request_date, request_time) WHERE is_daily_master = TRUE;");
+    return r.rows;
+  });
+  if (legacy.length) {
+    console.warn(
+      `initSchema: ${legacy.length} daily run(s) from before shifts were split kept as whole-day masters (every shift of the date stays locked):`,
+      legacy.map(m => `#${m.id} ${m.date} ${m.status}`).join(", ")
+    );
+  }
+
+  // Holiday / non-working-day calendar
+  await ensureTable(
+    "calendar_days",
+    `CREATE TABLE calendar_days (
+      id SERIAL PRIMARY KEY,
+      day DATE NOT NULL UNIQUE,
+      kind TEXT NOT NULL,
+      name TEXT NOT NULL,
+      policy TEXT NOT NULL DEFAULT 'WARN',
+      created_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+
+  // Supplier rate cards and billable trips (monthly billing)
+  await ensureTable(
+    "rate_cards",
+    `CREATE TABLE rate_cards (
+      id SERIAL PRIMARY KEY,
+      vehicle_id INT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+      owner_name TEXT NULL,
+      vehicle_type TEXT NULL,
+      basis TEXT NOT NULL,
+      rate NUMERIC(10,2) NOT NULL,
+      overbook_rate NUMERIC(10,2) NOT NULL DEFAULT 0,
+      valid_from DATE NOT NULL,
+      valid_to DATE NULL,
+      notes TEXT NULL,
+      created_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  await ensureTable(
+    "billable_trips",
+    `CREATE TABLE billable_trips (
+      id SERIAL PRIMARY KEY,
+      request_id INT NOT NULL REFERENCES transport_requests(id) ON DELETE CASCADE,
+      trip_date DATE NOT NULL,
+      shift TIME NOT NULL,
+      route_id INT NULL REFERENCES routes(id) ON DELETE SET NULL,
+      vehicle_id INT NULL REFERENCES vehicles(id) ON DELETE SET NULL,
+      vehicle_no TEXT NOT NULL,
+      vehicle_type TEXT NOT NULL,
+      owner_name TEXT NULL,
+      rate_card_id INT NULL REFERENCES rate_cards(id) ON DELETE SET NULL,
+      basis TEXT NULL,
+      rate NUMERIC(10,2) NULL,
+      trip_km NUMERIC(8,2) NULL,
+      passengers INT NOT NULL DEFAULT 0,
+      overbook_seats INT NOT NULL DEFAULT 0,
+      surcharge NUMERIC(12,2) NOT NULL DEFAULT 0,
+      base_amount NUMERIC(12,2) NULL,
+      amount NUMERIC(12,2) NULL,
+      note TEXT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  try {
+    await query("CREATE INDEX IF NOT EXISTS idx_billable_trips_date ON billable_trips(trip_date);");
+    await query("CREATE INDEX IF NOT EXISTS idx_billable_trips_request ON billable_trips(request_id);");
+  } catch (e) {
+    console.warn("initSchema: billable_trips index ensure skipped:", e.message);
+  }
+
+  // Employee department transfers and dated department history
+  await ensureTable(
+    "employee_transfers",
+    `CREATE TABLE employee_transfers (
+      id SERIAL PRIMARY KEY,
+      employee_id INT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      from_department_id INT NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+      to_department_id INT NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      reason TEXT NULL,
+      requested_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      decided_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      decided_at TIMESTAMPTZ NULL,
+      decision_comment TEXT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  await ensureTable(
+    "employee_department_history",
+    `CREATE TABLE employee_department_history (
+      id SERIAL PRIMARY KEY,
+      employee_id INT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      department_id INT NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+      valid_from DATE NOT NULL,
+      valid_to DATE NULL,
+      transfer_id INT NULL REFERENCES employee_transfers(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  try {
+    await query("CREATE UNIQUE INDEX IF NOT EXISTS ux_employee_transfers_pending ON employee_transfers(employee_id) WHERE status = 'PENDING';");
+    await query("CREATE INDEX IF NOT EXISTS idx_emp_dept_history_employee ON employee_department_history(employee_id, valid_from);");
+  } catch (e) {
+    console.warn("initSchema: employee transfer index ensure skipped:", e.message);
+  }
+
+  // EMP route change requests (HOD queue)
+  await ensureTable(
+    "route_change_requests",
+    `CREATE TABLE route_change_requests (
+      id SERIAL PRIMARY KEY,
+      employee_id INT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      requested_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      route_id INT NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+      sub_route_id INT NULL REFERENCES sub_routes(id) ON DELETE SET NULL,
+      reason TEXT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      decided_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      decided_at TIMESTAMPTZ NULL,
+      decision_comment TEXT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  try {
+    await query("CREATE UNIQUE INDEX IF NOT EXISTS ux_route_change_pending ON route_change_requests(employee_id) WHERE status = 'PENDING';");
+  } catch (e) {
+    console.warn("initSchema: route_change_requests index ensure skipped:", e.message);
+  }
+
+  // Notification outbox
+  await ensureTable(
+    "notification_outbox",
+    `CREATE TABLE notification_outbox (
+      id SERIAL PRIMARY KEY,
+      event TEXT NOT NULL,
+      recipient TEXT NOT NULL,
+      recipient_name TEXT NULL,
+      recipient_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      subject TEXT NOT NULL,
+      body_html TEXT NOT NULL,
+      body_text TEXT NOT NULL,
+      payload JSONB NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 6,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMPTZ NULL,
+      last_error TEXT NULL,
+      transport TEXT NULL,
+      sent_at TIMESTAMPTZ NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  try {
+    await query("CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);");
+  } catch (e) {
+    console.warn("initSchema: notification_outbox index ensure skipped:", e.message);
+  }
+
+  // SMS through the same outbox (recipient = phone, text only) + employee mobile numbers
+  await ensureColumn("notification_outbox", "channel", "TEXT NOT NULL DEFAULT 'EMAIL'");
+  try {
+    await query("ALTER TABLE notification_outbox ALTER COLUMN subject DROP NOT NULL;");
+    await query("ALTER TABLE notification_outbox ALTER COLUMN body_html DROP NOT NULL;");
+  } catch (e) {
+    console.warn("initSchema: notification_outbox SMS columns skipped:", e.message);
+  }
+  await ensureColumn("employees", "phone", "TEXT NULL");
+
+  // Outbound webhooks: subscriptions + delivery log
+  await ensureTable(
+    "webhook_subscriptions",
+    `CREATE TABLE webhook_subscriptions (
+      id SERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      event_types TEXT[] NOT NULL,
+      description TEXT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  await ensureTable(
+    "webhook_deliveries",
+    `CREATE TABLE webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      subscription_id INT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+      event TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 8,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      locked_at TIMESTAMPTZ NULL,
+      response_status INT NULL,
+      response_body TEXT NULL,
+      last_error TEXT NULL,
+      duration_ms INT NULL,
+      sent_at TIMESTAMPTZ NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );`
+  );
+  try {
+    await query("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);");
+    await query("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_sub ON webhook_deliveries(subscription_id, id);");
+  } catch (e) {
+    console.warn("initSchema: webhook_deliveries index ensure skipped:", e.message);
+  }
+
+  // Boarding / attendance per employee + driver boarding links
+  await ensureColumn("transport_request_employees", "boarding_status", "TEXT NULL");
+  await ensureColumn("transport_request_employees", "boarding_marked_at", "TIMESTAMPTZ NULL");
+  await ensureColumn("transport_request_employees", "boarding_marked_by_user_id", "INT NULL REFERENCES users(id) ON DELETE SET NULL");
+  await ensureColumn("transport_request_employees", "boarding_source", "TEXT NULL");
+  await ensureColumn("transport_request_employees", "boarding_vehicle_id", "INT NULL REFERENCES vehicles(id) ON DELETE SET NULL");
+  await ensureColumn("transport_request_employees", "boarding_note", "TEXT NULL");
+  await ensureColumn("request_assignments", "boarding_token", "TEXT NULL");
+  try {
+    await query("CREATE UNIQUE INDEX IF NOT EXISTS ux_request_assignments_boarding_token ON request_assignments(boarding_token) WHERE boarding_token IS NOT NULL;");
+  } catch (e) {
+    console.warn("initSchema: boarding token index ensure skipped:", e.message);
+  }
+
   // FK constraints (only added if not already present)
   await ensureFK({
     name: "fk_emp_default_route",
@@ -194,6 +611,14 @@ async function migrateSchema() {
     onDelete: "SET NULL",
   });
 
+  await ensureFK({
+    name: "fk_drivers_default_vehicle",
+    table: "drivers",
+    column: "default_vehicle_id",
+    refTable: "vehicles",
+    onDelete: "SET NULL",
+  });
+
   await ensureFK({
     name: "fk_emp_default_sub",
     table: "employees",
@@ -216,7 +641,24 @@ async function resetForTest() {
   await query(`
     TRUNCATE TABLE
       approvals_audit,
+      user_audit,
+      refresh_tokens,
+      transport_schedule_runs,
+      transport_schedule_overrides,
+      transport_schedule_employees,
+      transport_schedules,
+      calendar_days,
+      vehicle_type_rates,
+      billable_trips,
+      rate_cards,
+      employee_department_history,
+      employee_transfers,
+      route_change_requests,
+      notification_outbox,
+      webhook_deliveries,
+      webhook_subscriptions,
       request_assignments,
+      drivers,
       transport_request_employees,
       transport_requests,
       vehicle_routes,
@@ -6,9 +6,9 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : undefined
 });
 
-async function query(text, params) {
+async function timedQuery(executor, text, params) {
   const start = Date.now();
-  const res = await pool.query(text, params);
+  const res = await executor.query(text, params);
   const ms = Date.now() - start;
   if (ms > 500) {
     // slow query warning
@@ -17,4 +17,45 @@ async function query(text, params) {
   return res;
 }
 
-module.exports = { pool, query };
+async function query(text, params) {
+  return timedQuery(pool, text, params);
+}
+
+/**
+ * Run fn inside a single transaction on one pooled client.
+ * fn receives a `tx` with the same query(text, params) signature as the module-level query(),
+ * plus afterCommit(cb) for side effects that must only happen once the data is committed.
+ * Commits when fn resolves, rolls back (and rethrows) when it throws.
+ */
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  const committed = [];
+  const tx = {
+    query: (text, params) => timedQuery(client, text, params),
+    afterCommit: (cb) => { committed.push(cb); }
+  };
+  try {
+    await client.query("BEGIN");
+    const result = await fn(tx);
+    await client.query("COMMIT");
+    for (const cb of committed) {
+      try {
+        cb();
+      } catch (e) {
+        console.error("[db] afterCommit callback failed:", e.message);
+      }
+    }
+    return result;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (rollbackErr) {
+      console.error("[db] rollback failed:", rollbackErr.message);
+    }
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { pool, query, withTransaction };
@@ -78,6 +78,19 @@ CREATE TABLE IF NOT EXISTS sub_routes (
   UNIQUE(route_id, sub_name)
 );
 
+-- Stop sequence along the route: order, minutes after the shift's departure, landmark note
+ALTER TABLE sub_routes ADD COLUMN IF NOT EXISTS stop_order INT NULL;
+ALTER TABLE sub_routes ADD COLUMN IF NOT EXISTS stop_offset_minutes INT NULL;
+ALTER TABLE sub_routes ADD COLUMN IF NOT EXISTS landmark TEXT NULL;
+
+-- Optional geo data (no maps API): stop coordinates, admin-entered km from the previous stop
+-- (the route start for the first stop), and the route's start point for straight-line distances
+ALTER TABLE sub_routes ADD COLUMN IF NOT EXISTS latitude NUMERIC(9,6) NULL;
+ALTER TABLE sub_routes ADD COLUMN IF NOT EXISTS longitude NUMERIC(9,6) NULL;
+ALTER TABLE sub_routes ADD COLUMN IF NOT EXISTS segment_km NUMERIC(8,2) NULL;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS start_latitude NUMERIC(9,6) NULL;
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS start_longitude NUMERIC(9,6) NULL;
+
 -- Add FK to employees after routes exist (idempotent)
 -- Ensure columns exist even if employees table was created earlier without them
 ALTER TABLE employees ADD COLUMN IF NOT EXISTS default_route_id INT NULL;
@@ -146,9 +159,13 @@ END $$;
 ALTER TABLE transport_requests
   ADD COLUMN IF NOT EXISTS is_daily_master BOOLEAN NOT NULL DEFAULT FALSE;
 
--- One daily master per day
-CREATE UNIQUE INDEX IF NOT EXISTS ux_daily_master_per_day
-  ON transport_requests(request_date)
+-- Master locked for a whole day before runs were keyed by shift (set by initSchema on upgrade)
+ALTER TABLE transport_requests
+  ADD COLUMN IF NOT EXISTS legacy_whole_day BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- One daily master per shift (date + off-time)
+CREATE UNIQUE INDEX IF NOT EXISTS ux_daily_master_per_shift
+  ON transport_requests(request_date, request_time)
   WHERE is_daily_master = TRUE;
 
 CREATE TABLE IF NOT EXISTS transport_request_employees (
@@ -161,6 +178,10 @@ CREATE TABLE IF NOT EXISTS transport_request_employees (
   UNIQUE(request_id, employee_id)
 );
 
+-- Employee opt-out from a day's transport (flagged, kept for the HOD; left out of the daily master)
+ALTER TABLE transport_request_employees ADD COLUMN IF NOT EXISTS opted_out_at TIMESTAMPTZ NULL;
+ALTER TABLE transport_request_employees ADD COLUMN IF NOT EXISTS opt_out_reason TEXT NULL;
+
 -- Vehicles & Drivers
 CREATE TABLE IF NOT EXISTS vehicles (
   id SERIAL PRIMARY KEY,
@@ -187,9 +208,31 @@ CREATE TABLE IF NOT EXISTS drivers (
   id SERIAL PRIMARY KEY,
   full_name TEXT NOT NULL,
   phone TEXT NULL,
+  licence_no TEXT NULL,
+  licence_expiry DATE NULL,
+  default_vehicle_id INT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Driver registry fields (TA maintains drivers instead of free-text names)
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS licence_no TEXT NULL;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS licence_expiry DATE NULL;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS default_vehicle_id INT NULL;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+CREATE UNIQUE INDEX IF NOT EXISTS ux_drivers_licence_no ON drivers(licence_no) WHERE licence_no IS NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'fk_drivers_default_vehicle'
+  ) THEN
+    ALTER TABLE drivers
+      ADD CONSTRAINT fk_drivers_default_vehicle
+      FOREIGN KEY (default_vehicle_id) REFERENCES vehicles(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
 -- TA Assignments
 CREATE TABLE IF NOT EXISTS request_assignments (
   id SERIAL PRIMARY KEY,
@@ -218,13 +261,290 @@ ALTER TABLE request_assignments ADD COLUMN IF NOT EXISTS overbook_amount INT NOT
 ALTER TABLE request_assignments ADD COLUMN IF NOT EXISTS overbook_reason TEXT NULL;
 ALTER TABLE request_assignments ADD COLUMN IF NOT EXISTS overbook_status TEXT NOT NULL DEFAULT 'NONE';
 
+-- Trip distance computed when TA saves the assignment (km to the furthest stop served)
+ALTER TABLE request_assignments ADD COLUMN IF NOT EXISTS trip_km NUMERIC(8,2) NULL;
+
+-- Distance costing rate per vehicle type (VAN / BUS / TUKTUK)
+CREATE TABLE IF NOT EXISTS vehicle_type_rates (
+  vehicle_type TEXT PRIMARY KEY,
+  rate_per_km NUMERIC(10,2) NOT NULL,
+  updated_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
 -- Approvals audit
 CREATE TABLE IF NOT EXISTS approvals_audit (
   id SERIAL PRIMARY KEY,
   request_id INT NOT NULL REFERENCES transport_requests(id) ON DELETE CASCADE,
   action_by_user_id INT NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
   action TEXT NOT NULL,
+  from_status TEXT NULL,
+  to_status TEXT NULL,
+  comment TEXT NULL,
+  diff JSONB NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Reject / send-back reasons are kept on the audit row
+ALTER TABLE approvals_audit ADD COLUMN IF NOT EXISTS comment TEXT NULL;
+
+-- Full audit trail: status transition + JSON before/after payload
+ALTER TABLE approvals_audit ADD COLUMN IF NOT EXISTS from_status TEXT NULL;
+ALTER TABLE approvals_audit ADD COLUMN IF NOT EXISTS to_status TEXT NULL;
+ALTER TABLE approvals_audit ADD COLUMN IF NOT EXISTS diff JSONB NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_user_created ON approvals_audit(action_by_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON approvals_audit(created_at DESC);
+
+-- Admin user management (forced password reset + audit of account changes)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS user_audit (
+  id SERIAL PRIMARY KEY,
+  target_user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action_by_user_id INT NULL REFERENCES users(id) ON DELETE RESTRICT,   -- NULL = automatic change (e.g. expired self-registration)
+  action TEXT NOT NULL,
+  comment TEXT NULL,
+  diff JSONB NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_audit_target_created ON user_audit(target_user_id, created_at DESC);
+
+-- Refresh tokens (rotating; only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ NULL,
+  replaced_by_id INT NULL REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_ip TEXT NULL,
+  user_agent TEXT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_active ON refresh_tokens(user_id) WHERE revoked_at IS NULL;
+
+-- Recurring transport schedules (HOD); the in-process scheduler turns occurrences into
+-- transport_requests. transport_schedule_runs records each handled date so it is created once.
+CREATE TABLE IF NOT EXISTS transport_schedules (
+  id SERIAL PRIMARY KEY,
+  department_id INT NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  weekdays INT[] NOT NULL,
+  request_time TIME NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NULL,
+  auto_submit BOOLEAN NOT NULL DEFAULT FALSE,
+  is_paused BOOLEAN NOT NULL DEFAULT FALSE,
+  notes TEXT NULL,
+  created_by_user_id INT NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS transport_schedule_employees (
+  schedule_id INT NOT NULL REFERENCES transport_schedules(id) ON DELETE CASCADE,
+  employee_id INT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  PRIMARY KEY (schedule_id, employee_id)
+);
+
+CREATE TABLE IF NOT EXISTS transport_schedule_overrides (
+  id SERIAL PRIMARY KEY,
+  schedule_id INT NOT NULL REFERENCES transport_schedules(id) ON DELETE CASCADE,
+  occurrence_date DATE NOT NULL,
+  action TEXT NOT NULL,
+  request_time TIME NULL,
+  employee_ids INT[] NULL,
+  note TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(schedule_id, occurrence_date)
+);
+
+CREATE TABLE IF NOT EXISTS transport_schedule_runs (
+  id SERIAL PRIMARY KEY,
+  schedule_id INT NOT NULL REFERENCES transport_schedules(id) ON DELETE CASCADE,
+  occurrence_date DATE NOT NULL,
+  request_id INT NULL REFERENCES transport_requests(id) ON DELETE SET NULL,
+  outcome TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(schedule_id, occurrence_date)
+);
+CREATE INDEX IF NOT EXISTS idx_audit_request_created ON approvals_audit(request_id, created_at DESC);
+
+-- Holiday calendar: PUBLIC_HOLIDAY / POYA / SHUTDOWN days (policy WARN or BLOCK) and
+-- WORKING_DAY entries for special working days.
+CREATE TABLE IF NOT EXISTS calendar_days (
+  id SERIAL PRIMARY KEY,
+  day DATE NOT NULL UNIQUE,
+  kind TEXT NOT NULL,
+  name TEXT NOT NULL,
+  policy TEXT NOT NULL DEFAULT 'WARN',
+  created_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Supplier rate cards: for one vehicle, for an owner's vehicles (optionally one vehicle_type),
+-- or for every vehicle of a type. basis PER_TRIP / PER_KM / PER_DAY; overbook_rate is per
+-- HR-approved overbook seat per trip.
+CREATE TABLE IF NOT EXISTS rate_cards (
+  id SERIAL PRIMARY KEY,
+  vehicle_id INT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+  owner_name TEXT NULL,
+  vehicle_type TEXT NULL,
+  basis TEXT NOT NULL,
+  rate NUMERIC(10,2) NOT NULL,
+  overbook_rate NUMERIC(10,2) NOT NULL DEFAULT 0,
+  valid_from DATE NOT NULL,
+  valid_to DATE NULL,
+  notes TEXT NULL,
+  created_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One row per vehicle trip of an HR-final-approved run, priced when HR approves
+CREATE TABLE IF NOT EXISTS billable_trips (
+  id SERIAL PRIMARY KEY,
+  request_id INT NOT NULL REFERENCES transport_requests(id) ON DELETE CASCADE,
+  trip_date DATE NOT NULL,
+  shift TIME NOT NULL,
+  route_id INT NULL REFERENCES routes(id) ON DELETE SET NULL,
+  vehicle_id INT NULL REFERENCES vehicles(id) ON DELETE SET NULL,
+  vehicle_no TEXT NOT NULL,
+  vehicle_type TEXT NOT NULL,
+  owner_name TEXT NULL,
+  rate_card_id INT NULL REFERENCES rate_cards(id) ON DELETE SET NULL,
+  basis TEXT NULL,
+  rate NUMERIC(10,2) NULL,
+  trip_km NUMERIC(8,2) NULL,
+  passengers INT NOT NULL DEFAULT 0,
+  overbook_seats INT NOT NULL DEFAULT 0,
+  surcharge NUMERIC(12,2) NOT NULL DEFAULT 0,
+  base_amount NUMERIC(12,2) NULL,
+  amount NUMERIC(12,2) NULL,
+  note TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_billable_trips_date ON billable_trips(trip_date);
+CREATE INDEX IF NOT EXISTS idx_billable_trips_request ON billable_trips(request_id);
+
+-- Department transfers: started by the source HOD or an Admin, accepted by the target HOD
+CREATE TABLE IF NOT EXISTS employee_transfers (
+  id SERIAL PRIMARY KEY,
+  employee_id INT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  from_department_id INT NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+  to_department_id INT NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  reason TEXT NULL,
+  requested_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+  decided_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+  decided_at TIMESTAMPTZ NULL,
+  decision_comment TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_employee_transfers_pending ON employee_transfers(employee_id) WHERE status = 'PENDING';
+
+-- Department an employee belonged to over time (only employees that have moved have rows)
+CREATE TABLE IF NOT EXISTS employee_department_history (
+  id SERIAL PRIMARY KEY,
+  employee_id INT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  department_id INT NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+  valid_from DATE NOT NULL,
+  valid_to DATE NULL,
+  transfer_id INT NULL REFERENCES employee_transfers(id) ON DELETE SET NULL,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
+CREATE INDEX IF NOT EXISTS idx_emp_dept_history_employee ON employee_department_history(employee_id, valid_from);
+
+-- EMP requests to change their default route / sub-route, decided by their HOD
+CREATE TABLE IF NOT EXISTS route_change_requests (
+  id SERIAL PRIMARY KEY,
+  employee_id INT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  requested_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+  route_id INT NOT NULL REFERENCES routes(id) ON DELETE CASCADE,
+  sub_route_id INT NULL REFERENCES sub_routes(id) ON DELETE SET NULL,
+  reason TEXT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  decided_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+  decided_at TIMESTAMPTZ NULL,
+  decision_comment TEXT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_route_change_pending ON route_change_requests(employee_id) WHERE status = 'PENDING';
+
+-- Notification outbox (services/notifications.js): rendered messages sent by a background worker with retries
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id SERIAL PRIMARY KEY,
+  event TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  recipient_name TEXT NULL,
+  recipient_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+  subject TEXT NOT NULL,
+  body_html TEXT NOT NULL,
+  body_text TEXT NOT NULL,
+  payload JSONB NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 6,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ NULL,
+  last_error TEXT NULL,
+  transport TEXT NULL,
+  sent_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+
+-- SMS through the same outbox (recipient = phone, text only)
+ALTER TABLE notification_outbox ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'EMAIL';
+ALTER TABLE notification_outbox ALTER COLUMN subject DROP NOT NULL;
+ALTER TABLE notification_outbox ALTER COLUMN body_html DROP NOT NULL;
+
+-- Employee mobile number for SMS
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS phone TEXT NULL;
+
+-- Outbound webhooks (services/webhooks.js): Admin subscriptions and HMAC-signed deliveries with retries
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  event_types TEXT[] NOT NULL,
+  description TEXT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  subscription_id INT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ NULL,
+  response_status INT NULL,
+  response_body TEXT NULL,
+  last_error TEXT NULL,
+  duration_ms INT NULL,
+  sent_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_sub ON webhook_deliveries(subscription_id, id);
+
+-- Boarding / attendance per employee on a final-approved run (services/boarding.js)
+ALTER TABLE transport_request_employees ADD COLUMN IF NOT EXISTS boarding_status TEXT NULL;   -- PRESENT | LATE | ABSENT
+ALTER TABLE transport_request_employees ADD COLUMN IF NOT EXISTS boarding_marked_at TIMESTAMPTZ NULL;
+ALTER TABLE transport_request_employees ADD COLUMN IF NOT EXISTS boarding_marked_by_user_id INT NULL REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE transport_request_employees ADD COLUMN IF NOT EXISTS boarding_source TEXT NULL;   -- TA | DRIVER | SCAN
+ALTER TABLE transport_request_employees ADD COLUMN IF NOT EXISTS boarding_vehicle_id INT NULL REFERENCES vehicles(id) ON DELETE SET NULL;
+ALTER TABLE transport_request_employees ADD COLUMN IF NOT EXISTS boarding_note TEXT NULL;
+
+-- Driver boarding link (no login): one secret token per vehicle assignment
+ALTER TABLE request_assignments ADD COLUMN IF NOT EXISTS boarding_token TEXT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS ux_request_assignments_boarding_token ON request_assignments(boarding_token) WHERE boarding_token IS NOT NULL;
 
 COMMIT;
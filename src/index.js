@@ -5,6 +5,10 @@ const rateLimit = require("express-rate-limit");
 const pinoHttp = require("pino-http");
 const { env } = require("./config/env");
 const { errorHandler } = require("./middleware/error");
+const { startScheduler } = require("./services/scheduler");
+const { startRegistrationExpiry } = require("./services/registrations");
+const { startNotificationWorker } = require("./services/notifications");
+const { startWebhookWorker } = require("./services/webhooks");
 
 // initSchema module has changed across patches.
 // Support both:
@@ -29,6 +33,10 @@ const empRoutes = require("./routes/emp");
 const reportsRoutes = require("./routes/reports");
 const publicRoutes = require("./routes/public");
 const lookupRoutes = require("./routes/lookup");
+const requestsRoutes = require("./routes/requests");
+const planningRoutes = require("./routes/planning");
+const eventsRoutes = require("./routes/events");
+const boardingRoutes = require("./routes/boarding");
 
 const app = express();
 // Behind Railway / reverse proxies we must trust X-Forwarded-* headers.
@@ -73,6 +81,10 @@ app.use("/ta", taRoutes);
 app.use("/hr", hrRoutes);
 app.use("/emp", empRoutes);
 app.use("/reports", reportsRoutes);
+app.use("/requests", requestsRoutes);
+app.use("/planning", planningRoutes);
+app.use("/events", eventsRoutes);
+app.use("/boarding", boardingRoutes);
 
 app.use(errorHandler);
 
@@ -88,6 +100,10 @@ app.use(errorHandler);
 
     app.listen(env.PORT, () => {
       console.log(`API running on port ${env.PORT}`);
+      startScheduler();
+      startRegistrationExpiry();
+      startNotificationWorker();
+      startWebhookWorker();
     });
   } catch (err) {
     console.error("[FATAL] initSchema failed:", err);
@@ -1,19 +1,46 @@
 const jwt = require("jsonwebtoken");
 const { env } = require("../config/env");
+const { query } = require("../db/pool");
 
-function authRequired(req, res, next) {
+// Verifies the access JWT, then re-checks the user row so a disabled account or a role
+// change takes effect immediately instead of when the token expires.
+
+// After an Admin forced reset the temporary password only opens these (see /me)
+const PASSWORD_CHANGE_ALLOWED = new Set(["GET /me", "POST /me/password"]);
+
+async function authRequired(req, res, next) {
   const h = req.headers.authorization || "";
   const parts = h.split(" ");
   if (parts.length !== 2 || parts[0] !== "Bearer") {
     return res.status(401).json({ ok: false, error: "Unauthorized" });
   }
+
+  let payload;
   try {
-    const payload = jwt.verify(parts[1], env.JWT_SECRET);
-    req.user = payload;
-    return next();
+    payload = jwt.verify(parts[1], env.JWT_SECRET);
   } catch (e) {
     return res.status(401).json({ ok: false, error: "Unauthorized" });
   }
+
+  try {
+    const r = await query(
+      "SELECT id, role, status, department_id, employee_id, must_change_password FROM users WHERE id=$1",
+      [payload.user_id]
+    );
+    const u = r.rows[0];
+    if (!u || u.status !== "ACTIVE" || u.role !== payload.role) {
+      return res.status(401).json({ ok: false, error: "Unauthorized" });
+    }
+    const path = `${req.baseUrl}${req.path}`.replace(/\/+$/, "");
+    if (u.must_change_password && !PASSWORD_CHANGE_ALLOWED.has(`${req.method} ${path}`)) {
+      return res.status(403).json({ ok: false, error: "Password change required", must_change_password: true });
+    }
+    // Department / employee links can change (Admin moves a user); trust the DB values
+    req.user = { ...payload, status: u.status, department_id: u.department_id, employee_id: u.employee_id };
+    return next();
+  } catch (e) {
+    return next(e);
+  }
 }
 
 module.exports = { authRequired };
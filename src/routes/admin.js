@@ -1,11 +1,33 @@
 const express = require("express");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
 const { z } = require("zod");
-const { query } = require("../db/pool");
+const { query, withTransaction } = require("../db/pool");
 const { authRequired } = require("../middleware/auth");
 const { requireRole } = require("../middleware/rbac");
 const { httpError } = require("../utils/httpError");
-const { validate } = require("../utils/validate");
+const { validate, isoDate } = require("../utils/validate");
+const { setClauses } = require("../utils/sql");
 const asyncHandler = require("../utils/asyncHandler");
+const { recordAudit, recordUserAudit, AUDIT_SELECT } = require("../services/audit");
+const { revokeAllRefreshTokens } = require("../services/tokens");
+const {
+  CALENDAR_KINDS, CALENDAR_POLICIES, getCalendarDay, isNonWorking, checkRunDate, parseIcs, parseCalendarCsv, guessKind
+} = require("../services/calendar");
+const { normalizeShift, findMaster, listMasters } = require("../services/dailyRun");
+const { stopOrderSql } = require("../services/stops");
+const { loadRouteDistances } = require("../services/routeDistance");
+const { BILLING_BASES, recalculateMonth } = require("../services/billing");
+const { importEmployees, exportEmployees } = require("../services/employeeImport");
+const {
+  TRANSFER_STATUSES, TRANSFER_SELECT, applyDepartmentChange, createTransfer, lockPendingTransfer, decideTransfer
+} = require("../services/transfers");
+const { OUTBOX_STATUSES, usersWithRole, enqueueNotification, kickOutbox } = require("../services/notifications");
+const { STAFF_ROLES, publishEvent } = require("../services/events");
+const {
+  WEBHOOK_EVENTS, DELIVERY_STATUSES, generateSecret, enqueueWebhook, enqueueEmployeeCreated, kickWebhooks
+} = require("../services/webhooks");
+const { DateTime } = require("luxon");
 
 
 function nowHHMM(timeZone = "Asia/Colombo") {
@@ -59,7 +81,12 @@ router.delete("/departments/:id", requireRole("ADMIN"), asyncHandler(async (req,
 }));
 
 // Routes
-const routeSchema = z.object({ body: z.object({ route_no: z.string().min(1), route_name: z.string().min(1) }) });
+// start_latitude/start_longitude: where trips start (factory gate), for straight-line distances
+const latitude = z.coerce.number().min(-90).max(90).nullable().optional();
+const longitude = z.coerce.number().min(-180).max(180).nullable().optional();
+const routeSchema = z.object({
+  body: z.object({ route_no: z.string().min(1), route_name: z.string().min(1), start_latitude: latitude, start_longitude: longitude })
+});
 
 router.get("/routes", asyncHandler(async (req, res) => {
   const r = await query("SELECT * FROM routes ORDER BY route_no");
@@ -67,13 +94,19 @@ router.get("/routes", asyncHandler(async (req, res) => {
 }));
 
 router.post("/routes", requireRole("ADMIN"), validate(routeSchema), asyncHandler(async (req, res) => {
-  const r = await query("INSERT INTO routes (route_no, route_name) VALUES ($1,$2) RETURNING *", [req.body.route_no, req.body.route_name]);
+  const b = req.validated.body;
+  const r = await query(
+    "INSERT INTO routes (route_no, route_name, start_latitude, start_longitude) VALUES ($1,$2,$3,$4) RETURNING *",
+    [b.route_no, b.route_name, b.start_latitude ?? null, b.start_longitude ?? null]
+  );
   res.json({ ok: true, route: r.rows[0] });
 }));
 
 const updateRoute = asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
-  const r = await query("UPDATE routes SET route_no=$1, route_name=$2 WHERE id=$3 RETURNING *", [req.body.route_no, req.body.route_name, id]);
+  const params = [id];
+  const sets = setClauses(req.validated.body, ["route_no", "route_name", "start_latitude", "start_longitude"], params);
+  const r = await query(`UPDATE routes SET ${sets.join(", ")} WHERE id=$1 RETURNING *`, params);
   if (r.rowCount === 0) throw httpError(404, "Route not found");
   res.json({ ok: true, route: r.rows[0] });
 });
@@ -89,11 +122,23 @@ router.delete("/routes/:id", requireRole("ADMIN"), asyncHandler(async (req, res)
 }));
 
 // SubRoutes
-const subSchema = z.object({ body: z.object({ sub_name: z.string().min(1) }) });
+// stop_order is the pickup/drop sequence along the route; stop_offset_minutes is the time from
+// the shift's departure to the stop (used for estimated times on PDFs and the EMP view).
+// latitude/longitude and segment_km (km from the previous stop) feed the trip distance.
+const stopFields = {
+  stop_offset_minutes: z.coerce.number().int().min(0).max(600).nullable().optional(),
+  landmark: z.string().max(200).nullable().optional(),
+  latitude,
+  longitude,
+  segment_km: z.coerce.number().min(0).max(500).nullable().optional()
+};
+const STOP_COLUMNS = Object.keys(stopFields);
+const subSchema = z.object({ body: z.object({ sub_name: z.string().min(1), ...stopFields }) });
+const subUpdateSchema = z.object({ body: z.object({ sub_name: z.string().min(1).optional(), ...stopFields }) });
 
 router.get("/routes/:routeId/subroutes", asyncHandler(async (req, res) => {
   const routeId = parseInt(req.params.routeId, 10);
-  const r = await query("SELECT * FROM sub_routes WHERE route_id=$1 ORDER BY sub_name", [routeId]);
+  const r = await query(`SELECT * FROM sub_routes sr WHERE route_id=$1 ORDER BY ${stopOrderSql("sr")}`, [routeId]);
   res.json({ ok: true, subroutes: r.rows });
 }));
 
@@ -102,18 +147,61 @@ router.post("/routes/:routeId/subroutes", requireRole("ADMIN"), validate(subSche
   const c = await query("SELECT COUNT(*)::int AS n FROM sub_routes WHERE route_id=$1", [routeId]);
   if (c.rows[0].n >= 50) throw httpError(400, "Max 50 sub-routes per route");
 
-  const r = await query("INSERT INTO sub_routes (route_id, sub_name) VALUES ($1,$2) RETURNING *", [routeId, req.body.sub_name]);
+  // New stops go to the end of the sequence
+  const b = req.validated.body;
+  const r = await query(
+    `INSERT INTO sub_routes (route_id, sub_name, stop_order, stop_offset_minutes, landmark, latitude, longitude, segment_km)
+     VALUES ($1,$2,(SELECT COALESCE(MAX(stop_order),0)+1 FROM sub_routes WHERE route_id=$1),$3,$4,$5,$6,$7) RETURNING *`,
+    [routeId, b.sub_name, b.stop_offset_minutes ?? null, b.landmark ?? null, b.latitude ?? null, b.longitude ?? null, b.segment_km ?? null]
+  );
   res.json({ ok: true, subroute: r.rows[0] });
 }));
 
+// Reorder a route's stops: list every sub-route id in travel order, optionally with
+// the stop fields above (omitted fields keep their current value).
+const subOrderSchema = z.object({
+  body: z.object({
+    stops: z.array(z.object({ id: z.coerce.number().int().positive(), ...stopFields })).min(1).max(50)
+  })
+});
+
+router.put("/routes/:routeId/subroutes", requireRole("ADMIN"), validate(subOrderSchema), asyncHandler(async (req, res) => {
+  const routeId = parseInt(req.params.routeId, 10);
+  const { stops } = req.validated.body;
+
+  const rows = await withTransaction(async (tx) => {
+    const cur = await tx.query("SELECT id FROM sub_routes WHERE route_id=$1 FOR UPDATE", [routeId]);
+    const ids = new Set(cur.rows.map(r => r.id));
+    const given = new Set(stops.map(s => s.id));
+    if (given.size !== stops.length) throw httpError(400, "Duplicate sub-route in stop list");
+    if (given.size !== ids.size || [...given].some(id => !ids.has(id))) {
+      throw httpError(400, "Stop list must contain every sub-route of this route exactly once");
+    }
+
+    for (let i = 0; i < stops.length; i++) {
+      const params = [stops[i].id, i + 1];
+      const sets = ["stop_order=$2", ...setClauses(stops[i], STOP_COLUMNS, params)];
+      await tx.query(`UPDATE sub_routes SET ${sets.join(", ")} WHERE id=$1`, params);
+    }
+    const r = await tx.query(`SELECT * FROM sub_routes sr WHERE route_id=$1 ORDER BY ${stopOrderSql("sr")}`, [routeId]);
+    return r.rows;
+  });
+
+  res.json({ ok: true, subroutes: rows });
+}));
+
 const updateSubroute = asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
-  const r = await query("UPDATE sub_routes SET sub_name=$1 WHERE id=$2 RETURNING *", [req.body.sub_name, id]);
+  const params = [id];
+  const sets = setClauses(req.validated.body, ["sub_name", ...STOP_COLUMNS], params);
+  const r = sets.length
+    ? await query(`UPDATE sub_routes SET ${sets.join(", ")} WHERE id=$1 RETURNING *`, params)
+    : await query("SELECT * FROM sub_routes WHERE id=$1", params);
   if (r.rowCount === 0) throw httpError(404, "Sub-route not found");
   res.json({ ok: true, subroute: r.rows[0] });
 });
 
-router.patch("/subroutes/:id", requireRole("ADMIN"), validate(subSchema), updateSubroute);
+router.patch("/subroutes/:id", requireRole("ADMIN"), validate(subUpdateSchema), updateSubroute);
 router.put("/subroutes/:id", requireRole("ADMIN"), validate(subSchema), updateSubroute);
 
 
@@ -133,24 +221,461 @@ router.post("/routes/:routeId/subroutes/bulk", requireRole("ADMIN"), validate(bu
   if (lines.length === 0) throw httpError(400, "ග්‍රාම නාම එකතු කරන්න");
   if (lines.length > 50) throw httpError(400, "Max 50 sub-routes per route");
   
-  let inserted = 0;
-  for (const line of lines) {
-    try {
-      await query(
-        "INSERT INTO sub_routes (route_id, sub_name) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+  // All lines go in together; duplicates are skipped by ON CONFLICT
+  const inserted = await withTransaction(async (tx) => {
+    let n = 0;
+    for (const line of lines) {
+      const r = await tx.query(
+        `INSERT INTO sub_routes (route_id, sub_name, stop_order)
+         VALUES ($1, $2, (SELECT COALESCE(MAX(stop_order),0)+1 FROM sub_routes WHERE route_id=$1))
+         ON CONFLICT DO NOTHING`,
         [routeId, line]
       );
-      inserted++;
-    } catch (e) {
-      // Skip duplicates
-      console.log(`Skipped duplicate: ${line}`);
+      n += r.rowCount;
     }
-  }
+    return n;
+  });
   
   res.json({ ok: true, inserted, total: lines.length });
 }));
 
 
+// Route distance table: per-stop segment/cumulative km as used for assignment trip distances
+router.get("/routes/:routeId/distances", asyncHandler(async (req, res) => {
+  const routeId = parseInt(req.params.routeId, 10);
+  const table = (await loadRouteDistances([routeId])).get(routeId);
+  if (!table) throw httpError(404, "Route not found");
+  const missing = table.stops.filter(s => s.segment_km === null).map(s => s.sub_name);
+  res.json({
+    ok: true,
+    distances: table,
+    warning: missing.length ? `No distance for: ${missing.join(", ")} (enter segment_km or coordinates)` : null
+  });
+}));
+
+// Costing rates (per km) by vehicle type
+const VEHICLE_TYPES = ["VAN", "BUS", "TUKTUK"];
+const vehicleRateSchema = z.object({
+  params: z.object({ type: z.enum(VEHICLE_TYPES) }),
+  body: z.object({ rate_per_km: z.coerce.number().min(0).max(100000) })
+});
+
+router.get("/vehicle-rates", asyncHandler(async (req, res) => {
+  const r = await query("SELECT * FROM vehicle_type_rates ORDER BY vehicle_type");
+  res.json({ ok: true, rates: r.rows, vehicle_types: VEHICLE_TYPES });
+}));
+
+router.put("/vehicle-rates/:type", requireRole("ADMIN"), validate(vehicleRateSchema), asyncHandler(async (req, res) => {
+  const { params, body } = req.validated;
+  const r = await query(
+    `INSERT INTO vehicle_type_rates (vehicle_type, rate_per_km, updated_by_user_id)
+     VALUES ($1,$2,$3)
+     ON CONFLICT (vehicle_type) DO UPDATE
+       SET rate_per_km=EXCLUDED.rate_per_km, updated_by_user_id=EXCLUDED.updated_by_user_id, updated_at=NOW()
+     RETURNING *`,
+    [params.type, body.rate_per_km, req.user.user_id]
+  );
+  res.json({ ok: true, rate: r.rows[0] });
+}));
+
+router.delete("/vehicle-rates/:type", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  await query("DELETE FROM vehicle_type_rates WHERE vehicle_type=$1", [req.params.type]);
+  res.json({ ok: true });
+}));
+
+// Supplier rate cards (billing). A card targets one vehicle, an owner (optionally narrowed
+// to a vehicle_type) or a vehicle_type; the most specific card valid on the trip date applies.
+const rateCardSchema = z.object({
+  body: z.object({
+    vehicle_id: z.coerce.number().int().positive().nullable().optional(),
+    owner_name: z.string().trim().min(2).nullable().optional(),
+    vehicle_type: z.enum(VEHICLE_TYPES).nullable().optional(),
+    basis: z.enum(BILLING_BASES),
+    rate: z.coerce.number().min(0).max(10000000),
+    overbook_rate: z.coerce.number().min(0).max(1000000).optional(),
+    valid_from: isoDate,
+    valid_to: isoDate.nullable().optional(),
+    notes: z.string().max(500).nullable().optional()
+  })
+});
+
+function checkRateCard(b) {
+  if (!b.vehicle_id && !b.owner_name && !b.vehicle_type) throw httpError(400, "vehicle_id, owner_name or vehicle_type required");
+  if (b.vehicle_id && (b.owner_name || b.vehicle_type)) throw httpError(400, "A vehicle card cannot also set owner_name or vehicle_type");
+  if (b.valid_to && b.valid_to < b.valid_from) throw httpError(400, "valid_to must be on or after valid_from");
+}
+
+const RATE_CARD_SELECT = `
+  SELECT rc.*, to_char(rc.valid_from, 'YYYY-MM-DD') AS valid_from, to_char(rc.valid_to, 'YYYY-MM-DD') AS valid_to,
+         v.vehicle_no
+  FROM rate_cards rc
+  LEFT JOIN vehicles v ON v.id = rc.vehicle_id`;
+
+router.get("/rate-cards", asyncHandler(async (req, res) => {
+  const r = await query(`${RATE_CARD_SELECT} ORDER BY rc.owner_name NULLS LAST, v.vehicle_no NULLS LAST, rc.vehicle_type, rc.valid_from DESC`);
+  res.json({ ok: true, rate_cards: r.rows, bases: BILLING_BASES });
+}));
+
+router.post("/rate-cards", requireRole("ADMIN"), validate(rateCardSchema), asyncHandler(async (req, res) => {
+  const b = req.validated.body;
+  checkRateCard(b);
+  const r = await query(
+    `INSERT INTO rate_cards (vehicle_id, owner_name, vehicle_type, basis, rate, overbook_rate, valid_from, valid_to, notes, created_by_user_id)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING id`,
+    [b.vehicle_id ?? null, b.owner_name ?? null, b.vehicle_type ?? null, b.basis, b.rate, b.overbook_rate ?? 0,
+     b.valid_from, b.valid_to ?? null, b.notes ?? null, req.user.user_id]
+  );
+  const card = await query(`${RATE_CARD_SELECT} WHERE rc.id=$1`, [r.rows[0].id]);
+  res.json({ ok: true, rate_card: card.rows[0] });
+}));
+
+router.put("/rate-cards/:id", requireRole("ADMIN"), validate(rateCardSchema), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const b = req.validated.body;
+  checkRateCard(b);
+  const r = await query(
+    `UPDATE rate_cards SET vehicle_id=$2, owner_name=$3, vehicle_type=$4, basis=$5, rate=$6, overbook_rate=$7,
+       valid_from=$8, valid_to=$9, notes=$10
+     WHERE id=$1`,
+    [id, b.vehicle_id ?? null, b.owner_name ?? null, b.vehicle_type ?? null, b.basis, b.rate, b.overbook_rate ?? 0,
+     b.valid_from, b.valid_to ?? null, b.notes ?? null]
+  );
+  if (r.rowCount === 0) throw httpError(404, "Rate card not found");
+  const card = await query(`${RATE_CARD_SELECT} WHERE rc.id=$1`, [id]);
+  res.json({ ok: true, rate_card: card.rows[0] });
+}));
+
+router.delete("/rate-cards/:id", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  await query("DELETE FROM rate_cards WHERE id=$1", [id]);
+  res.json({ ok: true });
+}));
+
+// Re-price a month's approved runs with the current rate cards / trip distances
+const billingMonthSchema = z.object({ body: z.object({ month: z.string().regex(/^\d{4}-\d{2}$/) }) });
+
+router.post("/billing/recalculate", requireRole("ADMIN"), validate(billingMonthSchema), asyncHandler(async (req, res) => {
+  const { month } = req.validated.body;
+  const result = await withTransaction((tx) => recalculateMonth(tx, month));
+  res.json({ ok: true, month, ...result });
+}));
+
+// ---- Employees (bulk import/export for any department) ----
+// Same file layout as /hod/employees/import; the department column is required here.
+const employeeImportSchema = z.object({
+  query: z.object({
+    format: z.enum(["csv", "xlsx"]).optional(),
+    dry_run: z.enum(["true", "false"]).optional()
+  })
+});
+const employeeExportSchema = z.object({
+  query: z.object({
+    format: z.enum(["csv", "xlsx"]).optional(),
+    department_id: z.coerce.number().int().positive().optional()
+  })
+});
+
+router.post(
+  "/employees/import",
+  requireRole("ADMIN"),
+  express.raw({ type: () => true, limit: "5mb" }),
+  validate(employeeImportSchema),
+  asyncHandler(async (req, res) => {
+    const { format, dry_run } = req.validated.query;
+    const result = await importEmployees({ body: req.body, format, dryRun: dry_run === "true" });
+    res.status(result.errors.length ? 400 : 200).json({ ok: result.errors.length === 0, dry_run: dry_run === "true", ...result });
+  })
+);
+
+router.get("/employees/export", validate(employeeExportSchema), asyncHandler(async (req, res) => {
+  const { format = "csv", department_id } = req.validated.query;
+  const file = await exportEmployees({ departmentId: department_id ?? null, format });
+  res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="employees${department_id ? `-dep${department_id}` : ""}.${format}"`);
+  res.send(file);
+}));
+
+// Department transfers: Admin can start one (the target HOD still accepts) or cancel it
+const transferListSchema = z.object({
+  query: z.object({
+    status: z.enum(TRANSFER_STATUSES).optional(),
+    employee_id: z.coerce.number().int().positive().optional()
+  })
+});
+const transferCreateSchema = z.object({
+  body: z.object({
+    to_department_id: z.coerce.number().int().positive(),
+    reason: z.string().trim().max(500).optional()
+  })
+});
+
+router.get("/transfers", validate(transferListSchema), asyncHandler(async (req, res) => {
+  const { status, employee_id } = req.validated.query;
+  const r = await query(
+    `${TRANSFER_SELECT}
+     WHERE ($1::text IS NULL OR t.status=$1) AND ($2::int IS NULL OR t.employee_id=$2)
+     ORDER BY t.created_at DESC LIMIT 200`,
+    [status ?? null, employee_id ?? null]
+  );
+  res.json({ ok: true, transfers: r.rows });
+}));
+
+router.post("/employees/:id/transfer", requireRole("ADMIN"), validate(transferCreateSchema), asyncHandler(async (req, res) => {
+  const employeeId = parseInt(req.params.id, 10);
+  const { to_department_id, reason = null } = req.validated.body;
+  const transferId = await withTransaction((tx) => createTransfer(tx, {
+    employeeId, toDepartmentId: to_department_id, userId: req.user.user_id, reason
+  }));
+  const t = await query(`${TRANSFER_SELECT} WHERE t.id=$1`, [transferId]);
+  res.json({ ok: true, transfer: t.rows[0] });
+}));
+
+router.post("/transfers/:id/cancel", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  await withTransaction(async (tx) => {
+    const t = await lockPendingTransfer(tx, id);
+    await decideTransfer(tx, t, { status: "CANCELLED", userId: req.user.user_id });
+  });
+  const t = await query(`${TRANSFER_SELECT} WHERE t.id=$1`, [id]);
+  res.json({ ok: true, transfer: t.rows[0] });
+}));
+
+router.get("/employees/:id/department-history", asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const e = await query(
+    "SELECT e.id, e.emp_no, e.full_name, e.department_id, d.name AS department_name FROM employees e JOIN departments d ON d.id = e.department_id WHERE e.id=$1",
+    [id]
+  );
+  if (e.rowCount === 0) throw httpError(404, "Employee not found");
+  const h = await query(
+    `SELECT h.department_id, d.name AS department_name,
+            to_char(h.valid_from, 'YYYY-MM-DD') AS valid_from, to_char(h.valid_to, 'YYYY-MM-DD') AS valid_to, h.transfer_id
+     FROM employee_department_history h
+     JOIN departments d ON d.id = h.department_id
+     WHERE h.employee_id=$1
+     ORDER BY h.valid_from`,
+    [id]
+  );
+  res.json({ ok: true, employee: e.rows[0], history: h.rows });
+}));
+
+// ---- User management (Admin console) ----
+const USER_ROLES = ["ADMIN", "HOD", "TA", "HR", "EMP", "PLANNING"];
+const USER_STATUSES = ["ACTIVE", "PENDING_HOD", "PENDING_ADMIN", "DISABLED"];
+
+const USER_SELECT = `
+  SELECT u.id, u.email, u.role, u.status, u.department_id, d.name AS department_name,
+         u.employee_id, e.emp_no, e.full_name, u.must_change_password, u.created_at
+  FROM users u
+  LEFT JOIN departments d ON d.id = u.department_id
+  LEFT JOIN employees e ON e.id = u.employee_id`;
+
+const userListSchema = z.object({
+  query: z.object({
+    q: z.string().trim().min(1).optional(),            // email / emp_no / name
+    role: z.enum(USER_ROLES).optional(),
+    status: z.enum(USER_STATUSES).optional(),
+    department_id: z.coerce.number().int().positive().optional(),
+    page: z.coerce.number().int().min(1).optional(),
+    page_size: z.coerce.number().int().min(1).max(200).optional()
+  })
+});
+
+router.get("/users", requireRole("ADMIN"), validate(userListSchema), asyncHandler(async (req, res) => {
+  const { q, role, status, department_id, page = 1, page_size = 50 } = req.validated.query;
+
+  const where = [];
+  const vals = [];
+  if (q) {
+    vals.push(`%${q}%`);
+    where.push(`(u.email ILIKE $${vals.length} OR e.emp_no ILIKE $${vals.length} OR e.full_name ILIKE $${vals.length})`);
+  }
+  if (role) { vals.push(role); where.push(`u.role=$${vals.length}`); }
+  if (status) { vals.push(status); where.push(`u.status=$${vals.length}`); }
+  if (department_id) { vals.push(department_id); where.push(`u.department_id=$${vals.length}`); }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const total = await query(
+    `SELECT COUNT(*)::int AS c FROM users u LEFT JOIN employees e ON e.id = u.employee_id ${whereSql}`,
+    vals
+  );
+  const r = await query(
+    `${USER_SELECT}
+     ${whereSql}
+     ORDER BY u.created_at DESC, u.id DESC
+     LIMIT $${vals.length + 1} OFFSET $${vals.length + 2}`,
+    [...vals, page_size, (page - 1) * page_size]
+  );
+  res.json({ ok: true, total: total.rows[0].c, page, page_size, users: r.rows });
+}));
+
+router.get("/users/:id", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const r = await query(`${USER_SELECT} WHERE u.id=$1`, [id]);
+  if (r.rowCount === 0) throw httpError(404, "User not found");
+
+  const audit = await query(
+    `SELECT ua.id, ua.action, ua.comment, ua.diff, ua.created_at, ua.action_by_user_id, au.email AS action_by_email
+     FROM user_audit ua
+     LEFT JOIN users au ON au.id = ua.action_by_user_id
+     WHERE ua.target_user_id=$1
+     ORDER BY ua.created_at DESC, ua.id DESC
+     LIMIT 100`,
+    [id]
+  );
+  res.json({ ok: true, user: r.rows[0], audit: audit.rows });
+}));
+
+const userCreateSchema = z.object({
+  body: z.object({
+    email: z.string().email(),
+    password: z.string().min(6),
+    role: z.enum(["TA", "HR", "PLANNING", "HOD"]),
+    department_id: z.coerce.number().int().positive().nullable().optional()
+  }).refine((v) => v.role !== "HOD" || Boolean(v.department_id), { message: "department_id required for HOD", path: ["department_id"] })
+});
+
+router.post("/users", requireRole("ADMIN"), validate(userCreateSchema), asyncHandler(async (req, res) => {
+  const { email, password, role, department_id = null } = req.body;
+  const hash = await bcrypt.hash(password, 12);
+
+  const user = await withTransaction(async (tx) => {
+    if (department_id) {
+      const dep = await tx.query("SELECT id FROM departments WHERE id=$1", [department_id]);
+      if (dep.rowCount === 0) throw httpError(400, "Invalid department");
+    }
+    const existing = await tx.query("SELECT id FROM users WHERE lower(email)=lower($1)", [email]);
+    if (existing.rowCount > 0) throw httpError(409, "Email already exists");
+
+    const u = await tx.query(
+      "INSERT INTO users (email, password_hash, role, status, department_id) VALUES ($1,$2,$3,'ACTIVE',$4) RETURNING id, email, role, status, department_id",
+      [email, hash, role, department_id]
+    );
+    await recordUserAudit(tx, {
+      targetUserId: u.rows[0].id, userId: req.user.user_id, action: "USER_CREATE",
+      diff: { email, role, department_id }
+    });
+    return u.rows[0];
+  });
+
+  res.json({ ok: true, user });
+}));
+
+// Shared for disable / enable / role / department changes: lock the row, refuse self-edits,
+// apply the update and write the audit row in one transaction.
+async function updateUserAccount(req, { action, apply }) {
+  const id = parseInt(req.params.id, 10);
+  if (id === req.user.user_id) throw httpError(400, "You cannot change your own account here");
+
+  return withTransaction(async (tx) => {
+    const cur = await tx.query("SELECT id, role, status, department_id, employee_id FROM users WHERE id=$1 FOR UPDATE", [id]);
+    if (cur.rowCount === 0) throw httpError(404, "User not found");
+    const before = cur.rows[0];
+
+    const after = await apply(tx, before);
+    // Sessions must be re-established under the new account state
+    await revokeAllRefreshTokens(tx, id);
+    await recordUserAudit(tx, {
+      targetUserId: id, userId: req.user.user_id, action,
+      comment: req.body?.reason ? String(req.body.reason).trim() : null,
+      diff: { before, after }
+    });
+    return after;
+  });
+}
+
+const userReasonSchema = z.object({ body: z.object({ reason: z.string().trim().min(1).optional() }).optional() });
+
+// Disable/enable change the login only; the linked employee's is_active stays with the HOD
+router.post("/users/:id/disable", requireRole("ADMIN"), validate(userReasonSchema), asyncHandler(async (req, res) => {
+  const user = await updateUserAccount(req, {
+    action: "USER_DISABLE",
+    apply: async (tx, before) => {
+      if (before.status === "DISABLED") throw httpError(400, "User already disabled");
+      const u = await tx.query("UPDATE users SET status='DISABLED' WHERE id=$1 RETURNING id, role, status, department_id, employee_id", [before.id]);
+      return u.rows[0];
+    }
+  });
+  res.json({ ok: true, user });
+}));
+
+router.post("/users/:id/enable", requireRole("ADMIN"), validate(userReasonSchema), asyncHandler(async (req, res) => {
+  const user = await updateUserAccount(req, {
+    action: "USER_ENABLE",
+    apply: async (tx, before) => {
+      if (before.status !== "DISABLED") throw httpError(400, "Only DISABLED users can be re-enabled");
+      const u = await tx.query("UPDATE users SET status='ACTIVE' WHERE id=$1 RETURNING id, role, status, department_id, employee_id", [before.id]);
+      return u.rows[0];
+    }
+  });
+  res.json({ ok: true, user });
+}));
+
+const userRoleSchema = z.object({
+  body: z.object({ role: z.enum(USER_ROLES), reason: z.string().trim().min(1).optional() })
+});
+
+router.patch("/users/:id/role", requireRole("ADMIN"), validate(userRoleSchema), asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const user = await updateUserAccount(req, {
+    action: "USER_ROLE_CHANGE",
+    apply: async (tx, before) => {
+      if (before.role === role) throw httpError(400, "User already has that role");
+      if (["HOD", "EMP"].includes(role) && !before.department_id) throw httpError(400, "Assign a department before giving this role");
+      const u = await tx.query("UPDATE users SET role=$2 WHERE id=$1 RETURNING id, role, status, department_id, employee_id", [before.id, role]);
+      return u.rows[0];
+    }
+  });
+  res.json({ ok: true, user });
+}));
+
+const userDepartmentSchema = z.object({
+  body: z.object({ department_id: z.coerce.number().int().positive(), reason: z.string().trim().min(1).optional() })
+});
+
+// Moves the user (and the linked employee record, if any) to another department
+router.patch("/users/:id/department", requireRole("ADMIN"), validate(userDepartmentSchema), asyncHandler(async (req, res) => {
+  const departmentId = parseInt(req.body.department_id, 10);
+  const user = await updateUserAccount(req, {
+    action: "USER_DEPARTMENT_CHANGE",
+    apply: async (tx, before) => {
+      if (before.department_id === departmentId) throw httpError(400, "User is already in that department");
+      const dep = await tx.query("SELECT id FROM departments WHERE id=$1", [departmentId]);
+      if (dep.rowCount === 0) throw httpError(400, "Invalid department");
+
+      const u = await tx.query("UPDATE users SET department_id=$2 WHERE id=$1 RETURNING id, role, status, department_id, employee_id", [before.id, departmentId]);
+      if (before.employee_id) {
+        // Direct admin move (no HOD acceptance); still dated in the department history
+        await applyDepartmentChange(tx, { employeeId: before.employee_id, toDepartmentId: departmentId });
+      }
+      return u.rows[0];
+    }
+  });
+  res.json({ ok: true, user });
+}));
+
+// Force a password reset: sets a one-time temporary password (returned once, to be handed
+// over by the admin) and flags the account so the user must change it after login.
+router.post("/users/:id/reset-password", requireRole("ADMIN"), validate(userReasonSchema), asyncHandler(async (req, res) => {
+  const tempPassword = crypto.randomBytes(6).toString("base64url");
+  const hash = await bcrypt.hash(tempPassword, 12);
+
+  await updateUserAccount(req, {
+    action: "USER_PASSWORD_RESET",
+    apply: async (tx, before) => {
+      await tx.query(
+        "UPDATE users SET previous_password_hash=password_hash, password_hash=$2, must_change_password=TRUE WHERE id=$1",
+        [before.id, hash]
+      );
+      // Any outstanding OTP is no longer valid
+      await tx.query("UPDATE password_reset_requests SET consumed_at=NOW() WHERE user_id=$1 AND consumed_at IS NULL", [before.id]);
+      return { id: before.id, must_change_password: true };
+    }
+  });
+
+  res.json({ ok: true, temporary_password: tempPassword, must_change_password: true });
+}));
+
 // ---- HOD self-registrations (Admin approval) ----
 // Frontend expects:
 //   GET  /admin/hod-registrations            -> { ok:true, pending_hod:[...] }
@@ -169,33 +694,43 @@ router.get("/hod-registrations", requireRole("ADMIN"), asyncHandler(async (req,
 router.post("/hod-registrations/:id/approve", requireRole("ADMIN"), asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
 
-  const u = await query(
-    "SELECT id, employee_id FROM users WHERE id=$1 AND role='HOD' AND status='PENDING_ADMIN'",
-    [id]
-  );
-  if (u.rowCount === 0) throw httpError(404, "Pending HOD registration not found");
+  await withTransaction(async (tx) => {
+    const u = await tx.query(
+      `SELECT u.id, u.email, u.employee_id, e.full_name FROM users u LEFT JOIN employees e ON e.id = u.employee_id
+       WHERE u.id=$1 AND u.role='HOD' AND u.status='PENDING_ADMIN' FOR UPDATE OF u`,
+      [id]
+    );
+    if (u.rowCount === 0) throw httpError(404, "Pending HOD registration not found");
 
-  await query("UPDATE users SET status='ACTIVE' WHERE id=$1", [id]);
-  if (u.rows[0].employee_id) {
-    await query("UPDATE employees SET is_active=true WHERE id=$1", [u.rows[0].employee_id]);
-  }
+    await tx.query("UPDATE users SET status='ACTIVE' WHERE id=$1", [id]);
+    if (u.rows[0].employee_id) {
+      await tx.query("UPDATE employees SET is_active=true WHERE id=$1", [u.rows[0].employee_id]);
+      await enqueueEmployeeCreated(tx, u.rows[0].employee_id, "registration");
+    }
+    await recordUserAudit(tx, { targetUserId: id, userId: req.user.user_id, action: "HOD_REGISTRATION_APPROVE" });
+    const name = u.rows[0].full_name || "";
+    await enqueueNotification(tx, "registration_approved", [{ email: u.rows[0].email, user_id: id, name }], { name });
+  });
   res.json({ ok: true });
 }));
 
 router.post("/hod-registrations/:id/reject", requireRole("ADMIN"), asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
 
-  const u = await query(
-    "SELECT id, employee_id FROM users WHERE id=$1 AND role='HOD' AND status='PENDING_ADMIN'",
-    [id]
-  );
-  if (u.rowCount === 0) throw httpError(404, "Pending HOD registration not found");
+  await withTransaction(async (tx) => {
+    const u = await tx.query(
+      "SELECT id, employee_id FROM users WHERE id=$1 AND role='HOD' AND status='PENDING_ADMIN' FOR UPDATE",
+      [id]
+    );
+    if (u.rowCount === 0) throw httpError(404, "Pending HOD registration not found");
 
-  // Soft reject: disable user + deactivate employee record (keeps auditability)
-  await query("UPDATE users SET status='DISABLED' WHERE id=$1", [id]);
-  if (u.rows[0].employee_id) {
-    await query("UPDATE employees SET is_active=false WHERE id=$1", [u.rows[0].employee_id]);
-  }
+    // Soft reject: disable user + deactivate employee record (keeps auditability)
+    await tx.query("UPDATE users SET status='DISABLED' WHERE id=$1", [id]);
+    if (u.rows[0].employee_id) {
+      await tx.query("UPDATE employees SET is_active=false WHERE id=$1", [u.rows[0].employee_id]);
+    }
+    await recordUserAudit(tx, { targetUserId: id, userId: req.user.user_id, action: "HOD_REGISTRATION_REJECT" });
+  });
   res.json({ ok: true });
 }));
 
@@ -216,7 +751,7 @@ router.get("/requests/:id", asyncHandler(async (req, res) => {
   if (r.rowCount === 0) throw httpError(404, "Request not found");
 
   const emps = await query(
-    `SELECT e.emp_no, e.full_name, tre.effective_route_id, tre.effective_sub_route_id
+    `SELECT e.emp_no, e.full_name, tre.effective_route_id, tre.effective_sub_route_id, tre.opted_out_at, tre.opt_out_reason
      FROM transport_request_employees tre
      JOIN employees e ON e.id=tre.employee_id
      WHERE tre.request_id=$1
@@ -247,7 +782,7 @@ router.get("/requests/:id/employees", asyncHandler(async (req, res) => {
      LEFT JOIN routes r ON r.id = tre.effective_route_id
      LEFT JOIN sub_routes sr ON sr.id = tre.effective_sub_route_id
      WHERE tre.request_id = $1
-     ORDER BY r.route_no NULLS LAST, sr.sub_name NULLS LAST, e.full_name`,
+     ORDER BY r.route_no NULLS LAST, ${stopOrderSql("sr")}, e.full_name`,
     [requestId]
   );
   
@@ -267,6 +802,7 @@ router.get("/requests/:id/assignments-summary", asyncHandler(async (req, res) =>
        ra.vehicle_id,
        v.vehicle_no,
        v.capacity,
+       ra.driver_id,
        ra.driver_name,
        ra.driver_phone,
        ra.instructions,
@@ -288,112 +824,599 @@ router.post("/requests/:id/approve", requireRole("ADMIN"), asyncHandler(async (r
   const id = parseInt(req.params.id, 10);
   const userId = req.user.user_id;
 
-  const r = await query("SELECT status FROM transport_requests WHERE id=$1", [id]);
-  if (r.rowCount === 0) throw httpError(404, "Request not found");
-  if (r.rows[0].status !== "SUBMITTED") throw httpError(400, "Only SUBMITTED can be approved");
+  await withTransaction(async (tx) => {
+    const r = await tx.query("SELECT status FROM transport_requests WHERE id=$1 FOR UPDATE", [id]);
+    if (r.rowCount === 0) throw httpError(404, "Request not found");
+    if (r.rows[0].status !== "SUBMITTED") throw httpError(400, "Only SUBMITTED can be approved");
+
+    await tx.query("UPDATE transport_requests SET status='ADMIN_APPROVED' WHERE id=$1", [id]);
+    await recordAudit(tx, { requestId: id, userId, action: "ADMIN_APPROVE", fromStatus: "SUBMITTED", toStatus: "ADMIN_APPROVED" });
+  });
+
+  res.json({ ok: true });
+}));
+
+const reasonSchema = z.object({ body: z.object({ reason: z.string().trim().min(3) }) });
+
+// Reject a department request outright (terminal). If the day's run was already locked,
+// Admin must re-lock so the master list is rebuilt without it.
+router.post("/requests/:id/reject", requireRole("ADMIN"), validate(reasonSchema), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const userId = req.user.user_id;
+  const reason = req.body.reason.trim();
+
+  const relockRequired = await withTransaction(async (tx) => {
+    const r = await tx.query(
+      `SELECT status, request_date, request_time, is_daily_master, department_id,
+              to_char(request_date, 'YYYY-MM-DD') AS date, to_char(request_time, 'HH24:MI') AS shift
+       FROM transport_requests WHERE id=$1 FOR UPDATE`,
+      [id]
+    );
+    if (r.rowCount === 0) throw httpError(404, "Request not found");
+    if (r.rows[0].is_daily_master) throw httpError(400, "Daily run cannot be rejected");
+    if (!["SUBMITTED","ADMIN_APPROVED"].includes(r.rows[0].status)) throw httpError(400, "Only SUBMITTED or ADMIN_APPROVED can be rejected");
+
+    const master = await findMaster(r.rows[0].request_date, r.rows[0].request_time, tx);
+    if (master && master.status !== "ADMIN_APPROVED") {
+      throw httpError(400, "Run already in progress; cannot reject");
+    }
+
+    await tx.query("UPDATE transport_requests SET status='REJECTED' WHERE id=$1", [id]);
+    await recordAudit(tx, {
+      requestId: id, userId, action: "ADMIN_REJECT",
+      fromStatus: r.rows[0].status, toStatus: "REJECTED", comment: reason
+    });
+    const employees = await tx.query(
+      `SELECT e.id AS employee_id, e.emp_no, e.full_name FROM transport_request_employees tre
+       JOIN employees e ON e.id = tre.employee_id WHERE tre.request_id=$1 ORDER BY e.emp_no`,
+      [id]
+    );
+    const dep = await tx.query("SELECT name FROM departments WHERE id=$1", [r.rows[0].department_id]);
+    await enqueueWebhook(tx, "request.rejected", {
+      request_id: id,
+      date: r.rows[0].date,
+      shift: r.rows[0].shift,
+      department_id: r.rows[0].department_id,
+      department: dep.rows[0] ? dep.rows[0].name : null,
+      from_status: r.rows[0].status,
+      reason,
+      employees: employees.rows
+    });
+    return Boolean(master);
+  });
+
+  res.json({ ok: true, relock_required: relockRequired });
+}));
+
+// Send a department request back to the HOD as DRAFT so it can be fixed and resubmitted.
+// Only possible before the day's run is locked (HOD edits are blocked after lock).
+router.post("/requests/:id/return-to-hod", requireRole("ADMIN"), validate(reasonSchema), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const userId = req.user.user_id;
+  const reason = req.body.reason.trim();
+
+  await withTransaction(async (tx) => {
+    const r = await tx.query("SELECT status, request_date, request_time, is_daily_master FROM transport_requests WHERE id=$1 FOR UPDATE", [id]);
+    if (r.rowCount === 0) throw httpError(404, "Request not found");
+    if (r.rows[0].is_daily_master) throw httpError(400, "Daily run cannot be returned to HOD");
+    if (!["SUBMITTED","ADMIN_APPROVED"].includes(r.rows[0].status)) throw httpError(400, "Only SUBMITTED or ADMIN_APPROVED can be returned");
+
+    const master = await findMaster(r.rows[0].request_date, r.rows[0].request_time, tx);
+    if (master) throw httpError(400, "Run already locked; HOD can no longer edit this request");
+
+    await tx.query("UPDATE transport_requests SET status='DRAFT' WHERE id=$1", [id]);
+    await recordAudit(tx, {
+      requestId: id, userId, action: "ADMIN_RETURN_TO_HOD",
+      fromStatus: r.rows[0].status, toStatus: "DRAFT", comment: reason
+    });
+  });
+
+  res.json({ ok: true });
+}));
+
+// Audit trail across all requests (Admin only)
+const auditQuerySchema = z.object({
+  query: z.object({
+    user_id: z.coerce.number().int().positive().optional(),
+    action: z.string().min(1).optional(),             // single action or comma separated list
+    request_id: z.coerce.number().int().positive().optional(),
+    from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),   // YYYY-MM-DD (inclusive)
+    to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),     // YYYY-MM-DD (inclusive)
+    limit: z.coerce.number().int().min(1).max(500).optional(),
+    offset: z.coerce.number().int().min(0).optional()
+  })
+});
 
-  await query("UPDATE transport_requests SET status='ADMIN_APPROVED' WHERE id=$1", [id]);
-  await query("INSERT INTO approvals_audit (request_id, action_by_user_id, action) VALUES ($1,$2,'ADMIN_APPROVE')", [id, userId]);
+router.get("/audit", requireRole("ADMIN"), validate(auditQuerySchema), asyncHandler(async (req, res) => {
+  const { user_id, action, request_id, from, to, limit = 100, offset = 0 } = req.validated.query;
 
+  const where = [];
+  const vals = [];
+  if (user_id) { vals.push(user_id); where.push(`a.action_by_user_id=$${vals.length}`); }
+  if (action) {
+    vals.push(action.split(",").map(s => s.trim()).filter(Boolean));
+    where.push(`a.action = ANY($${vals.length}::text[])`);
+  }
+  if (request_id) { vals.push(request_id); where.push(`a.request_id=$${vals.length}`); }
+  // Dates are Sri Lanka calendar days
+  if (from) { vals.push(from); where.push(`a.created_at >= ($${vals.length}::date::timestamp AT TIME ZONE 'Asia/Colombo')`); }
+  if (to) { vals.push(to); where.push(`a.created_at < (($${vals.length}::date + 1)::timestamp AT TIME ZONE 'Asia/Colombo')`); }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const total = await query(`SELECT COUNT(*)::int AS c FROM approvals_audit a ${whereSql}`, vals);
+  const r = await query(
+    `${AUDIT_SELECT}
+     ${whereSql}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT $${vals.length + 1} OFFSET $${vals.length + 2}`,
+    [...vals, limit, offset]
+  );
+  res.json({ ok: true, total: total.rows[0].c, limit, offset, audit: r.rows });
+}));
+
+// ---- Holiday calendar ----
+const calendarListSchema = z.object({
+  query: z.object({
+    from: isoDate.optional(),
+    to: isoDate.optional(),
+    kind: z.enum(CALENDAR_KINDS).optional()
+  })
+});
+
+const calendarDateSchema = z.object({ params: z.object({ date: isoDate }) });
+const calendarDaySchema = calendarDateSchema.extend({
+  body: z.object({
+    kind: z.enum(CALENDAR_KINDS),
+    name: z.string().min(2),
+    policy: z.enum(CALENDAR_POLICIES).optional()
+  })
+});
+
+const calendarImportSchema = z.object({
+  query: z.object({
+    format: z.enum(["ics", "csv"]).optional(),
+    kind: z.enum(CALENDAR_KINDS).optional(),          // default kind for rows/events without one
+    policy: z.enum(CALENDAR_POLICIES).optional(),
+    dry_run: z.enum(["true", "false"]).optional()
+  })
+});
+
+// Shutdown days block by default; holidays only warn
+function defaultPolicy(kind) {
+  return kind === "SHUTDOWN" ? "BLOCK" : "WARN";
+}
+
+router.get("/calendar", validate(calendarListSchema), asyncHandler(async (req, res) => {
+  const year = DateTime.now().setZone("Asia/Colombo").year;
+  const { from = `${year}-01-01`, to = `${year}-12-31`, kind } = req.validated.query;
+  const r = await query(
+    `SELECT id, to_char(day, 'YYYY-MM-DD') AS day, kind, name, policy, created_by_user_id, created_at
+     FROM calendar_days
+     WHERE day BETWEEN $1 AND $2 AND ($3::text IS NULL OR kind = $3)
+     ORDER BY day`,
+    [from, to, kind || null]
+  );
+  res.json({ ok: true, from, to, days: r.rows });
+}));
+
+router.put("/calendar/:date", requireRole("ADMIN"), validate(calendarDaySchema), asyncHandler(async (req, res) => {
+  const { date } = req.validated.params;
+  const { kind, name, policy = defaultPolicy(kind) } = req.validated.body;
+  const r = await query(
+    `INSERT INTO calendar_days (day, kind, name, policy, created_by_user_id)
+     VALUES ($1,$2,$3,$4,$5)
+     ON CONFLICT (day) DO UPDATE SET kind=EXCLUDED.kind, name=EXCLUDED.name, policy=EXCLUDED.policy
+     RETURNING id, to_char(day, 'YYYY-MM-DD') AS day, kind, name, policy`,
+    [date, kind, name, policy, req.user.user_id]
+  );
+  res.json({ ok: true, day: r.rows[0] });
+}));
+
+router.delete("/calendar/:date", requireRole("ADMIN"), validate(calendarDateSchema), asyncHandler(async (req, res) => {
+  await query("DELETE FROM calendar_days WHERE day=$1", [req.validated.params.date]);
   res.json({ ok: true });
 }));
 
+// Upload the raw file as the request body (text/calendar or text/csv).
+// Existing days are overwritten; dry_run=true only reports what would be saved.
+router.post(
+  "/calendar/import",
+  requireRole("ADMIN"),
+  express.text({ type: ["text/*", "application/octet-stream"], limit: "1mb" }),
+  validate(calendarImportSchema),
+  asyncHandler(async (req, res) => {
+    const { kind: defaultKind = "PUBLIC_HOLIDAY", policy, dry_run } = req.validated.query;
+    if (typeof req.body !== "string" || !req.body.trim()) throw httpError(400, "Upload the ICS or CSV file as the request body");
+
+    const format = req.validated.query.format
+      || (/BEGIN:VCALENDAR/.test(req.body) || req.is("text/calendar") ? "ics" : "csv");
+    const parsed = format === "ics" ? parseIcs(req.body) : parseCalendarCsv(req.body);
+
+    const days = parsed.entries.map(e => {
+      const kind = e.kind || guessKind(e.name, defaultKind);
+      return { day: e.day, name: e.name, kind, policy: e.policy || policy || defaultPolicy(kind) };
+    });
+
+    if (dry_run === "true" || parsed.errors.length) {
+      return res.status(parsed.errors.length ? 400 : 200).json({
+        ok: parsed.errors.length === 0, dry_run: dry_run === "true", format, days, errors: parsed.errors
+      });
+    }
+
+    await withTransaction(async (tx) => {
+      for (const d of days) {
+        await tx.query(
+          `INSERT INTO calendar_days (day, kind, name, policy, created_by_user_id)
+           VALUES ($1,$2,$3,$4,$5)
+           ON CONFLICT (day) DO UPDATE SET kind=EXCLUDED.kind, name=EXCLUDED.name, policy=EXCLUDED.policy`,
+          [d.day, d.kind, d.name, d.policy, req.user.user_id]
+        );
+      }
+    });
+    res.json({ ok: true, format, imported: days.length, days });
+  })
+);
+
 // Daily Run
+// A run is one daily master per shift (request_time). Pass ?shift=HH:MM to work on one
+// shift; without it the summary covers the whole day and lock locks every open shift.
+function runShiftParam(req) {
+  const shift = req.query.shift || (req.body && req.body.shift);
+  return shift ? normalizeShift(shift) : null;
+}
+
 router.get("/run/:date/summary", requireRole("ADMIN"), asyncHandler(async (req, res) => {
   const runDate = req.params.date;
+  const shift = runShiftParam(req);
   const deps = await query("SELECT id, name FROM departments ORDER BY name ASC");
   const sub = await query(
-    "SELECT department_id, COUNT(*)::int as req_count, COALESCE(SUM((SELECT COUNT(*) FROM transport_request_employees tre WHERE tre.request_id = tr.id)),0)::int as emp_count " +
-    "FROM transport_requests tr WHERE tr.request_date=$1 AND tr.is_daily_master=FALSE AND tr.status IN ('SUBMITTED','ADMIN_APPROVED') GROUP BY department_id",
-    [runDate]
+    "SELECT to_char(tr.request_time, 'HH24:MI') AS shift, department_id, COUNT(*)::int as req_count, " +
+    "COALESCE(SUM((SELECT COUNT(*) FROM transport_request_employees tre WHERE tre.request_id = tr.id AND tre.opted_out_at IS NULL)),0)::int as emp_count, " +
+    "COALESCE(SUM((SELECT COUNT(*) FROM transport_request_employees tre WHERE tre.request_id = tr.id AND tre.opted_out_at IS NOT NULL)),0)::int as opted_out_count " +
+    "FROM transport_requests tr WHERE tr.request_date=$1 AND tr.is_daily_master=FALSE AND tr.status IN ('SUBMITTED','ADMIN_APPROVED') " +
+    "AND ($2::time IS NULL OR tr.request_time=$2::time) GROUP BY tr.request_time, department_id",
+    [runDate, shift]
   );
-  const byDep = new Map(sub.rows.map(r => [r.department_id, r]));
-  const rows = deps.rows.map(d => {
-    const s = byDep.get(d.id);
+
+  const masters = (await listMasters(runDate)).filter(m => !shift || m.shift === shift);
+  const shiftNames = [...new Set([...sub.rows.map(r => r.shift), ...masters.map(m => m.shift), ...(shift ? [shift] : [])])].sort();
+
+  const departmentRows = (rows) => {
+    const byDep = new Map();
+    for (const r of rows) {
+      const cur = byDep.get(r.department_id) || { req_count: 0, emp_count: 0, opted_out_count: 0 };
+      byDep.set(r.department_id, {
+        req_count: cur.req_count + r.req_count,
+        emp_count: cur.emp_count + r.emp_count,
+        opted_out_count: cur.opted_out_count + r.opted_out_count
+      });
+    }
+    return deps.rows.map(d => {
+      const s = byDep.get(d.id);
+      return {
+        department_id: d.id,
+        department_name: d.name,
+        submitted: !!s,
+        requests_count: s ? s.req_count : 0,
+        employees_count: s ? s.emp_count : 0,
+        opted_out_count: s ? s.opted_out_count : 0
+      };
+    });
+  };
+
+  const shifts = shiftNames.map(name => {
+    const rows = departmentRows(sub.rows.filter(r => r.shift === name)).filter(r => r.submitted);
     return {
-      department_id: d.id,
-      department_name: d.name,
-      submitted: !!s,
-      requests_count: s ? s.req_count : 0,
-      employees_count: s ? s.emp_count : 0
+      shift: name,
+      master_request: masters.find(m => m.shift === name) || null,
+      requests_count: rows.reduce((n, r) => n + r.requests_count, 0),
+      employees_count: rows.reduce((n, r) => n + r.employees_count, 0),
+      opted_out_count: rows.reduce((n, r) => n + r.opted_out_count, 0),
+      departments: rows
     };
   });
-  const missing = rows.filter(r => !r.submitted).map(r => r.department_name);
 
-  const master = await query(
-    "SELECT id, status FROM transport_requests WHERE request_date=$1 AND is_daily_master=TRUE",
-    [runDate]
-  );
+  const rows = departmentRows(sub.rows);
+  const missing = rows.filter(r => !r.submitted).map(r => r.department_name);
+  const calendarDay = await getCalendarDay(runDate);
 
   res.json({
     ok: true,
     date: runDate,
-    master_request: master.rowCount ? master.rows[0] : null,
+    shift,
+    calendar: calendarDay,
+    non_working_day: isNonWorking(calendarDay),
+    master_request: masters.length === 1 ? masters[0] : null,
     submitted_departments: rows.filter(r=>r.submitted).length,
     missing_departments: missing,
-    departments: rows
+    departments: rows,
+    shifts
   });
 }));
 
-router.post("/run/:date/lock", requireRole("ADMIN"), asyncHandler(async (req, res) => {
-  const runDate = req.params.date;
-  const userId = req.user.user_id;
+const RUN_IN_PROGRESS = ['TA_ASSIGNED_PENDING_HR','TA_ASSIGNED','TA_FIX_REQUIRED','HR_FINAL_APPROVED'];
 
-  const existingMaster = await query(
-    "SELECT id, status FROM transport_requests WHERE request_date=$1 AND is_daily_master=TRUE",
-    [runDate]
-  );
-  if (existingMaster.rowCount) {
-    const st = existingMaster.rows[0].status;
-    if (['TA_ASSIGNED_PENDING_HR','TA_ASSIGNED','TA_FIX_REQUIRED','HR_FINAL_APPROVED'].includes(st)) {
-      throw httpError(400, "Run already in progress; cannot re-lock");
-    }
+// Lock one shift: approve its SUBMITTED requests and (re)build its daily master.
+async function lockShift(tx, runDate, shift, userId) {
+  const existingMaster = await findMaster(runDate, shift, tx, { forUpdate: true });
+  if (existingMaster && existingMaster.legacy_whole_day) {
+    throw httpError(400, `${runDate} was locked as a whole day before runs were split by shift; cannot re-lock`);
+  }
+  if (existingMaster && RUN_IN_PROGRESS.includes(existingMaster.status)) {
+    throw httpError(400, `Run already in progress for ${shift}; cannot re-lock`);
   }
 
-  await query(
-    "UPDATE transport_requests SET status='ADMIN_APPROVED' WHERE request_date=$1 AND is_daily_master=FALSE AND status='SUBMITTED'",
-    [runDate]
+  const approved = await tx.query(
+    "UPDATE transport_requests SET status='ADMIN_APPROVED' WHERE request_date=$1 AND request_time=$2::time AND is_daily_master=FALSE AND status='SUBMITTED' RETURNING id",
+    [runDate, shift]
   );
+  for (const a of approved.rows) {
+    await recordAudit(tx, { requestId: a.id, userId, action: "ADMIN_APPROVE", fromStatus: "SUBMITTED", toStatus: "ADMIN_APPROVED", comment: "Approved by run lock" });
+  }
 
   let masterId;
-  if (existingMaster.rowCount) {
-    masterId = existingMaster.rows[0].id;
-    await query(
-      "UPDATE transport_requests SET status='ADMIN_APPROVED', request_time='00:00', department_id=NULL, notes=COALESCE(notes,'') WHERE id=$1",
+  if (existingMaster) {
+    masterId = existingMaster.id;
+    await tx.query(
+      "UPDATE transport_requests SET status='ADMIN_APPROVED', department_id=NULL, notes=COALESCE(notes,'') WHERE id=$1",
       [masterId]
     );
-    await query("DELETE FROM transport_request_employees WHERE request_id=$1", [masterId]);
+    await tx.query("DELETE FROM transport_request_employees WHERE request_id=$1", [masterId]);
   } else {
-    const ins = await query(
+    const ins = await tx.query(
       "INSERT INTO transport_requests (request_date, request_time, department_id, created_by_user_id, status, notes, is_daily_master) " +
-      "VALUES ($1,'00:00',NULL,$2,'ADMIN_APPROVED','Daily Run (All Departments)',TRUE) RETURNING id",
-      [runDate, userId]
+      "VALUES ($1,$2,NULL,$3,'ADMIN_APPROVED',$4,TRUE) RETURNING id",
+      [runDate, shift, userId, `Daily Run ${shift} (All Departments)`]
     );
     masterId = ins.rows[0].id;
   }
 
-  const emps = await query(
+  const emps = await tx.query(
     "SELECT DISTINCT ON (tre.employee_id) tre.employee_id, tre.effective_route_id, tre.effective_sub_route_id " +
     "FROM transport_request_employees tre " +
     "JOIN transport_requests tr ON tr.id = tre.request_id " +
-    "WHERE tr.request_date=$1 AND tr.is_daily_master=FALSE AND tr.status='ADMIN_APPROVED' " +
+    "WHERE tr.request_date=$1 AND tr.request_time=$2::time AND tr.is_daily_master=FALSE AND tr.status='ADMIN_APPROVED' " +
+    "AND tre.opted_out_at IS NULL " +
     "ORDER BY tre.employee_id, tr.created_at DESC",
-    [runDate]
+    [runDate, shift]
   );
 
   for (const e of emps.rows) {
-    await query(
+    await tx.query(
       "INSERT INTO transport_request_employees (request_id, employee_id, effective_route_id, effective_sub_route_id) VALUES ($1,$2,$3,$4)",
       [masterId, e.employee_id, e.effective_route_id, e.effective_sub_route_id]
     );
   }
 
-  await query(
-    "INSERT INTO approvals_audit (request_id, action_by_user_id, action) VALUES ($1,$2,'ADMIN_LOCK_RUN')",
-    [masterId, userId]
+  await recordAudit(tx, {
+    requestId: masterId, userId, action: "ADMIN_LOCK_RUN",
+    fromStatus: existingMaster ? existingMaster.status : null,
+    toStatus: "ADMIN_APPROVED",
+    diff: { shift, relock: Boolean(existingMaster), requests_approved: approved.rowCount, employees_added: emps.rowCount }
+  });
+  await enqueueNotification(tx, "run_locked", await usersWithRole(tx, "TA"), {
+    date: runDate, shift, employees: emps.rowCount, request_id: masterId
+  });
+  const departments = await tx.query(
+    "SELECT DISTINCT department_id FROM transport_requests WHERE request_date=$1 AND request_time=$2::time AND is_daily_master=FALSE AND status='ADMIN_APPROVED'",
+    [runDate, shift]
+  );
+  publishEvent(tx, "run_locked", {
+    date: runDate, shift, request_id: masterId, relock: Boolean(existingMaster), employees: emps.rowCount
+  }, { roles: [...STAFF_ROLES, "HOD"], departmentIds: departments.rows.map(d => d.department_id) });
+  await enqueueWebhook(tx, "run.locked", {
+    request_id: masterId, date: runDate, shift, relock: Boolean(existingMaster), employees: emps.rowCount
+  });
+
+  return { shift, master_request_id: masterId, employees_added: emps.rowCount };
+}
+
+router.post("/run/:date/lock", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const runDate = req.params.date;
+  const userId = req.user.user_id;
+  const shift = runShiftParam(req);
+
+  const result = await withTransaction(async (tx) => {
+    const { warning } = await checkRunDate(runDate, tx);
+
+    if (shift) return { runs: [await lockShift(tx, runDate, shift, userId)], skipped: [], warning };
+
+    // Whole day: every shift with submitted/approved requests, leaving runs already with TA/HR alone
+    const open = await tx.query(
+      "SELECT DISTINCT to_char(request_time, 'HH24:MI') AS shift FROM transport_requests " +
+      "WHERE request_date=$1 AND is_daily_master=FALSE AND status IN ('SUBMITTED','ADMIN_APPROVED') ORDER BY 1",
+      [runDate]
+    );
+    const runs = [];
+    const skipped = [];
+    for (const { shift: s } of open.rows) {
+      const master = await findMaster(runDate, s, tx);
+      if (master && (master.legacy_whole_day || RUN_IN_PROGRESS.includes(master.status))) { skipped.push({ shift: s, status: master.status }); continue; }
+      runs.push(await lockShift(tx, runDate, s, userId));
+    }
+    if (runs.length === 0) throw httpError(400, "No submitted requests to lock for this date");
+    return { runs, skipped, warning };
+  });
+
+  const single = result.runs.length === 1 ? result.runs[0] : null;
+  res.json({
+    ok: true,
+    master_request_id: single ? single.master_request_id : null,
+    employees_added: result.runs.reduce((n, r) => n + r.employees_added, 0),
+    runs: result.runs,
+    skipped: result.skipped,
+    warning: result.warning
+  });
+}));
+
+// ---- Notification outbox ----
+const outboxListSchema = z.object({
+  query: z.object({
+    status: z.enum(OUTBOX_STATUSES).optional(),
+    event: z.string().trim().min(1).optional(),
+    channel: z.enum(["EMAIL", "SMS"]).optional(),
+    limit: z.coerce.number().int().min(1).max(500).optional()
+  })
+});
+
+router.get("/notifications", requireRole("ADMIN"), validate(outboxListSchema), asyncHandler(async (req, res) => {
+  const { status = null, event = null, channel = null, limit = 100 } = req.validated.query;
+  const r = await query(
+    `SELECT id, channel, event, recipient, recipient_user_id, subject, status, attempts, max_attempts,
+            next_attempt_at, last_error, transport, sent_at, created_at
+     FROM notification_outbox
+     WHERE ($1::text IS NULL OR status=$1) AND ($2::text IS NULL OR event=$2) AND ($4::text IS NULL OR channel=$4)
+     ORDER BY id DESC
+     LIMIT $3`,
+    [status, event, limit, channel]
+  );
+  const counts = await query("SELECT status, COUNT(*)::int AS count FROM notification_outbox GROUP BY status");
+  res.json({ ok: true, counts: Object.fromEntries(counts.rows.map(c => [c.status, c.count])), notifications: r.rows });
+}));
+
+// Send a FAILED (or waiting) message again with a fresh set of attempts
+router.post("/notifications/:id/retry", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const r = await query(
+    `UPDATE notification_outbox SET status='PENDING', attempts=0, next_attempt_at=NOW(), last_error=NULL
+     WHERE id=$1 AND status IN ('FAILED','PENDING') RETURNING id`,
+    [id]
+  );
+  if (r.rowCount === 0) throw httpError(404, "Failed or pending notification not found");
+  kickOutbox();
+  res.json({ ok: true });
+}));
+
+// ---- Outbound webhooks ----
+// The secret is shown once (create / rotate); lists only show its last 4 characters.
+const webhookUrl = z.string().trim().url().refine(u => /^https?:\/\//i.test(u), "URL must be http(s)");
+const webhookBody = {
+  url: webhookUrl,
+  event_types: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+  description: z.string().trim().max(200).nullable().optional(),
+  is_active: z.boolean().optional()
+};
+const webhookCreateSchema = z.object({
+  body: z.object({ ...webhookBody, secret: z.string().min(16).max(200).optional() })
+});
+const webhookUpdateSchema = z.object({
+  body: z.object({
+    url: webhookBody.url.optional(),
+    event_types: webhookBody.event_types.optional(),
+    description: webhookBody.description,
+    is_active: webhookBody.is_active,
+    rotate_secret: z.boolean().optional()
+  })
+});
+const deliveryListSchema = z.object({
+  query: z.object({
+    subscription_id: z.coerce.number().int().positive().optional(),
+    status: z.enum(DELIVERY_STATUSES).optional(),
+    event: z.string().trim().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(500).optional()
+  })
+});
+
+const WEBHOOK_SELECT = `
+  SELECT s.id, s.url, s.event_types, s.description, s.is_active, right(s.secret, 4) AS secret_last4,
+         s.created_by_user_id, s.created_at, s.updated_at,
+         (SELECT COUNT(*)::int FROM webhook_deliveries wd WHERE wd.subscription_id = s.id AND wd.status='FAILED') AS failed_deliveries,
+         (SELECT MAX(wd.sent_at) FROM webhook_deliveries wd WHERE wd.subscription_id = s.id) AS last_sent_at
+  FROM webhook_subscriptions s`;
+
+router.get("/webhooks", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const r = await query(`${WEBHOOK_SELECT} ORDER BY s.id`);
+  res.json({ ok: true, events: WEBHOOK_EVENTS, webhooks: r.rows });
+}));
+
+router.post("/webhooks", requireRole("ADMIN"), validate(webhookCreateSchema), asyncHandler(async (req, res) => {
+  const { url, event_types, description = null, is_active = true, secret = generateSecret() } = req.validated.body;
+  const r = await query(
+    `INSERT INTO webhook_subscriptions (url, secret, event_types, description, is_active, created_by_user_id)
+     VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+    [url, secret, [...new Set(event_types)], description, is_active, req.user.user_id]
+  );
+  const w = await query(`${WEBHOOK_SELECT} WHERE s.id=$1`, [r.rows[0].id]);
+  res.json({ ok: true, webhook: w.rows[0], secret });
+}));
+
+router.patch("/webhooks/:id", requireRole("ADMIN"), validate(webhookUpdateSchema), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const body = req.validated.body;
+  const secret = body.rotate_secret ? generateSecret() : null;
+
+  const fields = [];
+  const vals = [];
+  for (const k of ["url", "event_types", "description", "is_active"]) {
+    if (body[k] !== undefined) {
+      vals.push(k === "event_types" ? [...new Set(body[k])] : body[k]);
+      fields.push(`${k}=$${vals.length}`);
+    }
+  }
+  if (secret) {
+    vals.push(secret);
+    fields.push(`secret=$${vals.length}`);
+  }
+  if (fields.length === 0) throw httpError(400, "No changes");
+
+  vals.push(id);
+  const r = await query(`UPDATE webhook_subscriptions SET ${fields.join(", ")}, updated_at=NOW() WHERE id=$${vals.length} RETURNING id`, vals);
+  if (r.rowCount === 0) throw httpError(404, "Webhook not found");
+  const w = await query(`${WEBHOOK_SELECT} WHERE s.id=$1`, [id]);
+  res.json({ ok: true, webhook: w.rows[0], ...(secret ? { secret } : {}) });
+}));
+
+// Deletes the subscription and its delivery log
+router.delete("/webhooks/:id", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const r = await query("DELETE FROM webhook_subscriptions WHERE id=$1", [parseInt(req.params.id, 10)]);
+  if (r.rowCount === 0) throw httpError(404, "Webhook not found");
+  res.json({ ok: true });
+}));
+
+// Test delivery ("ping") to one subscription, whatever its event types
+router.post("/webhooks/:id/ping", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const queued = await withTransaction((tx) => enqueueWebhook(tx, "ping", { webhook_id: id }, { subscriptionId: id }));
+  if (queued === 0) throw httpError(404, "Active webhook not found");
+  res.json({ ok: true });
+}));
+
+// Delivery log (newest first); payloads only on the single-delivery endpoint
+router.get("/webhooks/deliveries", requireRole("ADMIN"), validate(deliveryListSchema), asyncHandler(async (req, res) => {
+  const { subscription_id = null, status = null, event = null, limit = 100 } = req.validated.query;
+  const r = await query(
+    `SELECT wd.id, wd.subscription_id, s.url, wd.event, wd.payload->>'id' AS event_id, wd.status, wd.attempts, wd.max_attempts,
+            wd.next_attempt_at, wd.response_status, wd.last_error, wd.duration_ms, wd.sent_at, wd.created_at
+     FROM webhook_deliveries wd
+     JOIN webhook_subscriptions s ON s.id = wd.subscription_id
+     WHERE ($1::int IS NULL OR wd.subscription_id=$1) AND ($2::text IS NULL OR wd.status=$2) AND ($3::text IS NULL OR wd.event=$3)
+     ORDER BY wd.id DESC
+     LIMIT $4`,
+    [subscription_id, status, event, limit]
+  );
+  const counts = await query(
+    "SELECT status, COUNT(*)::int AS count FROM webhook_deliveries WHERE ($1::int IS NULL OR subscription_id=$1) GROUP BY status",
+    [subscription_id]
   );
+  res.json({ ok: true, counts: Object.fromEntries(counts.rows.map(c => [c.status, c.count])), deliveries: r.rows });
+}));
 
-  res.json({ ok: true, master_request_id: masterId, employees_added: emps.rowCount });
+router.get("/webhooks/deliveries/:id", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const r = await query("SELECT * FROM webhook_deliveries WHERE id=$1", [parseInt(req.params.id, 10)]);
+  if (r.rowCount === 0) throw httpError(404, "Delivery not found");
+  res.json({ ok: true, delivery: r.rows[0] });
+}));
+
+// Send a FAILED (or waiting) delivery again with a fresh set of attempts
+router.post("/webhooks/deliveries/:id/retry", requireRole("ADMIN"), asyncHandler(async (req, res) => {
+  const r = await query(
+    `UPDATE webhook_deliveries SET status='PENDING', attempts=0, next_attempt_at=NOW(), last_error=NULL
+     WHERE id=$1 AND status IN ('FAILED','PENDING') RETURNING id`,
+    [parseInt(req.params.id, 10)]
+  );
+  if (r.rowCount === 0) throw httpError(404, "Failed or pending delivery not found");
+  kickWebhooks();
+  res.json({ ok: true });
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,12 +1,13 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { z } = require("zod");
-const { env } = require("../config/env");
 const crypto = require("crypto");
 const { DateTime } = require("luxon");
-const { sendOtpEmail } = require("../services/brevoEmail");
-const { query } = require("../db/pool");
+const { renderNotification } = require("../services/notificationTemplates");
+const { getTransport } = require("../services/notificationTransports");
+const { publishEvent } = require("../services/events");
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllRefreshTokens } = require("../services/tokens");
+const { query, withTransaction } = require("../db/pool");
 const { httpError } = require("../utils/httpError");
 const { validate } = require("../utils/validate");
 const asyncHandler = require("../utils/asyncHandler");
@@ -95,17 +96,6 @@ async function dailyResetCount(userId) {
   return r.rows?.[0]?.c || 0;
 }
 
-function signToken(u) {
-  const payload = {
-    user_id: u.id,
-    role: u.role,
-    status: u.status,
-    department_id: u.department_id,
-    employee_id: u.employee_id
-  };
-  return jwt.sign(payload, env.JWT_SECRET, { expiresIn: "12h" });
-}
-
 const registerHodSchema = z.object({
   body: z.object({
     hod_name: z.string().min(2),
@@ -131,17 +121,21 @@ router.post("/register-hod", validate(registerHodSchema), asyncHandler(async (re
 
   const hash = await bcrypt.hash(password, 12);
 
-  const emp = await query(
-    "INSERT INTO employees (emp_no, full_name, department_id, is_active) VALUES ($1,$2,$3,false) RETURNING id",
-    [emp_no, hod_name, department_id]
-  );
+  const user = await withTransaction(async (tx) => {
+    const emp = await tx.query(
+      "INSERT INTO employees (emp_no, full_name, department_id, is_active) VALUES ($1,$2,$3,false) RETURNING id",
+      [emp_no, hod_name, department_id]
+    );
 
-  const user = await query(
-    "INSERT INTO users (email, password_hash, role, status, department_id, employee_id) VALUES ($1,$2,'HOD','PENDING_ADMIN',$3,$4) RETURNING id, role, status, department_id, employee_id",
-    [email, hash, department_id, emp.rows[0].id]
-  );
+    const u = await tx.query(
+      "INSERT INTO users (email, password_hash, role, status, department_id, employee_id) VALUES ($1,$2,'HOD','PENDING_ADMIN',$3,$4) RETURNING id, role, status, department_id, employee_id",
+      [email, hash, department_id, emp.rows[0].id]
+    );
+    publishEvent(tx, "registration_pending", { user_id: u.rows[0].id, role: "HOD", name: hod_name, emp_no, department_id }, { roles: ["ADMIN"] });
+    return u.rows[0];
+  });
 
-  res.json({ ok: true, status: "PENDING_ADMIN", user_id: user.rows[0].id });
+  res.json({ ok: true, status: "PENDING_ADMIN", user_id: user.id });
 }));
 
 // Self-registration: creates employee + user as EMP with PENDING_HOD status
@@ -159,23 +153,27 @@ router.post("/register", validate(registerSchema), asyncHandler(async (req, res)
 
   const hash = await bcrypt.hash(password, 12);
 
-  const emp = await query(
-    "INSERT INTO employees (emp_no, full_name, department_id, is_active) VALUES ($1,$2,$3,false) RETURNING id",
-    [emp_no, emp_name, department_id]
-  );
+  const user = await withTransaction(async (tx) => {
+    const emp = await tx.query(
+      "INSERT INTO employees (emp_no, full_name, department_id, is_active) VALUES ($1,$2,$3,false) RETURNING id",
+      [emp_no, emp_name, department_id]
+    );
 
-  const user = await query(
-    "INSERT INTO users (email, password_hash, role, status, department_id, employee_id) VALUES ($1,$2,'EMP','PENDING_HOD',$3,$4) RETURNING id, role, status, department_id, employee_id",
-    [email, hash, department_id, emp.rows[0].id]
-  );
+    const u = await tx.query(
+      "INSERT INTO users (email, password_hash, role, status, department_id, employee_id) VALUES ($1,$2,'EMP','PENDING_HOD',$3,$4) RETURNING id, role, status, department_id, employee_id",
+      [email, hash, department_id, emp.rows[0].id]
+    );
+    publishEvent(tx, "registration_pending", { user_id: u.rows[0].id, role: "EMP", name: emp_name, emp_no, department_id }, { roles: ["HOD"], departmentIds: [department_id] });
+    return u.rows[0];
+  });
 
-  res.json({ ok: true, status: "PENDING_HOD", user_id: user.rows[0].id });
+  res.json({ ok: true, status: "PENDING_HOD", user_id: user.id });
 }));
 
 router.post("/login", validate(loginSchema), asyncHandler(async (req, res) => {
   const { email, password } = req.body;
   const r = await query(
-    "SELECT id, email, password_hash, role, status, department_id, employee_id FROM users WHERE email=$1",
+    "SELECT id, email, password_hash, role, status, department_id, employee_id, must_change_password FROM users WHERE email=$1",
     [email]
   );
   if (r.rowCount === 0) throw httpError(401, "Invalid credentials");
@@ -184,8 +182,31 @@ router.post("/login", validate(loginSchema), asyncHandler(async (req, res) => {
   const ok = await bcrypt.compare(password, u.password_hash);
   if (!ok) throw httpError(401, "Invalid credentials");
 
-  const token = signToken(u);
-  res.json({ ok: true, token, role: u.role });
+  const tokens = await issueTokens(u, { ip: req.ip, userAgent: req.get("user-agent") });
+  res.json({ ok: true, ...tokens, role: u.role, must_change_password: Boolean(u.must_change_password) });
+}));
+
+const refreshSchema = z.object({
+  body: z.object({ refresh_token: z.string().min(20) })
+});
+
+// Exchange a refresh token for a new access token + refresh token (rotation)
+router.post("/refresh", validate(refreshSchema), asyncHandler(async (req, res) => {
+  const tokens = await rotateRefreshToken(req.body.refresh_token, { ip: req.ip, userAgent: req.get("user-agent") });
+  res.json({ ok: true, ...tokens });
+}));
+
+const logoutSchema = z.object({
+  body: z.object({
+    refresh_token: z.string().min(20),
+    all: z.boolean().optional()   // true: sign out every device of this user
+  })
+});
+
+router.post("/logout", validate(logoutSchema), asyncHandler(async (req, res) => {
+  const userId = await revokeRefreshToken(req.body.refresh_token);
+  if (userId && req.body.all) await revokeAllRefreshTokens(null, userId);
+  res.json({ ok: true });
 }));
 
 // Request OTP for password reset (email or emp_no)
@@ -211,10 +232,13 @@ router.post("/password-reset/request", validate(passwordResetRequestSchema), asy
     [u.id, otpHash, salt, expiresAt, req.ip || null]
   );
 
+  // Sent directly rather than through the outbox: the OTP must not be stored in clear text
+  // and is useless after 5 minutes, so the user is told right away when sending fails.
   try {
-    await sendOtpEmail({ toEmail: u.email, otp, minutes: 5 });
+    const msg = renderNotification("password_reset_otp", { otp, minutes: 5 });
+    await getTransport().send({ to: u.email, subject: msg.subject, html: msg.html, text: msg.text });
   } catch (e) {
-    console.error("password-reset: brevo error:", e.message);
+    console.error("password-reset: email error:", e.message);
     throw httpError(500, "OTP email sending failed");
   }
 
@@ -248,8 +272,13 @@ router.post("/password-reset/confirm", validate(passwordResetConfirmSchema), asy
 
   const newHash = await bcrypt.hash(new_password, 12);
 
-  await query("UPDATE users SET previous_password_hash = password_hash, password_hash = $1 WHERE id = $2", [newHash, u.id]);
-  await query("UPDATE password_reset_requests SET consumed_at = NOW() WHERE id = $1", [row.id]);
+  await withTransaction(async (tx) => {
+    // Consume first so a concurrent confirm with the same OTP cannot also succeed
+    const c = await tx.query("UPDATE password_reset_requests SET consumed_at = NOW() WHERE id = $1 AND consumed_at IS NULL", [row.id]);
+    if (c.rowCount === 0) throw httpError(400, "No active OTP. Please request again.");
+    await tx.query("UPDATE users SET previous_password_hash = password_hash, password_hash = $1, must_change_password = FALSE WHERE id = $2", [newHash, u.id]);
+    await revokeAllRefreshTokens(tx, u.id);
+  });
 
   res.json({ ok: true, message: "Password updated" });
 }));
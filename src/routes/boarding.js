@@ -0,0 +1,69 @@
+const express = require("express");
+const { z } = require("zod");
+const { query, withTransaction } = require("../db/pool");
+const { validate } = require("../utils/validate");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  BOARDING_STATUSES, loadBoardingRun, loadBoardingLink, boardingRoster, rosterCounts, markBoarding, scanBoarding
+} = require("../services/boarding");
+
+// Driver boarding (no login): the secret link TA shares for one vehicle on one run
+// (POST /ta/requests/:id/boarding/links). Only that vehicle's passengers can be marked.
+const router = express.Router();
+
+const marksSchema = z.object({
+  body: z.object({
+    marks: z.array(z.object({
+      employee_id: z.coerce.number().int().positive(),
+      status: z.enum(BOARDING_STATUSES),
+      note: z.string().trim().max(300).nullable().optional()
+    })).min(1).max(100)
+  })
+});
+const scanSchema = z.object({ body: z.object({ payload: z.string().min(1).max(500) }) });
+
+// Passengers only get what a driver needs at the door
+const passenger = (e) => ({
+  employee_id: e.employee_id,
+  emp_no: e.emp_no,
+  full_name: e.full_name,
+  sub_name: e.sub_name,
+  estimated_time: e.estimated_time,
+  opted_out: e.opted_out,
+  boarding_status: e.boarding_status
+});
+
+router.get("/:token", asyncHandler(async (req, res) => {
+  const link = await loadBoardingLink({ query }, req.params.token);
+  const roster = await boardingRoster({ query }, link.request_id, { link });
+  res.json({
+    ok: true,
+    date: link.date,
+    shift: link.shift,
+    vehicle_no: link.vehicle_no,
+    route: link.route_no ? { route_no: link.route_no, route_name: link.route_name } : null,
+    driver_name: link.driver_name,
+    counts: rosterCounts(roster),
+    passengers: roster.map(passenger)
+  });
+}));
+
+router.post("/:token/marks", validate(marksSchema), asyncHandler(async (req, res) => {
+  const marked = await withTransaction(async (tx) => {
+    const link = await loadBoardingLink(tx, req.params.token);
+    const run = await loadBoardingRun(tx, link.request_id, { forWrite: true });
+    return markBoarding(tx, run, req.validated.body.marks, { source: "DRIVER", link });
+  });
+  res.json({ ok: true, marked });
+}));
+
+router.post("/:token/scan", validate(scanSchema), asyncHandler(async (req, res) => {
+  const result = await withTransaction(async (tx) => {
+    const link = await loadBoardingLink(tx, req.params.token);
+    const run = await loadBoardingRun(tx, link.request_id, { forWrite: true });
+    return scanBoarding(tx, run, req.validated.body.payload, { link });
+  });
+  res.json({ ok: true, ...result });
+}));
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require("express");
 const { DateTime } = require("luxon");
-const { query } = require("../db/pool");
+const { z } = require("zod");
+const { query, withTransaction } = require("../db/pool");
 const { authRequired } = require("../middleware/auth");
 const { requireRole } = require("../middleware/rbac");
+const { httpError } = require("../utils/httpError");
+const { validate, isoDate } = require("../utils/validate");
 const asyncHandler = require("../utils/asyncHandler");
+const { stopOrderSql, stopEta } = require("../services/stops");
+const { normalizeShift, findMaster } = require("../services/dailyRun");
+const { recordAudit } = require("../services/audit");
+const { usersWithRole, enqueueNotification } = require("../services/notifications");
+const { normalizePhone } = require("../services/sms");
 
 const router = express.Router();
 router.use(authRequired, requireRole("EMP"));
@@ -15,7 +23,7 @@ router.get("/today-transport", asyncHandler(async (req, res) => {
   const today = DateTime.now().setZone("Asia/Colombo").toISODate();
 
   const reqRow = await query(
-    `SELECT tr.id, tr.request_date, tr.request_time
+    `SELECT tr.id, tr.request_date, to_char(tr.request_time, 'HH24:MI') AS shift
      FROM transport_requests tr
      JOIN transport_request_employees tre ON tre.request_id=tr.id
      WHERE tr.status='HR_FINAL_APPROVED' AND tr.request_date=$1 AND tre.employee_id=$2
@@ -39,12 +47,29 @@ router.get("/today-transport", asyncHandler(async (req, res) => {
   const subId = tre.rows[0].effective_sub_route_id;
 
   const routeInfo = await query("SELECT id, route_no, route_name FROM routes WHERE id=$1", [routeId]);
-  const subInfo = subId ? await query("SELECT id, sub_name FROM sub_routes WHERE id=$1", [subId]) : { rows: [] };
+  // Whole stop sequence of the route with estimated times; the employee's own stop is flagged
+  const stops = routeId
+    ? await query(
+      `SELECT sr.id, sr.sub_name, sr.stop_order, sr.stop_offset_minutes, sr.landmark
+       FROM sub_routes sr WHERE sr.route_id=$1 ORDER BY ${stopOrderSql("sr")}`,
+      [routeId]
+    )
+    : { rows: [] };
+  const stopList = stops.rows.map(st => ({
+    id: st.id,
+    sub_name: st.sub_name,
+    stop_order: st.stop_order,
+    landmark: st.landmark,
+    estimated_time: stopEta(reqRow.rows[0].shift, st.stop_offset_minutes),
+    is_my_stop: st.id === subId
+  }));
 
   let assignments = await query(
-    `SELECT ra.id, v.vehicle_no, COALESCE(v.registration_no, v.vehicle_no) as registration_no, v.fleet_no, ra.driver_name, ra.driver_phone, ra.instructions
+    `SELECT ra.id, v.vehicle_no, COALESCE(v.registration_no, v.vehicle_no) as registration_no, v.fleet_no,
+            COALESCE(d.full_name, ra.driver_name) as driver_name, COALESCE(d.phone, ra.driver_phone) as driver_phone, ra.instructions
      FROM request_assignments ra
      JOIN vehicles v ON v.id=ra.vehicle_id
+     LEFT JOIN drivers d ON d.id=ra.driver_id
      WHERE ra.request_id=$1
        AND ra.route_id IS NOT DISTINCT FROM $2
        AND ra.sub_route_id IS NOT DISTINCT FROM $3
@@ -56,9 +81,11 @@ router.get("/today-transport", asyncHandler(async (req, res) => {
   // fall back to the route-level assignment when a sub-route specific assignment is not found.
   if (assignments.rowCount === 0 && subId) {
     assignments = await query(
-      `SELECT ra.id, v.vehicle_no, COALESCE(v.registration_no, v.vehicle_no) as registration_no, v.fleet_no, ra.driver_name, ra.driver_phone, ra.instructions
+      `SELECT ra.id, v.vehicle_no, COALESCE(v.registration_no, v.vehicle_no) as registration_no, v.fleet_no,
+              COALESCE(d.full_name, ra.driver_name) as driver_name, COALESCE(d.phone, ra.driver_phone) as driver_phone, ra.instructions
        FROM request_assignments ra
        JOIN vehicles v ON v.id=ra.vehicle_id
+       LEFT JOIN drivers d ON d.id=ra.driver_id
        WHERE ra.request_id=$1
          AND ra.route_id IS NOT DISTINCT FROM $2
          AND ra.sub_route_id IS NULL
@@ -71,8 +98,10 @@ router.get("/today-transport", asyncHandler(async (req, res) => {
     ok: true,
     has_transport: true,
     date: today,
+    shift: reqRow.rows[0].shift,
     route: routeInfo.rows[0] || null,
-    sub_route: subInfo.rows[0] || null,
+    sub_route: stopList.find(st => st.is_my_stop) || null,
+    stops: stopList,
     vehicles: assignments.rows.map(a => ({
       vehicle_registration_no: a.registration_no,
       vehicle_no: a.vehicle_no,
@@ -84,4 +113,246 @@ router.get("/today-transport", asyncHandler(async (req, res) => {
   });
 }));
 
+// ---- Trip history ----
+// One row per date/shift the employee was put on: the daily master once Admin has locked
+// the shift, otherwise the department request. Vehicle/driver only after HR final approval.
+const MAX_HISTORY_DAYS = 92;
+const tripsSchema = z.object({ query: z.object({ from: isoDate.optional(), to: isoDate.optional() }) });
+
+router.get("/trips", validate(tripsSchema), asyncHandler(async (req, res) => {
+  const empId = req.user.employee_id;
+  if (!empId) throw httpError(400, "Your account is not linked to an employee record");
+
+  const today = DateTime.now().setZone("Asia/Colombo").startOf("day");
+  const from = req.validated.query.from ? DateTime.fromISO(req.validated.query.from, { zone: "Asia/Colombo" }) : today.minus({ days: 30 });
+  const to = req.validated.query.to ? DateTime.fromISO(req.validated.query.to, { zone: "Asia/Colombo" }) : today.plus({ days: 14 });
+  if (!from.isValid || !to.isValid || to < from) throw httpError(400, "Invalid date range");
+  if (to.diff(from, "days").days > MAX_HISTORY_DAYS) throw httpError(400, `Max ${MAX_HISTORY_DAYS} days per query`);
+
+  const r = await query(
+    `SELECT DISTINCT ON (tr.request_date, tr.request_time)
+            tr.id AS request_id, to_char(tr.request_date, 'YYYY-MM-DD') AS date, to_char(tr.request_time, 'HH24:MI') AS shift,
+            tr.status, tr.is_daily_master,
+            r.id AS route_id, r.route_no, r.route_name,
+            sr.id AS sub_route_id, sr.sub_name, sr.landmark, sr.stop_offset_minutes,
+            tre.assigned_vehicle_id, tre.opted_out_at, tre.opt_out_reason
+     FROM transport_request_employees tre
+     JOIN transport_requests tr ON tr.id = tre.request_id
+     LEFT JOIN routes r ON r.id = tre.effective_route_id
+     LEFT JOIN sub_routes sr ON sr.id = tre.effective_sub_route_id
+     WHERE tre.employee_id=$1 AND tr.request_date BETWEEN $2 AND $3 AND tr.status <> 'REJECTED'
+     ORDER BY tr.request_date, tr.request_time, tr.is_daily_master DESC, tr.id DESC`,
+    [empId, from.toISODate(), to.toISODate()]
+  );
+
+  const confirmedIds = r.rows.filter(t => t.status === "HR_FINAL_APPROVED").map(t => t.request_id);
+  const vehicles = confirmedIds.length
+    ? await query(
+      `SELECT ra.request_id, ra.route_id, ra.vehicle_id, v.vehicle_no, COALESCE(v.registration_no, v.vehicle_no) AS registration_no,
+              v.fleet_no, v.vehicle_type, COALESCE(d.full_name, ra.driver_name) AS driver_name,
+              COALESCE(d.phone, ra.driver_phone) AS driver_phone, ra.instructions
+       FROM request_assignments ra
+       JOIN vehicles v ON v.id = ra.vehicle_id
+       LEFT JOIN drivers d ON d.id = ra.driver_id
+       WHERE ra.request_id = ANY($1::int[])
+       ORDER BY ra.id`,
+      [confirmedIds]
+    )
+    : { rows: [] };
+
+  const todayIso = today.toISODate();
+  const trips = r.rows.map(t => {
+    const confirmed = t.status === "HR_FINAL_APPROVED";
+    // The employee's own vehicle when TA seated them, otherwise every vehicle on their route
+    const onRoute = vehicles.rows.filter(v => v.request_id === t.request_id && v.route_id === t.route_id);
+    const mine = t.assigned_vehicle_id ? onRoute.filter(v => v.vehicle_id === t.assigned_vehicle_id) : [];
+    return {
+      date: t.date,
+      shift: t.shift,
+      status: t.status,
+      confirmed,
+      is_past: t.date < todayIso,
+      opted_out: Boolean(t.opted_out_at),
+      opt_out_reason: t.opt_out_reason,
+      route: t.route_id ? { id: t.route_id, route_no: t.route_no, route_name: t.route_name } : null,
+      sub_route: t.sub_route_id
+        ? { id: t.sub_route_id, sub_name: t.sub_name, landmark: t.landmark, estimated_time: stopEta(t.shift, t.stop_offset_minutes) }
+        : null,
+      vehicles: confirmed
+        ? (mine.length ? mine : onRoute).map(v => ({
+          vehicle_registration_no: v.registration_no,
+          vehicle_no: v.vehicle_no,
+          fleet_no: v.fleet_no,
+          vehicle_type: v.vehicle_type,
+          driver_name: v.driver_name,
+          driver_phone: v.driver_phone,
+          instructions: v.instructions
+        }))
+        : []
+    };
+  });
+
+  res.json({ ok: true, from: from.toISODate(), to: to.toISODate(), trips });
+}));
+
+// ---- Opt-out ----
+// Until Admin locks the shift an employee can say they won't travel. The row on the department
+// request is flagged (not deleted) so the HOD still sees it; lockShift leaves it out of the master.
+const optOutSchema = z.object({
+  params: z.object({ date: isoDate }),
+  body: z.object({
+    reason: z.string().trim().min(3).max(500),
+    shift: z.string().optional()
+  })
+});
+
+router.post("/trips/:date/opt-out", validate(optOutSchema), asyncHandler(async (req, res) => {
+  const empId = req.user.employee_id;
+  if (!empId) throw httpError(400, "Your account is not linked to an employee record");
+  const { date } = req.validated.params;
+  const { reason } = req.validated.body;
+  const shift = req.validated.body.shift ? normalizeShift(req.validated.body.shift) : null;
+
+  const today = DateTime.now().setZone("Asia/Colombo").toISODate();
+  if (date < today) throw httpError(400, "Cannot opt out of a past trip");
+
+  const result = await withTransaction(async (tx) => {
+    const rows = await tx.query(
+      `SELECT tre.id, tre.opted_out_at, tr.id AS request_id, tr.department_id, tr.status,
+              to_char(tr.request_time, 'HH24:MI') AS shift
+       FROM transport_request_employees tre
+       JOIN transport_requests tr ON tr.id = tre.request_id
+       WHERE tre.employee_id=$1 AND tr.request_date=$2 AND tr.is_daily_master=FALSE
+         AND tr.status IN ('DRAFT','SUBMITTED','ADMIN_APPROVED')
+         AND ($3::time IS NULL OR tr.request_time=$3::time)
+       FOR UPDATE OF tre`,
+      [empId, date, shift]
+    );
+    if (rows.rowCount === 0) throw httpError(404, "You are not on a transport request for that date");
+
+    const shifts = [...new Set(rows.rows.map(r => r.shift))];
+    if (shifts.length > 1) throw httpError(400, `You are on more than one shift on ${date} (${shifts.join(", ")}); pass shift=HH:MM`);
+    if (await findMaster(date, shifts[0], tx)) {
+      throw httpError(400, `${shifts[0]} shift එක Admin විසින් අගුළු දමා ඇත. ප්‍රවාහන අධිකාරිය සම්බන්ධ කරගන්න.`);
+    }
+
+    const open = rows.rows.filter(r => !r.opted_out_at);
+    if (open.length === 0) throw httpError(409, "You have already opted out of that trip");
+
+    await tx.query(
+      "UPDATE transport_request_employees SET opted_out_at=NOW(), opt_out_reason=$2 WHERE id = ANY($1::int[])",
+      [open.map(r => r.id), reason]
+    );
+    for (const r of open) {
+      await recordAudit(tx, {
+        requestId: r.request_id, userId: req.user.user_id, action: "EMP_OPT_OUT",
+        fromStatus: r.status, toStatus: r.status, comment: reason, diff: { employee_id: empId }
+      });
+    }
+
+    const e = await tx.query("SELECT emp_no, full_name FROM employees WHERE id=$1", [empId]);
+    const hods = await usersWithRole(tx, "HOD", { departmentIds: [...new Set(open.map(r => r.department_id))] });
+    await enqueueNotification(tx, "emp_opt_out", hods, { ...e.rows[0], date, shift: shifts[0], reason });
+    return { shift: shifts[0], requestIds: open.map(r => r.request_id) };
+  });
+
+  res.json({ ok: true, date, shift: result.shift, request_ids: result.requestIds });
+}));
+
+// ---- Route change requests ----
+// The employee asks for a new default route/sub-route; their HOD approves it (see hod.js).
+const ROUTE_CHANGE_SELECT = `
+  SELECT rc.id, rc.status, rc.reason, rc.created_at,
+         rc.route_id, r.route_no, r.route_name, rc.sub_route_id, sr.sub_name,
+         rc.decided_at, rc.decision_comment
+  FROM route_change_requests rc
+  JOIN routes r ON r.id = rc.route_id
+  LEFT JOIN sub_routes sr ON sr.id = rc.sub_route_id`;
+
+const routeChangeSchema = z.object({
+  body: z.object({
+    route_id: z.coerce.number().int().positive(),
+    sub_route_id: z.coerce.number().int().positive().nullable().optional(),
+    reason: z.string().trim().max(500).optional()
+  })
+});
+
+router.get("/route-change", asyncHandler(async (req, res) => {
+  const empId = req.user.employee_id;
+  if (!empId) throw httpError(400, "Your account is not linked to an employee record");
+  const cur = await query(
+    `SELECT e.default_route_id AS route_id, r.route_no, r.route_name, e.default_sub_route_id AS sub_route_id, sr.sub_name
+     FROM employees e
+     LEFT JOIN routes r ON r.id = e.default_route_id
+     LEFT JOIN sub_routes sr ON sr.id = e.default_sub_route_id
+     WHERE e.id=$1`,
+    [empId]
+  );
+  const r = await query(`${ROUTE_CHANGE_SELECT} WHERE rc.employee_id=$1 ORDER BY rc.created_at DESC LIMIT 20`, [empId]);
+  res.json({ ok: true, current: cur.rows[0] || null, requests: r.rows });
+}));
+
+router.post("/route-change", validate(routeChangeSchema), asyncHandler(async (req, res) => {
+  const empId = req.user.employee_id;
+  if (!empId) throw httpError(400, "Your account is not linked to an employee record");
+  const { route_id, sub_route_id = null, reason = null } = req.validated.body;
+
+  const id = await withTransaction(async (tx) => {
+    const e = await tx.query("SELECT default_route_id, default_sub_route_id FROM employees WHERE id=$1 FOR UPDATE", [empId]);
+    if (e.rowCount === 0) throw httpError(404, "Employee not found");
+
+    const route = await tx.query("SELECT id FROM routes WHERE id=$1", [route_id]);
+    if (route.rowCount === 0) throw httpError(400, "Invalid route");
+    if (sub_route_id) {
+      const sub = await tx.query("SELECT id FROM sub_routes WHERE id=$1 AND route_id=$2", [sub_route_id, route_id]);
+      if (sub.rowCount === 0) throw httpError(400, "Sub-route does not belong to that route");
+    }
+    if (e.rows[0].default_route_id === route_id && e.rows[0].default_sub_route_id === sub_route_id) {
+      throw httpError(400, "That is already your default route");
+    }
+
+    const pending = await tx.query("SELECT id FROM route_change_requests WHERE employee_id=$1 AND status='PENDING'", [empId]);
+    if (pending.rowCount > 0) throw httpError(409, "You already have a pending route change request");
+
+    const ins = await tx.query(
+      `INSERT INTO route_change_requests (employee_id, requested_by_user_id, route_id, sub_route_id, reason)
+       VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+      [empId, req.user.user_id, route_id, sub_route_id, reason]
+    );
+    return ins.rows[0].id;
+  });
+  const r = await query(`${ROUTE_CHANGE_SELECT} WHERE rc.id=$1`, [id]);
+  res.json({ ok: true, request: r.rows[0] });
+}));
+
+router.post("/route-change/:id/cancel", asyncHandler(async (req, res) => {
+  const empId = req.user.employee_id;
+  const id = parseInt(req.params.id, 10);
+  const r = await query(
+    "UPDATE route_change_requests SET status='CANCELLED', decided_by_user_id=$3, decided_at=NOW() WHERE id=$1 AND employee_id=$2 AND status='PENDING'",
+    [id, empId, req.user.user_id]
+  );
+  if (r.rowCount === 0) throw httpError(404, "Pending route change request not found");
+  res.json({ ok: true });
+}));
+
+// ---- Mobile number (trip SMS after final approval) ----
+const phoneSchema = z.object({
+  body: z.object({ phone: z.string().trim().refine(p => normalizePhone(p), "Invalid phone number").nullable() })
+});
+
+router.get("/phone", asyncHandler(async (req, res) => {
+  if (!req.user.employee_id) throw httpError(400, "User has no employee record");
+  const r = await query("SELECT phone FROM employees WHERE id=$1", [req.user.employee_id]);
+  res.json({ ok: true, phone: r.rows[0] ? r.rows[0].phone : null });
+}));
+
+// null removes the number (no SMS)
+router.put("/phone", validate(phoneSchema), asyncHandler(async (req, res) => {
+  if (!req.user.employee_id) throw httpError(400, "User has no employee record");
+  const { phone } = req.validated.body;
+  await query("UPDATE employees SET phone=$2 WHERE id=$1", [req.user.employee_id, phone]);
+  res.json({ ok: true, phone });
+}));
+
 module.exports = router;
@@ -0,0 +1,69 @@
+const express = require("express");
+const { z } = require("zod");
+const { query } = require("../db/pool");
+const { authRequired } = require("../middleware/auth");
+const { validate } = require("../utils/validate");
+const { canSee, subscribe, eventsSince } = require("../services/events");
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;   // keeps proxies from closing an idle stream
+
+const eventsSchema = z.object({
+  query: z.object({ types: z.string().trim().min(1).optional() })
+});
+
+// Server-Sent Events stream for dashboards (Authorization: Bearer header, so browsers need a
+// fetch-based EventSource). Events: request_status, run_locked, registration_pending,
+// overbook_decision, each filtered by role and department. ?types=a,b limits the stream.
+// The stream ends when the access token expires, or on a heartbeat that finds the account
+// disabled or its role/department changed (as authRequired would refuse or re-scope it); the
+// client reconnects with a fresh token and Last-Event-ID to receive what it missed.
+router.get("/", authRequired, validate(eventsSchema), (req, res) => {
+  const user = req.user;
+  const types = req.validated.query.types ? new Set(req.validated.query.types.split(",").map(t => t.trim())) : null;
+  const wanted = (e) => (!types || types.has(e.type)) && canSee(user, e.audience);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const send = (e) => {
+    res.write(`id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify({ ...e.data, at: e.at })}\n\n`);
+  };
+  res.write("retry: 5000\n\n");
+  const lastEventId = parseInt(req.get("Last-Event-ID") || "", 10);
+  if (Number.isFinite(lastEventId)) eventsSince(lastEventId).filter(wanted).forEach(send);
+  res.write(`event: ready\ndata: ${JSON.stringify({ role: user.role, department_id: user.department_id || null })}\n\n`);
+
+  const unsubscribe = subscribe((e) => { if (wanted(e)) send(e); });
+  const heartbeat = setInterval(async () => {
+    try {
+      const r = await query("SELECT role, status, department_id, must_change_password FROM users WHERE id=$1", [user.user_id]);
+      const u = r.rows[0];
+      if (res.writableEnded) return;
+      if (!u || u.status !== "ACTIVE" || u.role !== user.role || u.must_change_password
+        || (u.department_id || null) !== (user.department_id || null)) {
+        return res.end();
+      }
+      res.write(": ping\n\n");
+    } catch (e) {
+      console.error("[events] account check failed:", e.message);
+    }
+  }, HEARTBEAT_MS);
+  const expiry = user.exp
+    ? setTimeout(() => res.end(), Math.max(0, user.exp * 1000 - Date.now()))
+    : null;
+
+  req.on("close", () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    if (expiry) clearTimeout(expiry);
+  });
+});
+
+module.exports = router;
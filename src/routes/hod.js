@@ -1,31 +1,41 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const { z } = require("zod");
-const { query } = require("../db/pool");
+const { query, withTransaction } = require("../db/pool");
 const { authRequired } = require("../middleware/auth");
 const { requireRole } = require("../middleware/rbac");
 const { httpError } = require("../utils/httpError");
 const { validate } = require("../utils/validate");
 const asyncHandler = require("../utils/asyncHandler");
+const { recordAudit } = require("../services/audit");
+const { occurrenceDates } = require("../services/scheduler");
+const { checkRunDate, calendarRange, isNonWorking } = require("../services/calendar");
+const { ensureRunOpen, submitRequest } = require("../services/dailyRun");
+const { importEmployees, exportEmployees } = require("../services/employeeImport");
+const { TRANSFER_SELECT, createTransfer, lockPendingTransfer, decideTransfer } = require("../services/transfers");
+const { closeRegistration } = require("../services/registrations");
+const { enqueueNotification } = require("../services/notifications");
+const { normalizePhone } = require("../services/sms");
+const { enqueueEmployeeCreated } = require("../services/webhooks");
+const { env } = require("../config/env");
+const { DateTime } = require("luxon");
 
 const router = express.Router();
 router.use(authRequired, requireRole("HOD"));
 
 
-async function ensureRunOpen(requestDate){
-  const master = await query("SELECT id, status FROM transport_requests WHERE request_date=$1 AND is_daily_master=TRUE", [requestDate]);
-  if (master.rowCount > 0) {
-    throw httpError(400, "අද දවස Admin විසින් අගුළු දමා ඇත. නැවත submit/edit කල නොහැක.");
-  }
-}
 
 // ---- Employees ----
+// Mobile number for trip SMS; stored as entered, normalised when sending
+const phoneSchema = z.string().trim().refine(p => normalizePhone(p), "Invalid phone number");
+
 const employeeCreateSchema = z.object({
   body: z.object({
     full_name: z.string().min(2),
     emp_no: z.string().min(1),
     default_route_id: z.coerce.number().int().positive().nullable().optional(),
     default_sub_route_id: z.coerce.number().int().positive().nullable().optional(),
+    phone: phoneSchema.nullable().optional(),
     email: z.string().email().optional(),
     password: z.string().min(6).optional()
   })
@@ -34,7 +44,7 @@ const employeeCreateSchema = z.object({
 router.get("/employees", asyncHandler(async (req, res) => {
   const depId = req.user.department_id;
   const r = await query(
-    "SELECT id, emp_no, full_name, department_id, default_route_id, default_sub_route_id, is_active FROM employees WHERE department_id=$1 ORDER BY full_name",
+    "SELECT id, emp_no, full_name, department_id, default_route_id, default_sub_route_id, phone, is_active FROM employees WHERE department_id=$1 ORDER BY full_name",
     [depId]
   );
   res.json({ ok: true, employees: r.rows });
@@ -44,30 +54,35 @@ router.post("/employees", validate(employeeCreateSchema), asyncHandler(async (re
   const depId = req.user.department_id;
   if (!depId) throw httpError(400, "HOD has no department_id");
 
-  const { full_name, emp_no, default_route_id = null, default_sub_route_id = null, email, password } = req.body;
+  const { full_name, emp_no, default_route_id = null, default_sub_route_id = null, phone = null, email, password } = req.body;
 
-  const empExists = await query("SELECT id FROM employees WHERE emp_no=$1", [emp_no]);
-  if (empExists.rowCount > 0) throw httpError(409, "emp_no already exists");
+  const hash = (email && password) ? await bcrypt.hash(password, 12) : null;
 
-  const emp = await query(
-    "INSERT INTO employees (emp_no, full_name, department_id, default_route_id, default_sub_route_id, is_active) VALUES ($1,$2,$3,$4,$5,true) RETURNING *",
-    [emp_no, full_name, depId, default_route_id, default_sub_route_id]
-  );
+  const { employee, user } = await withTransaction(async (tx) => {
+    const empExists = await tx.query("SELECT id FROM employees WHERE emp_no=$1", [emp_no]);
+    if (empExists.rowCount > 0) throw httpError(409, "emp_no already exists");
 
-  // If email+password provided: create EMP user ACTIVE immediately
-  let user = null;
-  if (email && password) {
-    const uExists = await query("SELECT id FROM users WHERE email=$1", [email]);
-    if (uExists.rowCount > 0) throw httpError(409, "Email already exists");
-    const hash = await bcrypt.hash(password, 12);
-    const u = await query(
-      "INSERT INTO users (email, password_hash, role, status, department_id, employee_id) VALUES ($1,$2,'EMP','ACTIVE',$3,$4) RETURNING id, email, role, status",
-      [email, hash, depId, emp.rows[0].id]
+    const emp = await tx.query(
+      "INSERT INTO employees (emp_no, full_name, department_id, default_route_id, default_sub_route_id, phone, is_active) VALUES ($1,$2,$3,$4,$5,$6,true) RETURNING *",
+      [emp_no, full_name, depId, default_route_id, default_sub_route_id, phone]
     );
-    user = u.rows[0];
-  }
+    await enqueueEmployeeCreated(tx, emp.rows[0].id, "hod");
+
+    // If email+password provided: create EMP user ACTIVE immediately
+    let u = null;
+    if (hash) {
+      const uExists = await tx.query("SELECT id FROM users WHERE email=$1", [email]);
+      if (uExists.rowCount > 0) throw httpError(409, "Email already exists");
+      const ins = await tx.query(
+        "INSERT INTO users (email, password_hash, role, status, department_id, employee_id) VALUES ($1,$2,'EMP','ACTIVE',$3,$4) RETURNING id, email, role, status",
+        [email, hash, depId, emp.rows[0].id]
+      );
+      u = ins.rows[0];
+    }
+    return { employee: emp.rows[0], user: u };
+  });
 
-  res.json({ ok: true, employee: emp.rows[0], user });
+  res.json({ ok: true, employee, user });
 }));
 
 const employeeUpdateSchema = z.object({
@@ -75,6 +90,7 @@ const employeeUpdateSchema = z.object({
     full_name: z.string().min(2).optional(),
     default_route_id: z.coerce.number().int().positive().nullable().optional(),
     default_sub_route_id: z.coerce.number().int().positive().nullable().optional(),
+    phone: phoneSchema.nullable().optional(),
     is_active: z.boolean().optional()
   })
 });
@@ -89,7 +105,7 @@ router.patch("/employees/:id", validate(employeeUpdateSchema), asyncHandler(asyn
   const fields = [];
   const vals = [];
   let i = 1;
-  for (const k of ["full_name","default_route_id","default_sub_route_id","is_active"]) {
+  for (const k of ["full_name","default_route_id","default_sub_route_id","phone","is_active"]) {
     if (Object.prototype.hasOwnProperty.call(req.body, k)) {
       fields.push(`${k}=$${i++}`);
       vals.push(req.body[k]);
@@ -104,12 +120,116 @@ router.patch("/employees/:id", validate(employeeUpdateSchema), asyncHandler(asyn
   res.json({ ok: true, employee: upd.rows[0] });
 }));
 
+// Bulk import/export (columns: emp_no, full_name, department, route_no, sub_route).
+// Upload the CSV/XLSX file as the request body; dry_run=true only previews. Rows are saved
+// together in one transaction, and nothing is saved if any row has an error.
+const employeeImportSchema = z.object({
+  query: z.object({
+    format: z.enum(["csv", "xlsx"]).optional(),
+    dry_run: z.enum(["true", "false"]).optional()
+  })
+});
+const employeeExportSchema = z.object({ query: z.object({ format: z.enum(["csv", "xlsx"]).optional() }) });
+
+router.post(
+  "/employees/import",
+  express.raw({ type: () => true, limit: "5mb" }),
+  validate(employeeImportSchema),
+  asyncHandler(async (req, res) => {
+    const depId = req.user.department_id;
+    if (!depId) throw httpError(400, "HOD has no department_id");
+    const { format, dry_run } = req.validated.query;
+    const result = await importEmployees({ body: req.body, format, dryRun: dry_run === "true", departmentId: depId });
+    res.status(result.errors.length ? 400 : 200).json({ ok: result.errors.length === 0, dry_run: dry_run === "true", ...result });
+  })
+);
+
+router.get("/employees/export", validate(employeeExportSchema), asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  if (!depId) throw httpError(400, "HOD has no department_id");
+  const format = req.validated.query.format || "csv";
+  const file = await exportEmployees({ departmentId: depId, format });
+  res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="employees-dep${depId}.${format}"`);
+  res.send(file);
+}));
+
+// ---- Department transfers ----
+// The source HOD starts a transfer; the target department's HOD accepts or rejects it.
+const transferCreateSchema = z.object({
+  body: z.object({
+    to_department_id: z.coerce.number().int().positive(),
+    reason: z.string().trim().max(500).optional()
+  })
+});
+const transferDecisionSchema = z.object({ body: z.object({ comment: z.string().trim().max(500).optional() }) });
+const transferRejectSchema = z.object({ body: z.object({ reason: z.string().trim().min(3) }) });
+
+router.post("/employees/:id/transfer", validate(transferCreateSchema), asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const employeeId = parseInt(req.params.id, 10);
+  const { to_department_id, reason = null } = req.validated.body;
+
+  const transferId = await withTransaction((tx) => createTransfer(tx, {
+    employeeId, toDepartmentId: to_department_id, userId: req.user.user_id, reason, fromDepartmentId: depId
+  }));
+  const t = await query(`${TRANSFER_SELECT} WHERE t.id=$1`, [transferId]);
+  res.json({ ok: true, transfer: t.rows[0] });
+}));
+
+// incoming: waiting for this HOD; outgoing: started from this department (latest 100)
+router.get("/transfers", asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const incoming = await query(
+    `${TRANSFER_SELECT} WHERE t.to_department_id=$1 AND t.status='PENDING' ORDER BY t.created_at`,
+    [depId]
+  );
+  const outgoing = await query(
+    `${TRANSFER_SELECT} WHERE t.from_department_id=$1 ORDER BY t.created_at DESC LIMIT 100`,
+    [depId]
+  );
+  res.json({ ok: true, incoming: incoming.rows, outgoing: outgoing.rows });
+}));
+
+async function decideAsHod(req, status, comment, allowed) {
+  const depId = req.user.department_id;
+  const id = parseInt(req.params.id, 10);
+  await withTransaction(async (tx) => {
+    const t = await lockPendingTransfer(tx, id);
+    if (!allowed(t, depId)) throw httpError(404, "Transfer not found");
+    await decideTransfer(tx, t, { status, userId: req.user.user_id, comment });
+  });
+  const t = await query(`${TRANSFER_SELECT} WHERE t.id=$1`, [id]);
+  return t.rows[0];
+}
+
+router.post("/transfers/:id/accept", validate(transferDecisionSchema), asyncHandler(async (req, res) => {
+  const transfer = await decideAsHod(req, "ACCEPTED", req.validated.body.comment || null, (t, dep) => t.to_department_id === dep);
+  res.json({ ok: true, transfer });
+}));
+
+router.post("/transfers/:id/reject", validate(transferRejectSchema), asyncHandler(async (req, res) => {
+  const transfer = await decideAsHod(req, "REJECTED", req.validated.body.reason, (t, dep) => t.to_department_id === dep);
+  res.json({ ok: true, transfer });
+}));
+
+router.post("/transfers/:id/cancel", asyncHandler(async (req, res) => {
+  const transfer = await decideAsHod(req, "CANCELLED", null, (t, dep) => t.from_department_id === dep);
+  res.json({ ok: true, transfer });
+}));
+
 // ---- Pending self-registrations ----
+// Left undecided for REGISTRATION_EXPIRY_DAYS they are closed automatically (services/registrations)
 router.get("/registrations/pending", asyncHandler(async (req, res) => {
   const depId = req.user.department_id;
   const r = await query(
-    "SELECT id, email, status, employee_id, created_at FROM users WHERE department_id=$1 AND role='EMP' AND status='PENDING_HOD' ORDER BY created_at",
-    [depId]
+    `SELECT u.id, u.email, u.status, u.employee_id, e.emp_no, e.full_name, u.created_at,
+            CASE WHEN $2::int > 0 THEN u.created_at + make_interval(days => $2::int) END AS expires_at
+     FROM users u
+     LEFT JOIN employees e ON e.id = u.employee_id
+     WHERE u.department_id=$1 AND u.role='EMP' AND u.status='PENDING_HOD'
+     ORDER BY u.created_at`,
+    [depId, env.REGISTRATION_EXPIRY_DAYS]
   );
   res.json({ ok: true, pending: r.rows });
 }));
@@ -118,17 +238,131 @@ router.post("/registrations/:id/approve", asyncHandler(async (req, res) => {
   const depId = req.user.department_id;
   const id = parseInt(req.params.id, 10);
 
-  const u = await query("SELECT id, employee_id FROM users WHERE id=$1 AND department_id=$2 AND status='PENDING_HOD'", [id, depId]);
-  if (u.rowCount === 0) throw httpError(404, "Pending registration not found");
+  await withTransaction(async (tx) => {
+    const u = await tx.query(
+      `SELECT u.id, u.email, u.employee_id, e.full_name FROM users u LEFT JOIN employees e ON e.id = u.employee_id
+       WHERE u.id=$1 AND u.department_id=$2 AND u.status='PENDING_HOD' FOR UPDATE OF u`,
+      [id, depId]
+    );
+    if (u.rowCount === 0) throw httpError(404, "Pending registration not found");
 
-  await query("UPDATE users SET status='ACTIVE' WHERE id=$1", [id]);
-  if (u.rows[0].employee_id) {
-    await query("UPDATE employees SET is_active=true WHERE id=$1", [u.rows[0].employee_id]);
-  }
+    await tx.query("UPDATE users SET status='ACTIVE' WHERE id=$1", [id]);
+    if (u.rows[0].employee_id) {
+      await tx.query("UPDATE employees SET is_active=true WHERE id=$1", [u.rows[0].employee_id]);
+      await enqueueEmployeeCreated(tx, u.rows[0].employee_id, "registration");
+    }
+    const name = u.rows[0].full_name || "";
+    await enqueueNotification(tx, "registration_approved", [{ email: u.rows[0].email, user_id: id, name }], { name });
+  });
   res.json({ ok: true });
 }));
 
+const registrationRejectSchema = z.object({ body: z.object({ reason: z.string().trim().min(3).max(500) }) });
+
+// Soft reject: the account is disabled, its email and emp_no freed, and the registrant emailed
+router.post("/registrations/:id/reject", validate(registrationRejectSchema), asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const id = parseInt(req.params.id, 10);
+
+  await withTransaction(async (tx) => {
+    const u = await tx.query(
+      "SELECT id, email, employee_id FROM users WHERE id=$1 AND department_id=$2 AND role='EMP' AND status='PENDING_HOD' FOR UPDATE",
+      [id, depId]
+    );
+    if (u.rowCount === 0) throw httpError(404, "Pending registration not found");
+    await closeRegistration(tx, u.rows[0], { action: "REGISTRATION_REJECT", reason: req.validated.body.reason, userId: req.user.user_id });
+  });
+  res.json({ ok: true });
+}));
+
+// ---- Employee route change requests ----
+// Raised by EMP users (/emp/route-change); approving sets the employee's default route.
+const ROUTE_CHANGE_SELECT = `
+  SELECT rc.id, rc.employee_id, e.emp_no, e.full_name, rc.status, rc.reason, rc.created_at,
+         e.default_route_id AS current_route_id, cr.route_no AS current_route_no,
+         e.default_sub_route_id AS current_sub_route_id, csr.sub_name AS current_sub_name,
+         rc.route_id, r.route_no, r.route_name, rc.sub_route_id, sr.sub_name
+  FROM route_change_requests rc
+  JOIN employees e ON e.id = rc.employee_id
+  JOIN routes r ON r.id = rc.route_id
+  LEFT JOIN sub_routes sr ON sr.id = rc.sub_route_id
+  LEFT JOIN routes cr ON cr.id = e.default_route_id
+  LEFT JOIN sub_routes csr ON csr.id = e.default_sub_route_id`;
+
+const routeChangeApproveSchema = z.object({ body: z.object({ comment: z.string().trim().max(500).optional() }) });
+const routeChangeRejectSchema = z.object({ body: z.object({ reason: z.string().trim().min(3) }) });
+
+router.get("/route-changes/pending", asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const r = await query(
+    `${ROUTE_CHANGE_SELECT} WHERE e.department_id=$1 AND rc.status='PENDING' ORDER BY rc.created_at`,
+    [depId]
+  );
+  res.json({ ok: true, pending: r.rows });
+}));
+
+async function lockRouteChange(tx, id, depId) {
+  const r = await tx.query(
+    `SELECT rc.* FROM route_change_requests rc
+     JOIN employees e ON e.id = rc.employee_id
+     WHERE rc.id=$1 AND e.department_id=$2 AND rc.status='PENDING'
+     FOR UPDATE OF rc`,
+    [id, depId]
+  );
+  if (r.rowCount === 0) throw httpError(404, "Pending route change request not found");
+  return r.rows[0];
+}
+
+router.post("/route-changes/:id/approve", validate(routeChangeApproveSchema), asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const id = parseInt(req.params.id, 10);
+
+  await withTransaction(async (tx) => {
+    const rc = await lockRouteChange(tx, id, depId);
+    if (rc.sub_route_id) {
+      // The stop may have been moved/deleted since the employee asked
+      const sub = await tx.query("SELECT id FROM sub_routes WHERE id=$1 AND route_id=$2", [rc.sub_route_id, rc.route_id]);
+      if (sub.rowCount === 0) throw httpError(409, "The requested sub-route no longer belongs to that route");
+    }
+    await tx.query(
+      "UPDATE employees SET default_route_id=$2, default_sub_route_id=$3 WHERE id=$1",
+      [rc.employee_id, rc.route_id, rc.sub_route_id]
+    );
+    await tx.query(
+      "UPDATE route_change_requests SET status='APPROVED', decided_by_user_id=$2, decided_at=NOW(), decision_comment=$3 WHERE id=$1",
+      [id, req.user.user_id, req.validated.body.comment || null]
+    );
+  });
+  const r = await query(`${ROUTE_CHANGE_SELECT} WHERE rc.id=$1`, [id]);
+  res.json({ ok: true, request: r.rows[0] });
+}));
+
+router.post("/route-changes/:id/reject", validate(routeChangeRejectSchema), asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const id = parseInt(req.params.id, 10);
+
+  await withTransaction(async (tx) => {
+    await lockRouteChange(tx, id, depId);
+    await tx.query(
+      "UPDATE route_change_requests SET status='REJECTED', decided_by_user_id=$2, decided_at=NOW(), decision_comment=$3 WHERE id=$1",
+      [id, req.user.user_id, req.validated.body.reason]
+    );
+  });
+  const r = await query(`${ROUTE_CHANGE_SELECT} WHERE rc.id=$1`, [id]);
+  res.json({ ok: true, request: r.rows[0] });
+}));
+
 // ---- Requests ----
+// Latest Admin reject/return reason, so the HOD can see why a request came back
+const LAST_RETURN_JOIN = `LEFT JOIN LATERAL (
+       SELECT a.action, a.comment, a.created_at
+       FROM approvals_audit a
+       WHERE a.request_id = tr.id AND a.action IN ('ADMIN_REJECT','ADMIN_RETURN_TO_HOD')
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT 1
+     ) lr ON tr.status IN ('DRAFT','REJECTED')`;
+const LAST_RETURN_SQL = "lr.action AS last_return_action, lr.comment AS last_return_reason, lr.created_at AS last_return_at";
+
 const requestCreateSchema = z.object({
   body: z.object({
     request_date: z.string().min(10),   // YYYY-MM-DD
@@ -143,34 +377,48 @@ router.post("/requests", validate(requestCreateSchema), asyncHandler(async (req,
   const userId = req.user.user_id;
   const { request_date, request_time, notes = null, employee_ids } = req.body;
 
-  await ensureRunOpen(request_date);
-
-  // validate employees belong to HOD department
-  const emps = await query(
-    "SELECT id, default_route_id, default_sub_route_id FROM employees WHERE department_id=$1 AND id = ANY($2::int[])",
-    [depId, employee_ids]
-  );
-  if (emps.rowCount !== employee_ids.length) throw httpError(400, "Some employees not found in your department");
+  let warning = null;
+  const request = await withTransaction(async (tx) => {
+    await ensureRunOpen(request_date, request_time, tx);
+    ({ warning } = await checkRunDate(request_date, tx));
 
-  const reqRow = await query(
-    "INSERT INTO transport_requests (request_date, request_time, department_id, created_by_user_id, status, notes) VALUES ($1,$2,$3,$4,'DRAFT',$5) RETURNING *",
-    [request_date, request_time, depId, userId, notes]
-  );
+    // validate employees belong to HOD department
+    const emps = await tx.query(
+      "SELECT id, default_route_id, default_sub_route_id FROM employees WHERE department_id=$1 AND id = ANY($2::int[])",
+      [depId, employee_ids]
+    );
+    if (emps.rowCount !== employee_ids.length) throw httpError(400, "Some employees not found in your department");
 
-  for (const e of emps.rows) {
-    await query(
-      "INSERT INTO transport_request_employees (request_id, employee_id, effective_route_id, effective_sub_route_id) VALUES ($1,$2,$3,$4)",
-      [reqRow.rows[0].id, e.id, e.default_route_id, e.default_sub_route_id]
+    const reqRow = await tx.query(
+      "INSERT INTO transport_requests (request_date, request_time, department_id, created_by_user_id, status, notes) VALUES ($1,$2,$3,$4,'DRAFT',$5) RETURNING *",
+      [request_date, request_time, depId, userId, notes]
     );
-  }
 
-  res.json({ ok: true, request: reqRow.rows[0] });
+    for (const e of emps.rows) {
+      await tx.query(
+        "INSERT INTO transport_request_employees (request_id, employee_id, effective_route_id, effective_sub_route_id) VALUES ($1,$2,$3,$4)",
+        [reqRow.rows[0].id, e.id, e.default_route_id, e.default_sub_route_id]
+      );
+    }
+
+    await recordAudit(tx, {
+      requestId: reqRow.rows[0].id, userId, action: "CREATE", toStatus: "DRAFT",
+      diff: { request_date, request_time, notes, employee_ids }
+    });
+    return reqRow.rows[0];
+  });
+
+  res.json({ ok: true, request, warning });
 }));
 
 router.get("/requests", asyncHandler(async (req, res) => {
   const depId = req.user.department_id;
   const r = await query(
-    "SELECT * FROM transport_requests WHERE department_id=$1 ORDER BY request_date DESC, created_at DESC LIMIT 50",
+    `SELECT tr.*, ${LAST_RETURN_SQL}
+     FROM transport_requests tr
+     ${LAST_RETURN_JOIN}
+     WHERE tr.department_id=$1
+     ORDER BY tr.request_date DESC, tr.created_at DESC LIMIT 50`,
     [depId]
   );
   res.json({ ok: true, requests: r.rows });
@@ -180,11 +428,18 @@ router.get("/requests/:id", asyncHandler(async (req, res) => {
   const depId = req.user.department_id;
   const id = parseInt(req.params.id, 10);
 
-  const r = await query("SELECT * FROM transport_requests WHERE id=$1 AND department_id=$2", [id, depId]);
+  const r = await query(
+    `SELECT tr.*, ${LAST_RETURN_SQL}
+     FROM transport_requests tr
+     ${LAST_RETURN_JOIN}
+     WHERE tr.id=$1 AND tr.department_id=$2`,
+    [id, depId]
+  );
   if (r.rowCount === 0) throw httpError(404, "Request not found");
 
   const items = await query(
-    `SELECT tre.id, tre.employee_id, e.emp_no, e.full_name, tre.effective_route_id, tre.effective_sub_route_id
+    `SELECT tre.id, tre.employee_id, e.emp_no, e.full_name, tre.effective_route_id, tre.effective_sub_route_id,
+            tre.opted_out_at, tre.opt_out_reason
      FROM transport_request_employees tre
      JOIN employees e ON e.id = tre.employee_id
      WHERE tre.request_id=$1
@@ -210,35 +465,44 @@ const requestUpdateEmployeesSchema = z.object({
 // Allowed only before ADMIN_APPROVED
 router.patch("/requests/:id/employees", validate(requestUpdateEmployeesSchema), asyncHandler(async (req, res) => {
   const depId = req.user.department_id;
+  const userId = req.user.user_id;
   const id = parseInt(req.params.id, 10);
 
-  const r = await query("SELECT status, request_date FROM transport_requests WHERE id=$1 AND department_id=$2", [id, depId]);
-  await ensureRunOpen(r.rows[0]?.request_date);
-  if (r.rowCount === 0) throw httpError(404, "Request not found");
-  if (!["DRAFT","SUBMITTED"].includes(r.rows[0].status)) throw httpError(400, "Request is locked");
-
-  for (const c of req.body.changes) {
-    if (c.remove) {
-      await query(
-        "DELETE FROM transport_request_employees WHERE request_id=$1 AND employee_id=$2",
-        [id, c.employee_id]
+  await withTransaction(async (tx) => {
+    const r = await tx.query("SELECT status, request_date, request_time FROM transport_requests WHERE id=$1 AND department_id=$2 FOR UPDATE", [id, depId]);
+    if (r.rowCount === 0) throw httpError(404, "Request not found");
+    await ensureRunOpen(r.rows[0].request_date, r.rows[0].request_time, tx);
+    if (!["DRAFT","SUBMITTED"].includes(r.rows[0].status)) throw httpError(400, "Request is locked");
+
+    for (const c of req.body.changes) {
+      if (c.remove) {
+        await tx.query(
+          "DELETE FROM transport_request_employees WHERE request_id=$1 AND employee_id=$2",
+          [id, c.employee_id]
+        );
+        continue;
+      }
+      // update effective fields
+      const upd = await tx.query(
+        "UPDATE transport_request_employees SET effective_route_id=COALESCE($3,effective_route_id), effective_sub_route_id=COALESCE($4,effective_sub_route_id) WHERE request_id=$1 AND employee_id=$2 RETURNING employee_id, effective_route_id, effective_sub_route_id",
+        [id, c.employee_id, c.effective_route_id ?? null, c.effective_sub_route_id ?? null]
       );
-      continue;
+      if (upd.rowCount === 0) throw httpError(404, "Employee not in request");
+
+      if (c.persist_to_employee) {
+        await tx.query(
+          "UPDATE employees SET default_route_id=$2, default_sub_route_id=$3 WHERE id=$1 AND department_id=$4",
+          [c.employee_id, upd.rows[0].effective_route_id, upd.rows[0].effective_sub_route_id, depId]
+        );
+      }
     }
-    // update effective fields
-    const upd = await query(
-      "UPDATE transport_request_employees SET effective_route_id=COALESCE($3,effective_route_id), effective_sub_route_id=COALESCE($4,effective_sub_route_id) WHERE request_id=$1 AND employee_id=$2 RETURNING employee_id, effective_route_id, effective_sub_route_id",
-      [id, c.employee_id, c.effective_route_id ?? null, c.effective_sub_route_id ?? null]
-    );
-    if (upd.rowCount === 0) throw httpError(404, "Employee not in request");
 
-    if (c.persist_to_employee) {
-      await query(
-        "UPDATE employees SET default_route_id=$2, default_sub_route_id=$3 WHERE id=$1 AND department_id=$4",
-        [c.employee_id, upd.rows[0].effective_route_id, upd.rows[0].effective_sub_route_id, depId]
-      );
-    }
-  }
+    await recordAudit(tx, {
+      requestId: id, userId, action: "HOD_EDIT_EMPLOYEES",
+      fromStatus: r.rows[0].status, toStatus: r.rows[0].status,
+      diff: { changes: req.body.changes }
+    });
+  });
 
   res.json({ ok: true });
 }));
@@ -248,12 +512,221 @@ router.post("/requests/:id/submit", asyncHandler(async (req, res) => {
   const userId = req.user.user_id;
   const id = parseInt(req.params.id, 10);
 
-  const r = await query("SELECT status, request_date FROM transport_requests WHERE id=$1 AND department_id=$2", [id, depId]);
-  await ensureRunOpen(r.rows[0]?.request_date);
-  if (r.rowCount === 0) throw httpError(404, "Request not found");
-  if (!["DRAFT","SUBMITTED"].includes(r.rows[0].status)) throw httpError(400, "Invalid status");
-  await query("UPDATE transport_requests SET status='SUBMITTED' WHERE id=$1", [id]);
-  await query("INSERT INTO approvals_audit (request_id, action_by_user_id, action) VALUES ($1,$2,'SUBMIT')", [id, userId]);
+  await withTransaction(async (tx) => {
+    const r = await tx.query("SELECT status, request_date, request_time FROM transport_requests WHERE id=$1 AND department_id=$2 FOR UPDATE", [id, depId]);
+    if (r.rowCount === 0) throw httpError(404, "Request not found");
+    await ensureRunOpen(r.rows[0].request_date, r.rows[0].request_time, tx);
+    if (!["DRAFT","SUBMITTED"].includes(r.rows[0].status)) throw httpError(400, "Invalid status");
+    await submitRequest(tx, id, { userId, fromStatus: r.rows[0].status });
+  });
+  res.json({ ok: true });
+}));
+
+// ---- Recurring schedules ----
+// Weekdays are ISO numbers (1=Mon .. 7=Sun). The scheduler creates DRAFT (or SUBMITTED when
+// auto_submit) requests for upcoming occurrences; see services/scheduler.js.
+const scheduleBody = {
+  name: z.string().min(2),
+  weekdays: z.array(z.coerce.number().int().min(1).max(7)).min(1),
+  request_time: z.string().regex(/^\d{2}:\d{2}(:\d{2})?$/),   // HH:MM
+  start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+  end_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).nullable().optional(),
+  auto_submit: z.boolean().optional(),
+  notes: z.string().nullable().optional(),
+  employee_ids: z.array(z.coerce.number().int().positive()).min(1)
+};
+const scheduleCreateSchema = z.object({ body: z.object(scheduleBody) });
+const scheduleUpdateSchema = z.object({ body: z.object(scheduleBody).partial() });
+
+async function loadSchedule(id, depId, db = { query }) {
+  const r = await db.query(
+    `SELECT s.*, to_char(s.start_date, 'YYYY-MM-DD') AS start_date, to_char(s.end_date, 'YYYY-MM-DD') AS end_date,
+            COALESCE(array_agg(se.employee_id ORDER BY se.employee_id) FILTER (WHERE se.employee_id IS NOT NULL), '{}'::int[]) AS employee_ids
+     FROM transport_schedules s
+     LEFT JOIN transport_schedule_employees se ON se.schedule_id = s.id
+     WHERE s.id=$1 AND s.department_id=$2
+     GROUP BY s.id`,
+    [id, depId]
+  );
+  if (r.rowCount === 0) throw httpError(404, "Schedule not found");
+  return r.rows[0];
+}
+
+async function replaceScheduleEmployees(tx, scheduleId, depId, employeeIds) {
+  const emps = await tx.query(
+    "SELECT id FROM employees WHERE department_id=$1 AND id = ANY($2::int[])",
+    [depId, employeeIds]
+  );
+  if (emps.rowCount !== new Set(employeeIds).size) throw httpError(400, "Some employees not found in your department");
+
+  await tx.query("DELETE FROM transport_schedule_employees WHERE schedule_id=$1", [scheduleId]);
+  for (const e of emps.rows) {
+    await tx.query("INSERT INTO transport_schedule_employees (schedule_id, employee_id) VALUES ($1,$2)", [scheduleId, e.id]);
+  }
+}
+
+function checkScheduleDates(startDate, endDate) {
+  if (endDate && endDate < startDate) throw httpError(400, "end_date must be on or after start_date");
+}
+
+router.get("/schedules", asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const r = await query(
+    `SELECT s.*, to_char(s.start_date, 'YYYY-MM-DD') AS start_date, to_char(s.end_date, 'YYYY-MM-DD') AS end_date,
+            (SELECT COUNT(*)::int FROM transport_schedule_employees se WHERE se.schedule_id = s.id) AS employees_count
+     FROM transport_schedules s
+     WHERE s.department_id=$1
+     ORDER BY s.is_paused, s.name`,
+    [depId]
+  );
+  res.json({ ok: true, schedules: r.rows });
+}));
+
+router.get("/schedules/:id", asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const id = parseInt(req.params.id, 10);
+  const schedule = await loadSchedule(id, depId);
+
+  const overrides = await query(
+    `SELECT to_char(occurrence_date, 'YYYY-MM-DD') AS occurrence_date, action, request_time, employee_ids, note
+     FROM transport_schedule_overrides WHERE schedule_id=$1 AND occurrence_date >= CURRENT_DATE
+     ORDER BY occurrence_date`,
+    [id]
+  );
+  const runs = await query(
+    `SELECT to_char(occurrence_date, 'YYYY-MM-DD') AS occurrence_date, outcome, request_id, created_at
+     FROM transport_schedule_runs WHERE schedule_id=$1
+     ORDER BY occurrence_date DESC LIMIT 30`,
+    [id]
+  );
+
+  // Preview of the next two weeks with any override / generated request per date
+  const today = DateTime.now().setZone("Asia/Colombo");
+  const ovByDate = new Map(overrides.rows.map(o => [o.occurrence_date, o]));
+  const runByDate = new Map(runs.rows.map(r => [r.occurrence_date, r]));
+  const from = today.plus({ days: 1 }).toISODate();
+  const to = today.plus({ days: 14 }).toISODate();
+  const calendar = await calendarRange(from, to);
+  const upcoming = occurrenceDates(schedule, from, to, calendar)
+    .map(date => ({
+      date,
+      holiday: isNonWorking(calendar.get(date)) ? calendar.get(date) : null,
+      override: ovByDate.get(date) || null,
+      run: runByDate.get(date) || null
+    }));
+
+  res.json({ ok: true, schedule, upcoming, overrides: overrides.rows, runs: runs.rows });
+}));
+
+router.post("/schedules", validate(scheduleCreateSchema), asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  if (!depId) throw httpError(400, "HOD has no department_id");
+  const { name, weekdays, request_time, start_date, end_date = null, auto_submit = false, notes = null, employee_ids } = req.body;
+  checkScheduleDates(start_date, end_date);
+
+  const id = await withTransaction(async (tx) => {
+    const s = await tx.query(
+      `INSERT INTO transport_schedules (department_id, name, weekdays, request_time, start_date, end_date, auto_submit, notes, created_by_user_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING id`,
+      [depId, name, [...new Set(weekdays)].sort(), request_time, start_date, end_date, auto_submit, notes, req.user.user_id]
+    );
+    await replaceScheduleEmployees(tx, s.rows[0].id, depId, employee_ids);
+    return s.rows[0].id;
+  });
+
+  res.json({ ok: true, schedule: await loadSchedule(id, depId) });
+}));
+
+// Changes apply to occurrences not yet created; already-created requests are edited directly.
+router.patch("/schedules/:id", validate(scheduleUpdateSchema), asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const id = parseInt(req.params.id, 10);
+
+  await withTransaction(async (tx) => {
+    const cur = await loadSchedule(id, depId, tx);
+    const next = { ...cur, ...req.body };
+    checkScheduleDates(next.start_date, next.end_date);
+
+    await tx.query(
+      `UPDATE transport_schedules
+       SET name=$2, weekdays=$3, request_time=$4, start_date=$5, end_date=$6, auto_submit=$7, notes=$8
+       WHERE id=$1`,
+      [id, next.name, [...new Set(next.weekdays)].sort(), next.request_time, next.start_date, next.end_date ?? null, next.auto_submit, next.notes ?? null]
+    );
+    if (req.body.employee_ids) await replaceScheduleEmployees(tx, id, depId, req.body.employee_ids);
+  });
+
+  res.json({ ok: true, schedule: await loadSchedule(id, depId) });
+}));
+
+for (const [action, paused] of [["pause", true], ["resume", false]]) {
+  router.post(`/schedules/:id/${action}`, asyncHandler(async (req, res) => {
+    const depId = req.user.department_id;
+    const id = parseInt(req.params.id, 10);
+    const r = await query("UPDATE transport_schedules SET is_paused=$3 WHERE id=$1 AND department_id=$2 RETURNING id", [id, depId, paused]);
+    if (r.rowCount === 0) throw httpError(404, "Schedule not found");
+    res.json({ ok: true, is_paused: paused });
+  }));
+}
+
+router.delete("/schedules/:id", asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const id = parseInt(req.params.id, 10);
+  // Requests already created from the schedule stay as they are
+  await query("DELETE FROM transport_schedules WHERE id=$1 AND department_id=$2", [id, depId]);
+  res.json({ ok: true });
+}));
+
+// Override one occurrence: SKIP it, or REPLACE its time and/or employee list
+const overrideSchema = z.object({
+  params: z.object({ id: z.string(), date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/) }),
+  body: z.object({
+    action: z.enum(["SKIP", "REPLACE"]),
+    request_time: z.string().regex(/^\d{2}:\d{2}(:\d{2})?$/).nullable().optional(),
+    employee_ids: z.array(z.coerce.number().int().positive()).min(1).nullable().optional(),
+    note: z.string().nullable().optional()
+  }).refine((v) => v.action === "SKIP" || Boolean(v.request_time || v.employee_ids), { message: "REPLACE needs request_time or employee_ids" })
+});
+
+router.put("/schedules/:id/overrides/:date", validate(overrideSchema), asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const id = parseInt(req.params.id, 10);
+  const date = req.params.date;
+  const { action, request_time = null, employee_ids = null, note = null } = req.body;
+
+  await loadSchedule(id, depId);
+
+  const run = await query(
+    "SELECT request_id, outcome FROM transport_schedule_runs WHERE schedule_id=$1 AND occurrence_date=$2",
+    [id, date]
+  );
+  if (run.rowCount > 0) {
+    throw httpError(409, run.rows[0].request_id
+      ? `Occurrence already created as request #${run.rows[0].request_id}; edit that request instead`
+      : "Occurrence already processed");
+  }
+
+  if (employee_ids) {
+    const emps = await query("SELECT id FROM employees WHERE department_id=$1 AND id = ANY($2::int[])", [depId, employee_ids]);
+    if (emps.rowCount !== new Set(employee_ids).size) throw httpError(400, "Some employees not found in your department");
+  }
+
+  const r = await query(
+    `INSERT INTO transport_schedule_overrides (schedule_id, occurrence_date, action, request_time, employee_ids, note)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     ON CONFLICT (schedule_id, occurrence_date)
+     DO UPDATE SET action=EXCLUDED.action, request_time=EXCLUDED.request_time, employee_ids=EXCLUDED.employee_ids, note=EXCLUDED.note
+     RETURNING to_char(occurrence_date, 'YYYY-MM-DD') AS occurrence_date, action, request_time, employee_ids, note`,
+    [id, date, action, request_time, employee_ids, note]
+  );
+  res.json({ ok: true, override: r.rows[0] });
+}));
+
+router.delete("/schedules/:id/overrides/:date", asyncHandler(async (req, res) => {
+  const depId = req.user.department_id;
+  const id = parseInt(req.params.id, 10);
+  await loadSchedule(id, depId);
+  await query("DELETE FROM transport_schedule_overrides WHERE schedule_id=$1 AND occurrence_date=$2", [id, req.params.date]);
   res.json({ ok: true });
 }));
 
@@ -1,16 +1,29 @@
 const express = require("express");
-const { query } = require("../db/pool");
+const { z } = require("zod");
+const { query, withTransaction } = require("../db/pool");
 const { authRequired } = require("../middleware/auth");
 const { requireRole } = require("../middleware/rbac");
 const { httpError } = require("../utils/httpError");
+const { validate } = require("../utils/validate");
 const asyncHandler = require("../utils/asyncHandler");
+const { recordAudit } = require("../services/audit");
+const { recordBillableTrips } = require("../services/billing");
+const { usersWithRole, enqueueNotification } = require("../services/notifications");
+const { queueTripSms } = require("../services/tripSms");
+const { publishEvent } = require("../services/events");
+const { enqueueWebhook, hasWebhookSubscribers, runManifest } = require("../services/webhooks");
+
+// TA waits on the overbook decision; Admin/HR dashboards refresh their queues
+function publishOverbookDecision(tx, requestId, decision) {
+  publishEvent(tx, "overbook_decision", { request_id: requestId, decision }, { roles: ["ADMIN", "TA", "HR"] });
+}
 
 const router = express.Router();
 router.use(authRequired, requireRole("HR"));
 
 router.get("/requests/ta-assigned", asyncHandler(async (req, res) => {
   const r = await query(
-    "SELECT tr.*, 'සියලු දෙපාර්තමේන්තු' as department_name FROM transport_requests tr WHERE tr.is_daily_master=TRUE AND tr.status IN ('TA_ASSIGNED','TA_ASSIGNED_PENDING_HR') ORDER BY tr.request_date DESC, tr.created_at DESC LIMIT 50"
+    "SELECT tr.*, 'සියලු දෙපාර්තමේන්තු' as department_name, to_char(tr.request_time, 'HH24:MI') AS shift FROM transport_requests tr WHERE tr.is_daily_master=TRUE AND tr.status IN ('TA_ASSIGNED','TA_ASSIGNED_PENDING_HR') ORDER BY tr.request_date DESC, tr.request_time ASC LIMIT 50"
   );
   res.json({ ok: true, requests: r.rows });
 }));
@@ -21,13 +34,16 @@ router.post("/requests/:id/overbook/approve", asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
   const userId = req.user.user_id;
 
-  const r = await query("SELECT status FROM transport_requests WHERE id=$1", [id]);
-  if (r.rowCount === 0) throw httpError(404, "ඉල්ලීම හමු නොවීය");
-  if (r.rows[0].status !== "TA_ASSIGNED_PENDING_HR") throw httpError(400, "ඔවරයිඩ් අනුමැතිය අවශ්‍ය ඉල්ලීමක් නොවේ");
+  await withTransaction(async (tx) => {
+    const r = await tx.query("SELECT status FROM transport_requests WHERE id=$1 FOR UPDATE", [id]);
+    if (r.rowCount === 0) throw httpError(404, "ඉල්ලීම හමු නොවීය");
+    if (r.rows[0].status !== "TA_ASSIGNED_PENDING_HR") throw httpError(400, "ඔවරයිඩ් අනුමැතිය අවශ්‍ය ඉල්ලීමක් නොවේ");
 
-  await query("UPDATE request_assignments SET overbook_status='APPROVED' WHERE request_id=$1 AND COALESCE(overbook_amount,0) > 0", [id]);
-  await query("UPDATE transport_requests SET status='TA_ASSIGNED' WHERE id=$1", [id]);
-  await query("INSERT INTO approvals_audit (request_id, action_by_user_id, action) VALUES ($1,$2,'HR_OVERBOOK_APPROVE')", [id, userId]);
+    await tx.query("UPDATE request_assignments SET overbook_status='APPROVED' WHERE request_id=$1 AND COALESCE(overbook_amount,0) > 0", [id]);
+    await tx.query("UPDATE transport_requests SET status='TA_ASSIGNED' WHERE id=$1", [id]);
+    await recordAudit(tx, { requestId: id, userId, action: "HR_OVERBOOK_APPROVE", fromStatus: "TA_ASSIGNED_PENDING_HR", toStatus: "TA_ASSIGNED" });
+    publishOverbookDecision(tx, id, "APPROVED");
+  });
 
   res.json({ ok: true });
 }));
@@ -36,28 +52,77 @@ router.post("/requests/:id/overbook/reject", asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
   const userId = req.user.user_id;
 
-  const r = await query("SELECT status FROM transport_requests WHERE id=$1", [id]);
-  if (r.rowCount === 0) throw httpError(404, "ඉල්ලීම හමු නොවීය");
-  if (r.rows[0].status !== "TA_ASSIGNED_PENDING_HR") throw httpError(400, "ඔවරයිඩ් ප්‍රතික්ෂේප කළ හැක්කේ Pending HR ඉල්ලීම් සඳහා පමණයි");
+  await withTransaction(async (tx) => {
+    const r = await tx.query("SELECT status FROM transport_requests WHERE id=$1 FOR UPDATE", [id]);
+    if (r.rowCount === 0) throw httpError(404, "ඉල්ලීම හමු නොවීය");
+    if (r.rows[0].status !== "TA_ASSIGNED_PENDING_HR") throw httpError(400, "ඔවරයිඩ් ප්‍රතික්ෂේප කළ හැක්කේ Pending HR ඉල්ලීම් සඳහා පමණයි");
 
-  await query("UPDATE request_assignments SET overbook_status='REJECTED' WHERE request_id=$1 AND COALESCE(overbook_amount,0) > 0", [id]);
-  await query("UPDATE transport_requests SET status='TA_FIX_REQUIRED' WHERE id=$1", [id]);
-  await query("INSERT INTO approvals_audit (request_id, action_by_user_id, action) VALUES ($1,$2,'HR_OVERBOOK_REJECT')", [id, userId]);
+    await tx.query("UPDATE request_assignments SET overbook_status='REJECTED' WHERE request_id=$1 AND COALESCE(overbook_amount,0) > 0", [id]);
+    await tx.query("UPDATE transport_requests SET status='TA_FIX_REQUIRED' WHERE id=$1", [id]);
+    await recordAudit(tx, { requestId: id, userId, action: "HR_OVERBOOK_REJECT", fromStatus: "TA_ASSIGNED_PENDING_HR", toStatus: "TA_FIX_REQUIRED" });
+    publishOverbookDecision(tx, id, "REJECTED");
+  });
 
   res.json({ ok: true, needs_fix: true });
 }));
 
 
-router.post("/requests/:id/final-approve", asyncHandler(async (req, res) => {
+// Send a TA plan back for rework (any reason, not only overbook)
+const reasonSchema = z.object({ body: z.object({ reason: z.string().trim().min(3) }) });
+
+router.post("/requests/:id/return-to-ta", validate(reasonSchema), asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
   const userId = req.user.user_id;
+  const reason = req.body.reason.trim();
+
+  await withTransaction(async (tx) => {
+    const r = await tx.query("SELECT status FROM transport_requests WHERE id=$1 FOR UPDATE", [id]);
+    if (r.rowCount === 0) throw httpError(404, "ඉල්ලීම හමු නොවීය");
+    if (!["TA_ASSIGNED","TA_ASSIGNED_PENDING_HR"].includes(r.rows[0].status)) throw httpError(400, "TA වෙත ආපසු යැවිය හැක්කේ TA_ASSIGNED ඉල්ලීම් සඳහා පමණයි");
+
+    await tx.query("UPDATE transport_requests SET status='TA_FIX_REQUIRED' WHERE id=$1", [id]);
+    await recordAudit(tx, {
+      requestId: id, userId, action: "HR_RETURN_TO_TA",
+      fromStatus: r.rows[0].status, toStatus: "TA_FIX_REQUIRED", comment: reason
+    });
+  });
+
+  res.json({ ok: true, needs_fix: true });
+}));
 
-  const r = await query("SELECT status FROM transport_requests WHERE id=$1", [id]);
-  if (r.rowCount === 0) throw httpError(404, "ඉල්ලීම හමු නොවීය");
-  if (r.rows[0].status !== "TA_ASSIGNED") throw httpError(400, "අවසාන අනුමැතිය දිය හැක්කේ TA_ASSIGNED ඉල්ලීම් සඳහා පමණයි (ඔවරයිඩ් Pending නම් පළමුව අනුමත/ප්‍රතික්ෂේප කරන්න)");
+router.post("/requests/:id/final-approve", asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const userId = req.user.user_id;
 
-  await query("UPDATE transport_requests SET status='HR_FINAL_APPROVED' WHERE id=$1", [id]);
-  await query("INSERT INTO approvals_audit (request_id, action_by_user_id, action) VALUES ($1,$2,'HR_FINAL_APPROVE')", [id, userId]);
+  await withTransaction(async (tx) => {
+    const r = await tx.query("SELECT status FROM transport_requests WHERE id=$1 FOR UPDATE", [id]);
+    if (r.rowCount === 0) throw httpError(404, "ඉල්ලීම හමු නොවීය");
+    if (r.rows[0].status !== "TA_ASSIGNED") throw httpError(400, "අවසාන අනුමැතිය දිය හැක්කේ TA_ASSIGNED ඉල්ලීම් සඳහා පමණයි (ඔවරයිඩ් Pending නම් පළමුව අනුමත/ප්‍රතික්ෂේප කරන්න)");
+
+    await tx.query("UPDATE transport_requests SET status='HR_FINAL_APPROVED' WHERE id=$1", [id]);
+    await recordAudit(tx, { requestId: id, userId, action: "HR_FINAL_APPROVE", fromStatus: "TA_ASSIGNED", toStatus: "HR_FINAL_APPROVED" });
+    await recordBillableTrips(tx, id);
+
+    // TA and the HODs of every department with employees on the run
+    const info = await tx.query(
+      `SELECT to_char(tr.request_date, 'YYYY-MM-DD') AS date, to_char(tr.request_time, 'HH24:MI') AS shift,
+              (SELECT COUNT(*)::int FROM transport_request_employees tre WHERE tre.request_id = tr.id) AS employees,
+              (SELECT COUNT(*)::int FROM request_assignments ra WHERE ra.request_id = tr.id) AS vehicles,
+              ARRAY(SELECT DISTINCT e.department_id FROM transport_request_employees tre
+                    JOIN employees e ON e.id = tre.employee_id WHERE tre.request_id = tr.id) AS department_ids
+       FROM transport_requests tr WHERE tr.id=$1`,
+      [id]
+    );
+    const { department_ids, ...data } = info.rows[0];
+    const recipients = [...await usersWithRole(tx, "TA"), ...await usersWithRole(tx, "HOD", { departmentIds: department_ids })];
+    await enqueueNotification(tx, "final_approved", recipients, { ...data, request_id: id });
+    // Drivers and employees by SMS (no-op unless SMS_ADAPTER is set)
+    await queueTripSms(tx, id);
+    // Gate security / payroll: who travels in which vehicle
+    if (await hasWebhookSubscribers(tx, "run.final_approved")) {
+      await enqueueWebhook(tx, "run.final_approved", await runManifest(tx, id));
+    }
+  });
 
   res.json({ ok: true });
 }));
@@ -9,7 +9,7 @@ router.use(authRequired);
 // Routes + sub-routes tree (for dropdowns)
 router.get("/routes-tree", asyncHandler(async (req, res) => {
   const routes = await query("SELECT id, route_no, route_name FROM routes ORDER BY route_no::int NULLS LAST, route_no, route_name");
-  const subs = await query("SELECT id, route_id, sub_name FROM sub_routes ORDER BY route_id, sub_name");
+  const subs = await query("SELECT id, route_id, sub_name, stop_order, landmark FROM sub_routes ORDER BY route_id, stop_order NULLS LAST, sub_name");
   res.json({ ok: true, routes: routes.rows, sub_routes: subs.rows });
 }));
 
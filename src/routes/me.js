@@ -1,16 +1,50 @@
 const express = require("express");
+const bcrypt = require("bcryptjs");
+const { z } = require("zod");
 const { authRequired } = require("../middleware/auth");
-const { query } = require("../db/pool");
+const { query, withTransaction } = require("../db/pool");
+const { httpError } = require("../utils/httpError");
+const { validate } = require("../utils/validate");
 const asyncHandler = require("../utils/asyncHandler");
+const { revokeAllRefreshTokens } = require("../services/tokens");
 
 const router = express.Router();
 
 router.get("/", authRequired, asyncHandler(async (req, res) => {
   const u = await query(
-    "SELECT id, email, role, status, department_id, employee_id FROM users WHERE id=$1",
+    "SELECT id, email, role, status, department_id, employee_id, must_change_password FROM users WHERE id=$1",
     [req.user.user_id]
   );
   res.json({ ok: true, me: u.rows[0] || null });
 }));
 
+// Change own password (required after an Admin forced reset)
+const changePasswordSchema = z.object({
+  body: z.object({
+    current_password: z.string().min(1),
+    new_password: z.string().min(6)
+  })
+});
+
+router.post("/password", authRequired, validate(changePasswordSchema), asyncHandler(async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const u = await query("SELECT id, password_hash FROM users WHERE id=$1", [req.user.user_id]);
+  if (u.rowCount === 0) throw httpError(404, "User not found");
+  const ok = await bcrypt.compare(current_password, u.rows[0].password_hash);
+  if (!ok) throw httpError(400, "Current password is incorrect");
+  if (current_password === new_password) throw httpError(400, "New password must be different");
+
+  const hash = await bcrypt.hash(new_password, 12);
+  // Sign out every device along with the change (same as the OTP reset)
+  await withTransaction(async (tx) => {
+    await tx.query(
+      "UPDATE users SET previous_password_hash=password_hash, password_hash=$1, must_change_password=FALSE WHERE id=$2",
+      [hash, req.user.user_id]
+    );
+    await revokeAllRefreshTokens(tx, req.user.user_id);
+  });
+  res.json({ ok: true, message: "Password updated" });
+}));
+
 module.exports = router;
@@ -0,0 +1,161 @@
+const express = require("express");
+const { z } = require("zod");
+const { DateTime } = require("luxon");
+const { query } = require("../db/pool");
+const { authRequired } = require("../middleware/auth");
+const { requireRole } = require("../middleware/rbac");
+const { httpError } = require("../utils/httpError");
+const { validate, isoDate } = require("../utils/validate");
+const asyncHandler = require("../utils/asyncHandler");
+const { buildDepartmentRangeExcel } = require("../services/reportExcel");
+const { listMasters } = require("../services/dailyRun");
+
+// Planning: read-only views of the daily run (no workflow actions here)
+const router = express.Router();
+router.use(authRequired, requireRole("PLANNING", "ADMIN"));
+
+const MAX_RANGE_DAYS = 62;
+
+const rangeSchema = z.object({
+  query: z.object({
+    from: isoDate,
+    to: isoDate,
+    department_id: z.coerce.number().int().positive().optional()
+  })
+});
+
+function checkRange({ from, to }) {
+  const a = DateTime.fromISO(from);
+  const b = DateTime.fromISO(to);
+  if (!a.isValid || !b.isValid) throw httpError(400, "Invalid date");
+  if (b < a) throw httpError(400, "'to' must be on or after 'from'");
+  if (b.diff(a, "days").days > MAX_RANGE_DAYS) throw httpError(400, `Date range too long (max ${MAX_RANGE_DAYS} days)`);
+}
+
+// Headcount by date / department / route / shift (request_time), from department requests
+// that are still live (SUBMITTED onwards, not DRAFT/REJECTED).
+router.get("/headcount", validate(rangeSchema), asyncHandler(async (req, res) => {
+  const { from, to, department_id } = req.validated.query;
+  checkRange({ from, to });
+
+  const r = await query(
+    `SELECT to_char(tr.request_date, 'YYYY-MM-DD') AS date,
+            to_char(tr.request_time, 'HH24:MI') AS shift,
+            d.id AS department_id, d.name AS department_name,
+            r.id AS route_id, r.route_no, r.route_name,
+            COUNT(DISTINCT tre.employee_id)::int AS headcount
+     FROM transport_requests tr
+     JOIN transport_request_employees tre ON tre.request_id = tr.id
+     JOIN departments d ON d.id = tr.department_id
+     LEFT JOIN routes r ON r.id = tre.effective_route_id
+     WHERE tr.is_daily_master=FALSE
+       AND tr.status NOT IN ('DRAFT','REJECTED')
+       AND tre.opted_out_at IS NULL
+       AND tr.request_date BETWEEN $1 AND $2
+       AND ($3::int IS NULL OR tr.department_id = $3)
+     GROUP BY tr.request_date, tr.request_time, d.id, d.name, r.id, r.route_no, r.route_name
+     ORDER BY tr.request_date, tr.request_time, d.name, r.route_no NULLS LAST`,
+    [from, to, department_id ?? null]
+  );
+
+  const total = r.rows.reduce((n, x) => n + x.headcount, 0);
+  res.json({ ok: true, from, to, total_headcount: total, rows: r.rows });
+}));
+
+// Vehicle capacity utilisation per day (from the daily master assignments)
+router.get("/capacity", validate(rangeSchema), asyncHandler(async (req, res) => {
+  const { from, to } = req.validated.query;
+  checkRange({ from, to });
+
+  const r = await query(
+    `SELECT to_char(tr.request_date, 'YYYY-MM-DD') AS date, to_char(tr.request_time, 'HH24:MI') AS shift,
+            tr.id AS request_id, tr.status,
+            v.id AS vehicle_id, v.vehicle_no, v.vehicle_type, v.capacity,
+            COALESCE(SUM(ra.overbook_amount) FILTER (WHERE ra.overbook_status <> 'REJECTED'), 0)::int AS overbook,
+            (SELECT COUNT(*)::int FROM transport_request_employees tre
+              WHERE tre.request_id = tr.id AND tre.assigned_vehicle_id = v.id) AS assigned
+     FROM transport_requests tr
+     JOIN request_assignments ra ON ra.request_id = tr.id
+     JOIN vehicles v ON v.id = ra.vehicle_id
+     WHERE tr.is_daily_master=TRUE
+       AND tr.request_date BETWEEN $1 AND $2
+     GROUP BY tr.request_date, tr.request_time, tr.id, tr.status, v.id, v.vehicle_no, v.vehicle_type, v.capacity
+     ORDER BY tr.request_date, tr.request_time, v.vehicle_no`,
+    [from, to]
+  );
+
+  const rows = r.rows.map(x => ({
+    ...x,
+    utilisation_pct: x.capacity > 0 ? Math.round((x.assigned / x.capacity) * 1000) / 10 : null
+  }));
+  res.json({ ok: true, from, to, vehicles: rows });
+}));
+
+// Forward look: requests for a day (default tomorrow) that are submitted but not yet locked
+const upcomingSchema = z.object({ query: z.object({ date: isoDate.optional() }) });
+
+router.get("/upcoming", validate(upcomingSchema), asyncHandler(async (req, res) => {
+  const date = req.validated.query.date || DateTime.now().setZone("Asia/Colombo").plus({ days: 1 }).toISODate();
+
+  const masters = await listMasters(date);
+
+  const r = await query(
+    `SELECT tr.id, tr.status, to_char(tr.request_time, 'HH24:MI') AS shift, tr.notes, tr.created_at,
+            EXISTS (SELECT 1 FROM transport_requests m
+                    WHERE m.is_daily_master=TRUE AND m.request_date=tr.request_date
+                      AND (m.request_time=tr.request_time OR m.legacy_whole_day)) AS locked,
+            d.id AS department_id, d.name AS department_name,
+            (SELECT COUNT(*)::int FROM transport_request_employees tre WHERE tre.request_id = tr.id AND tre.opted_out_at IS NULL) AS employees_count
+     FROM transport_requests tr
+     JOIN departments d ON d.id = tr.department_id
+     WHERE tr.request_date=$1 AND tr.is_daily_master=FALSE AND tr.status IN ('SUBMITTED','ADMIN_APPROVED')
+     ORDER BY tr.request_time, d.name`,
+    [date]
+  );
+
+  const byRoute = await query(
+    `SELECT to_char(tr.request_time, 'HH24:MI') AS shift,
+            r.id AS route_id, r.route_no, r.route_name, COUNT(DISTINCT tre.employee_id)::int AS headcount
+     FROM transport_requests tr
+     JOIN transport_request_employees tre ON tre.request_id = tr.id
+     LEFT JOIN routes r ON r.id = tre.effective_route_id
+     WHERE tr.request_date=$1 AND tr.is_daily_master=FALSE AND tr.status IN ('SUBMITTED','ADMIN_APPROVED')
+       AND tre.opted_out_at IS NULL
+     GROUP BY tr.request_time, r.id, r.route_no, r.route_name
+     ORDER BY tr.request_time, r.route_no NULLS LAST`,
+    [date]
+  );
+
+  const deps = await query("SELECT name FROM departments ORDER BY name");
+  const submitted = new Set(r.rows.map(x => x.department_name));
+
+  res.json({
+    ok: true,
+    date,
+    locked_shifts: masters.map(m => m.shift),
+    master_requests: masters,
+    requests: r.rows,
+    routes: byRoute.rows,
+    missing_departments: deps.rows.map(d => d.name).filter(n => !submitted.has(n))
+  });
+}));
+
+// Department Excel for any department and date range (HR final approved days only)
+router.get("/department-excel", validate(rangeSchema), asyncHandler(async (req, res) => {
+  const { from, to, department_id } = req.validated.query;
+  checkRange({ from, to });
+
+  const xlsx = await buildDepartmentRangeExcel({ from, to, departmentId: department_id ?? null });
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="department-wise-${from}_${to}${department_id ? `-dep${department_id}` : ""}.xlsx"`
+  );
+  res.send(xlsx);
+}));
+
+module.exports = router;
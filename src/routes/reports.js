@@ -3,9 +3,15 @@ const { authRequired } = require("../middleware/auth");
 const { requireRole } = require("../middleware/rbac");
 const { httpError } = require("../utils/httpError");
 const { query } = require("../db/pool");
-const { buildRouteWisePdf, buildVehicleReportPdf } = require("../services/reportPdf");
-const { buildDepartmentWiseExcel } = require("../services/reportExcel");
+const { buildRouteWisePdf, buildVehicleReportPdf, buildBillingPdf } = require("../services/reportPdf");
+const {
+  buildDepartmentWiseExcel, buildCostingExcel, buildBillingExcel, buildCostAllocationExcel
+} = require("../services/reportExcel");
 const asyncHandler = require("../utils/asyncHandler");
+const { resolveMaster } = require("../services/dailyRun");
+const { DateTime } = require("luxon");
+const { loadBillingStatements, monthRange } = require("../services/billing");
+const { attendanceSummary } = require("../services/boarding");
 
 const router = express.Router();
 router.use(authRequired, requireRole("ADMIN","HR","TA","PLANNING"));
@@ -37,30 +43,27 @@ router.get("/vehicle", asyncHandler(async (req, res) => {
 }));
 
 
-// Daily (date-based) reports - no request_id needed
+// Daily (date-based) reports - no request_id needed.
+// ?shift=HH:MM picks the shift's run; it may be omitted when the date has only one shift.
 router.get("/daily/route-wise", asyncHandler(async (req, res) => {
   const date = (req.query.date || "").trim();
   if (!date) throw httpError(400, "date required (YYYY-MM-DD)");
-  const r = await query("SELECT id FROM transport_requests WHERE request_date=$1 AND is_daily_master=TRUE", [date]);
-  if (r.rowCount === 0) throw httpError(404, "Daily run not found for that date");
-  const requestId = r.rows[0].id;
-  await ensureFinalApproved(requestId);
-  const pdf = await buildRouteWisePdf(requestId);
+  const master = await resolveMaster(date, req.query.shift);
+  await ensureFinalApproved(master.id);
+  const pdf = await buildRouteWisePdf(master.id);
   res.setHeader("Content-Type", "application/pdf");
-  res.setHeader("Content-Disposition", `attachment; filename="route-wise-${date}.pdf"`);
+  res.setHeader("Content-Disposition", `attachment; filename="route-wise-${date}-${master.shift.replace(":", "")}.pdf"`);
   res.send(pdf);
 }));
 
 router.get("/daily/vehicle", asyncHandler(async (req, res) => {
   const date = (req.query.date || "").trim();
   if (!date) throw httpError(400, "date required (YYYY-MM-DD)");
-  const r = await query("SELECT id FROM transport_requests WHERE request_date=$1 AND is_daily_master=TRUE", [date]);
-  if (r.rowCount === 0) throw httpError(404, "Daily run not found for that date");
-  const requestId = r.rows[0].id;
-  await ensureFinalApproved(requestId);
-  const pdf = await buildVehicleReportPdf(requestId);
+  const master = await resolveMaster(date, req.query.shift);
+  await ensureFinalApproved(master.id);
+  const pdf = await buildVehicleReportPdf(master.id);
   res.setHeader("Content-Type", "application/pdf");
-  res.setHeader("Content-Disposition", `attachment; filename="vehicle-${date}.pdf"`);
+  res.setHeader("Content-Disposition", `attachment; filename="vehicle-${date}-${master.shift.replace(":", "")}.pdf"`);
   res.send(pdf);
 }));
 
@@ -68,39 +71,38 @@ router.get("/daily/vehicle", asyncHandler(async (req, res) => {
 // Daily Department-wise Excel report (planning department / after HR final approval)
 router.get("/daily/department-excel", asyncHandler(async (req, res) => {
   const date = (req.query.date || "").trim();
-  let offTime = (req.query.off_time || "").trim();
-
-  // If off_time is not provided, try to infer from today's daily master request_time,
-  // otherwise use the latest department request_time for the day.
-  if (!offTime) {
-    const mt = await query(
-      "SELECT request_time FROM transport_requests WHERE request_date=$1 AND is_daily_master=TRUE ORDER BY created_at DESC LIMIT 1",
-      [date]
-    );
-    offTime = mt.rows?.[0]?.request_time ? String(mt.rows[0].request_time) : "";
-  }
-  if (!offTime) {
-    const mt2 = await query(
-      "SELECT MAX(request_time) AS t FROM transport_requests WHERE request_date=$1 AND is_daily_master=FALSE",
-      [date]
-    );
-    offTime = mt2.rows?.[0]?.t ? String(mt2.rows[0].t) : "";
-  }
+  if (!date) throw httpError(400, "date required (YYYY-MM-DD)");
 
+  const master = await resolveMaster(date, req.query.shift);
+  // The shift is the off time; off_time is still accepted to print a different value
+  const offTime = (req.query.off_time || "").trim() || master.shift;
   const departmentId = req.query.department_id ? parseInt(req.query.department_id, 10) : null;
 
-  if (!date) throw httpError(400, "date required (YYYY-MM-DD)");
+  await ensureFinalApproved(master.id);
+
+  const xlsx = await buildDepartmentWiseExcel({ requestId: master.id, date, offTime, departmentId });
 
-  const r = await query(
-    "SELECT id FROM transport_requests WHERE request_date=$1 AND is_daily_master=TRUE",
-    [date]
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
   );
-  if (r.rowCount === 0) throw httpError(404, "Daily run not found for that date");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="department-wise-${date}-${master.shift.replace(":", "")}.xlsx"`
+  );
+  res.send(xlsx);
+}));
 
-  const requestId = r.rows[0].id;
-  await ensureFinalApproved(requestId);
 
-  const xlsx = await buildDepartmentWiseExcel({ requestId, date, offTime, departmentId });
+// Distance costing (trip km x vehicle-type rate) for HR final approved runs in a date range
+router.get("/costing", asyncHandler(async (req, res) => {
+  const from = DateTime.fromISO(String(req.query.from || ""));
+  const to = DateTime.fromISO(String(req.query.to || ""));
+  if (!from.isValid || !to.isValid) throw httpError(400, "from and to required (YYYY-MM-DD)");
+  if (to < from) throw httpError(400, "'to' must be on or after 'from'");
+  if (to.diff(from, "days").days > 62) throw httpError(400, "Date range too long (max 62 days)");
+
+  const xlsx = await buildCostingExcel({ from: from.toISODate(), to: to.toISODate() });
 
   res.setHeader(
     "Content-Type",
@@ -108,10 +110,65 @@ router.get("/daily/department-excel", asyncHandler(async (req, res) => {
   );
   res.setHeader(
     "Content-Disposition",
-    `attachment; filename="department-wise-${date}.xlsx"`
+    `attachment; filename="costing-${from.toISODate()}_${to.toISODate()}.xlsx"`
   );
   res.send(xlsx);
 }));
 
 
+// Monthly supplier statements (?month=YYYY-MM[&owner=...][&format=pdf|xlsx]) from recorded billable trips
+router.get("/billing", asyncHandler(async (req, res) => {
+  const month = String(req.query.month || "").trim();
+  const owner = String(req.query.owner || "").trim() || null;
+  const format = String(req.query.format || "pdf").toLowerCase();
+  if (!["pdf", "xlsx"].includes(format)) throw httpError(400, "format must be pdf or xlsx");
+
+  const data = await loadBillingStatements({ month, owner });
+  const name = `billing-${month}${owner ? `-${owner.replace(/[^A-Za-z0-9]+/g, "_")}` : ""}`;
+
+  if (format === "xlsx") {
+    const xlsx = await buildBillingExcel(data);
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${name}.xlsx"`);
+    return res.send(xlsx);
+  }
+  const pdf = await buildBillingPdf(data);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}.pdf"`);
+  res.send(pdf);
+}));
+
+
+// Monthly department x route split of the billed vehicle costs (?month=YYYY-MM)
+router.get("/cost-allocation", asyncHandler(async (req, res) => {
+  const month = String(req.query.month || "").trim();
+  const { from, to } = monthRange(month);
+
+  const xlsx = await buildCostAllocationExcel({ month, from, to });
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="cost-allocation-${month}.xlsx"`);
+  res.send(xlsx);
+}));
+
+
+// Boarding attendance over final-approved runs (?from&to=YYYY-MM-DD[&group_by=department|vehicle][&department_id])
+router.get("/attendance", asyncHandler(async (req, res) => {
+  const from = DateTime.fromISO(String(req.query.from || ""));
+  const to = DateTime.fromISO(String(req.query.to || ""));
+  if (!from.isValid || !to.isValid) throw httpError(400, "from and to required (YYYY-MM-DD)");
+  if (to < from) throw httpError(400, "'to' must be on or after 'from'");
+  if (to.diff(from, "days").days > 92) throw httpError(400, "Date range too long (max 92 days)");
+  const groupBy = String(req.query.group_by || "department");
+  if (!["department", "vehicle"].includes(groupBy)) throw httpError(400, "group_by must be department or vehicle");
+  const departmentId = req.query.department_id ? parseInt(req.query.department_id, 10) : null;
+  if (req.query.department_id && !departmentId) throw httpError(400, "Invalid department_id");
+
+  const summary = await attendanceSummary({ from: from.toISODate(), to: to.toISODate(), groupBy, departmentId });
+  res.json({ ok: true, ...summary });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require("express");
+const { query } = require("../db/pool");
+const { authRequired } = require("../middleware/auth");
+const { requireRole } = require("../middleware/rbac");
+const { httpError } = require("../utils/httpError");
+const asyncHandler = require("../utils/asyncHandler");
+const { AUDIT_SELECT } = require("../services/audit");
+
+const router = express.Router();
+router.use(authRequired, requireRole("ADMIN", "HR", "TA", "PLANNING", "HOD"));
+
+// Request history (audit trail). HOD sees only own department requests.
+router.get("/:id/history", asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  const r = await query("SELECT id, status, department_id, is_daily_master FROM transport_requests WHERE id=$1", [id]);
+  if (r.rowCount === 0) throw httpError(404, "Request not found");
+  if (req.user.role === "HOD" && r.rows[0].department_id !== req.user.department_id) {
+    throw httpError(404, "Request not found");
+  }
+
+  const h = await query(
+    `${AUDIT_SELECT}
+     WHERE a.request_id=$1
+     ORDER BY a.created_at ASC, a.id ASC`,
+    [id]
+  );
+  res.json({ ok: true, request: r.rows[0], history: h.rows });
+}));
+
+module.exports = router;
@@ -1,11 +1,19 @@
 const express = require("express");
 const { z } = require("zod");
-const { query } = require("../db/pool");
+const { query, withTransaction } = require("../db/pool");
 const { authRequired } = require("../middleware/auth");
 const { requireRole } = require("../middleware/rbac");
 const { httpError } = require("../utils/httpError");
-const { validate } = require("../utils/validate");
+const { validate, isoDate } = require("../utils/validate");
+const { setClauses } = require("../utils/sql");
 const asyncHandler = require("../utils/asyncHandler");
+const { recordAudit } = require("../services/audit");
+const { buildAutoPlan } = require("../services/autoPlan");
+const { loadRouteDistances, tripKm } = require("../services/routeDistance");
+const { usersWithRole, enqueueNotification } = require("../services/notifications");
+const {
+  BOARDING_STATUSES, loadBoardingRun, ensureBoardingLinks, boardingRoster, rosterCounts, markBoarding, scanBoarding
+} = require("../services/boarding");
 
 const router = express.Router();
 router.use(authRequired, requireRole("TA"));
@@ -37,33 +45,39 @@ router.get("/vehicles", asyncHandler(async (req, res) => {
 
 router.post("/vehicles", validate(vehicleSchema), asyncHandler(async (req, res) => {
   const { vehicle_no, vehicle_type, capacity, owner_name, route_ids = [] } = req.body;
-  const v = await query(
-    "INSERT INTO vehicles (vehicle_no, registration_no, fleet_no, vehicle_type, capacity, owner_name) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *",
-    [vehicle_no, (req.body.registration_no || vehicle_no), (req.body.fleet_no || null), vehicle_type, capacity, owner_name]
-  );
-  for (const rid of route_ids) {
-    await query("INSERT INTO vehicle_routes (vehicle_id, route_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [v.rows[0].id, rid]);
-  }
-  res.json({ ok: true, vehicle: v.rows[0] });
+  const vehicle = await withTransaction(async (tx) => {
+    const v = await tx.query(
+      "INSERT INTO vehicles (vehicle_no, registration_no, fleet_no, vehicle_type, capacity, owner_name) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *",
+      [vehicle_no, (req.body.registration_no || vehicle_no), (req.body.fleet_no || null), vehicle_type, capacity, owner_name]
+    );
+    for (const rid of route_ids) {
+      await tx.query("INSERT INTO vehicle_routes (vehicle_id, route_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [v.rows[0].id, rid]);
+    }
+    return v.rows[0];
+  });
+  res.json({ ok: true, vehicle });
 }));
 
 router.patch("/vehicles/:id", validate(vehicleSchema), asyncHandler(async (req, res) => {
   const id = parseInt(req.params.id, 10);
   const { vehicle_no, vehicle_type, capacity, owner_name, route_ids = [] } = req.body;
 
-  const v = await query(
-    "UPDATE vehicles SET vehicle_no=$1, vehicle_type=$2, capacity=$3, owner_name=$4 WHERE id=$5 RETURNING *",
-    [vehicle_no, vehicle_type, capacity, owner_name, id]
-  );
-  if (v.rowCount === 0) throw httpError(404, "Vehicle not found");
+  const vehicle = await withTransaction(async (tx) => {
+    const v = await tx.query(
+      "UPDATE vehicles SET vehicle_no=$1, vehicle_type=$2, capacity=$3, owner_name=$4 WHERE id=$5 RETURNING *",
+      [vehicle_no, vehicle_type, capacity, owner_name, id]
+    );
+    if (v.rowCount === 0) throw httpError(404, "Vehicle not found");
 
-  // replace routes coverage
-  await query("DELETE FROM vehicle_routes WHERE vehicle_id=$1", [id]);
-  for (const rid of route_ids) {
-    await query("INSERT INTO vehicle_routes (vehicle_id, route_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [id, rid]);
-  }
+    // replace routes coverage
+    await tx.query("DELETE FROM vehicle_routes WHERE vehicle_id=$1", [id]);
+    for (const rid of route_ids) {
+      await tx.query("INSERT INTO vehicle_routes (vehicle_id, route_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [id, rid]);
+    }
+    return v.rows[0];
+  });
 
-  res.json({ ok: true, vehicle: v.rows[0] });
+  res.json({ ok: true, vehicle });
 }));
 
 router.delete("/vehicles/:id", asyncHandler(async (req, res) => {
@@ -72,6 +86,97 @@ router.delete("/vehicles/:id", asyncHandler(async (req, res) => {
   res.json({ ok: true });
 }));
 
+// Drivers (registry used by assignments; free-text name/phone kept as a snapshot)
+const driverSchema = z.object({
+  body: z.object({
+    full_name: z.string().min(2),
+    phone: z.string().min(7),
+    licence_no: z.string().min(1).nullable().optional(),
+    licence_expiry: isoDate.nullable().optional(),
+    default_vehicle_id: z.coerce.number().int().positive().nullable().optional(),
+    is_active: z.boolean().optional()
+  })
+});
+const driverUpdateSchema = z.object({ body: driverSchema.shape.body.partial() });
+
+router.get("/drivers", asyncHandler(async (req, res) => {
+  const activeOnly = String(req.query.active || "").toLowerCase() === "true";
+  const r = await query(
+    `SELECT d.*, v.vehicle_no AS default_vehicle_no
+     FROM drivers d
+     LEFT JOIN vehicles v ON v.id = d.default_vehicle_id
+     ${activeOnly ? "WHERE d.is_active = TRUE" : ""}
+     ORDER BY d.full_name`
+  );
+  res.json({ ok: true, drivers: r.rows });
+}));
+
+router.post("/drivers", validate(driverSchema), asyncHandler(async (req, res) => {
+  const { full_name, phone, licence_no = null, licence_expiry = null, default_vehicle_id = null, is_active = true } = req.validated.body;
+
+  if (licence_no) {
+    const dup = await query("SELECT id FROM drivers WHERE licence_no=$1", [licence_no]);
+    if (dup.rowCount > 0) throw httpError(409, "licence_no already exists");
+  }
+
+  const d = await query(
+    "INSERT INTO drivers (full_name, phone, licence_no, licence_expiry, default_vehicle_id, is_active) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *",
+    [full_name, phone, licence_no, licence_expiry, default_vehicle_id, is_active]
+  );
+  res.json({ ok: true, driver: d.rows[0] });
+}));
+
+router.patch("/drivers/:id", validate(driverUpdateSchema), asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const b = req.validated.body;
+
+  if (b.licence_no) {
+    const dup = await query("SELECT id FROM drivers WHERE licence_no=$1 AND id<>$2", [b.licence_no, id]);
+    if (dup.rowCount > 0) throw httpError(409, "licence_no already exists");
+  }
+
+  // Fields left out keep their current value
+  const params = [id];
+  const sets = setClauses(b, ["full_name", "phone", "licence_no", "licence_expiry", "default_vehicle_id", "is_active"], params);
+  const d = sets.length
+    ? await query(`UPDATE drivers SET ${sets.join(", ")} WHERE id=$1 RETURNING *`, params)
+    : await query("SELECT * FROM drivers WHERE id=$1", params);
+  if (d.rowCount === 0) throw httpError(404, "Driver not found");
+  res.json({ ok: true, driver: d.rows[0] });
+}));
+
+router.delete("/drivers/:id", asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  // Past assignments keep their driver_name/driver_phone snapshot (driver_id is SET NULL)
+  await query("DELETE FROM drivers WHERE id=$1", [id]);
+  res.json({ ok: true });
+}));
+
+// Resolve registry drivers for a set of assignments and fill the name/phone snapshot.
+async function resolveAssignmentDrivers(db, assignments, requestDate) {
+  const ids = [...new Set(assignments.map(a => a.driver_id).filter(Boolean))];
+  const byId = new Map();
+  if (ids.length > 0) {
+    const r = await db.query(
+      "SELECT id, full_name, phone, is_active, licence_expiry, (licence_expiry IS NOT NULL AND licence_expiry < $2::date) AS licence_expired FROM drivers WHERE id = ANY($1::int[])",
+      [ids, requestDate]
+    );
+    for (const d of r.rows) byId.set(d.id, d);
+  }
+
+  return assignments.map(a => {
+    if (!a.driver_id) {
+      if (!a.driver_name || !a.driver_phone) throw httpError(400, "driver_id or driver_name/driver_phone required");
+      return { ...a, driver_id: null };
+    }
+    const d = byId.get(a.driver_id);
+    if (!d) throw httpError(400, `Driver not found (id ${a.driver_id})`);
+    if (!d.is_active) throw httpError(400, `Driver is inactive: ${d.full_name}`);
+    if (d.licence_expired) throw httpError(400, `Driver licence expired: ${d.full_name}`);
+    return { ...a, driver_name: d.full_name, driver_phone: d.phone || a.driver_phone || null };
+  });
+}
+
 // ============================================================================
 // ROUTE-ONLY GROUPING (NOT BY SUB-ROUTE)
 // This groups employees ONLY by main route, aggregating all sub-routes together
@@ -83,15 +188,22 @@ router.get("/requests/:id/groups", asyncHandler(async (req, res) => {
   if (!["ADMIN_APPROVED","TA_FIX_REQUIRED","TA_ASSIGNED","TA_ASSIGNED_PENDING_HR","HR_FINAL_APPROVED"].includes(r.rows[0].status)) throw httpError(400, "TA සඳහා සූදානම් නැත");
 
   // Group ONLY by route_id (NOT by sub_route_id)
-  // This combines all sub-routes under one main route card
+  // This combines all sub-routes under one main route card.
+  // opted_out: employees who opted out on the shift's department requests (never copied to the master)
   const g = await query(
     `SELECT r.id as route_id, 
             r.route_no, 
             r.route_name,
-            COUNT(*)::int as headcount
+            COUNT(*) FILTER (WHERE tre.request_id = $1 AND tre.opted_out_at IS NULL)::int as headcount,
+            COUNT(DISTINCT tre.employee_id) FILTER (WHERE tre.opted_out_at IS NOT NULL)::int as opted_out
      FROM transport_request_employees tre
+     JOIN transport_requests tr ON tr.id = tre.request_id
      LEFT JOIN routes r ON r.id = tre.effective_route_id
      WHERE tre.request_id=$1
+        OR (tre.opted_out_at IS NOT NULL AND tr.is_daily_master=FALSE AND tr.status <> 'REJECTED'
+            AND EXISTS (SELECT 1 FROM transport_requests m
+                        WHERE m.id=$1 AND m.is_daily_master=TRUE AND m.request_date=tr.request_date
+                          AND (m.request_time=tr.request_time OR m.legacy_whole_day)))
      GROUP BY r.id, r.route_no, r.route_name
      ORDER BY r.route_no NULLS LAST`,
     [id]
@@ -109,9 +221,9 @@ router.get("/requests/:id/assignments", asyncHandler(async (req, res) => {
 
   // Get assignments grouped ONLY by route (no sub-route filtering)
   const rows = await query(
-    `SELECT ra.route_id, ra.vehicle_id, ra.driver_name, ra.driver_phone, ra.instructions,
+    `SELECT ra.route_id, ra.vehicle_id, ra.driver_id, ra.driver_name, ra.driver_phone, ra.instructions,
             v.vehicle_no, v.registration_no, v.fleet_no, v.capacity, 
-            ra.overbook_amount, ra.overbook_reason, ra.overbook_status
+            ra.overbook_amount, ra.overbook_reason, ra.overbook_status, ra.trip_km
      FROM request_assignments ra
      JOIN vehicles v ON v.id = ra.vehicle_id
      WHERE ra.request_id=$1
@@ -126,32 +238,41 @@ router.get("/requests/:id/assignments", asyncHandler(async (req, res) => {
 // SAVE ASSIGNMENTS - Route-only (no sub-route)
 // Allows multiple vehicles per route with capacity checking
 // ============================================================================
+const assignmentItem = z.object({
+  vehicle_id: z.coerce.number().int().positive(),
+  driver_id: z.coerce.number().int().positive().nullable().optional(),
+  driver_name: z.string().min(2).nullable().optional(),
+  driver_phone: z.string().min(7).nullable().optional(),
+  instructions: z.string().nullable().optional(),
+  overbook_amount: z.coerce.number().int().min(0).max(2).optional(),
+  overbook_reason: z.string().nullable().optional()
+});
+
 const assignSchema = z.object({
   body: z.object({
     route_id: z.coerce.number().int().positive(),
-    assignments: z.array(z.object({
-      vehicle_id: z.coerce.number().int().positive(),
-      driver_name: z.string().min(2),
-      driver_phone: z.string().min(7),
-      instructions: z.string().optional(),
-      overbook_amount: z.coerce.number().int().min(0).max(2).optional(),
-      overbook_reason: z.string().optional()
-    })).min(1)
+    assignments: z.array(assignmentItem).min(1)
   })
 });
 
-router.post("/requests/:id/assignments", validate(assignSchema), asyncHandler(async (req, res) => {
-  const requestId = parseInt(req.params.id, 10);
-  const { route_id, assignments } = req.body;
-
-  const r = await query("SELECT status FROM transport_requests WHERE id=$1", [requestId]);
-  if (r.rowCount === 0) throw httpError(404, "Request not found");
-  if (!["ADMIN_APPROVED","TA_FIX_REQUIRED","TA_ASSIGNED","TA_ASSIGNED_PENDING_HR"].includes(r.rows[0].status)) throw httpError(400, "අවසර නැත");
+/**
+ * Replace one route's assignments on a request and link the route's employees to the vehicles.
+ * An assignment may carry employee_ids (e.g. from auto-plan); anyone on the route not listed
+ * is spread round-robin across the vehicles.
+ */
+async function saveRouteAssignments(tx, { requestId, routeId, request, assignments: input, userId, comment = null }) {
+  const assignments = await resolveAssignmentDrivers(tx, input, request.request_date);
+
+  const before = await tx.query(
+    `SELECT vehicle_id, driver_id, driver_name, driver_phone, instructions, overbook_amount, overbook_reason
+     FROM request_assignments WHERE request_id=$1 AND route_id=$2 ORDER BY id`,
+    [requestId, routeId]
+  );
 
   // Delete ALL existing assignments for this route (regardless of sub-route)
-  await query(
+  await tx.query(
     "DELETE FROM request_assignments WHERE request_id=$1 AND route_id=$2",
-    [requestId, route_id]
+    [requestId, routeId]
   );
 
   // Insert new assignments and collect vehicle IDs
@@ -164,11 +285,11 @@ router.post("/requests/:id/assignments", validate(assignSchema), asyncHandler(as
     }
     
     // Insert WITHOUT sub_route_id (it's always NULL for route-only grouping)
-    await query(
+    await tx.query(
       `INSERT INTO request_assignments
-       (request_id, route_id, sub_route_id, vehicle_id, driver_name, driver_phone, instructions, overbook_amount, overbook_reason, overbook_status)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
-      [requestId, route_id, null, a.vehicle_id, a.driver_name, a.driver_phone, a.instructions || null,
+       (request_id, route_id, sub_route_id, vehicle_id, driver_id, driver_name, driver_phone, instructions, overbook_amount, overbook_reason, overbook_status)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+      [requestId, routeId, null, a.vehicle_id, a.driver_id, a.driver_name, a.driver_phone, a.instructions || null,
        (a.overbook_amount || 0), (a.overbook_amount && a.overbook_amount>0 ? (a.overbook_reason || null) : null),
        (a.overbook_amount && a.overbook_amount>0 ? 'PENDING_HR' : 'NONE')]
     );
@@ -176,35 +297,159 @@ router.post("/requests/:id/assignments", validate(assignSchema), asyncHandler(as
   }
 
   // AUTO-LINK: Assign all employees on this route to the vehicle(s)
-  const employees = await query(
-    `SELECT id FROM transport_request_employees
+  const employees = await tx.query(
+    `SELECT id, employee_id, effective_sub_route_id FROM transport_request_employees
      WHERE request_id = $1 AND effective_route_id = $2`,
-    [requestId, route_id]
+    [requestId, routeId]
   );
 
+  const explicit = new Map();
+  if (assignments.some(a => a.employee_ids)) {
+    const onRoute = new Set(employees.rows.map(e => e.employee_id));
+    const caps = await tx.query("SELECT id, vehicle_no, capacity FROM vehicles WHERE id = ANY($1::int[])", [vehicleIds]);
+    const capById = new Map(caps.rows.map(v => [v.id, v]));
+    for (const a of assignments) {
+      for (const empId of a.employee_ids || []) {
+        if (!onRoute.has(empId)) throw httpError(400, `Employee ${empId} is not on route ${routeId} in this request`);
+        if (explicit.has(empId)) throw httpError(400, `Employee ${empId} is listed on more than one vehicle`);
+        explicit.set(empId, a.vehicle_id);
+      }
+      const v = capById.get(a.vehicle_id);
+      if (v && (a.employee_ids || []).length > v.capacity + (a.overbook_amount || 0)) {
+        throw httpError(400, `${v.vehicle_no}: ධාරිතාවට වඩා සේවකයින් (${a.employee_ids.length} / ${v.capacity})`);
+      }
+    }
+  }
+
+  const stopsByVehicle = new Map(vehicleIds.map(id => [id, []]));
   if (employees.rowCount > 0 && vehicleIds.length > 0) {
-    // Distribute employees across vehicles (round-robin)
-    for (let i = 0; i < employees.rows.length; i++) {
-      const vehicleId = vehicleIds[i % vehicleIds.length];
-      await query(
+    // Distribute employees not placed explicitly across vehicles (round-robin)
+    let i = 0;
+    for (const e of employees.rows) {
+      const vehicleId = explicit.get(e.employee_id) || vehicleIds[i++ % vehicleIds.length];
+      stopsByVehicle.get(vehicleId).push(e.effective_sub_route_id);
+      await tx.query(
         `UPDATE transport_request_employees 
          SET assigned_vehicle_id = $1 WHERE id = $2`,
-        [vehicleId, employees.rows[i].id]
+        [vehicleId, e.id]
       );
     }
-    console.log(`[AUTO-LINK] Linked ${employees.rowCount} employees to ${vehicleIds.length} vehicle(s) for route ${route_id}`);
+    console.log(`[AUTO-LINK] Linked ${employees.rowCount} employees to ${vehicleIds.length} vehicle(s) for route ${routeId}`);
+  }
+
+  // Trip distance per vehicle from the route's distance table as it is now
+  const table = (await loadRouteDistances([routeId], tx)).get(routeId);
+  for (const [vehicleId, subRouteIds] of stopsByVehicle) {
+    await tx.query(
+      "UPDATE request_assignments SET trip_km=$4 WHERE request_id=$1 AND route_id=$2 AND vehicle_id=$3",
+      [requestId, routeId, vehicleId, tripKm(table, subRouteIds)]
+    );
   }
 
+  await recordAudit(tx, {
+    requestId, userId, action: "TA_ASSIGN",
+    fromStatus: request.status, toStatus: request.status, comment,
+    diff: {
+      route_id: routeId,
+      before: before.rows,
+      after: assignments.map(a => ({
+        vehicle_id: a.vehicle_id, driver_id: a.driver_id, driver_name: a.driver_name, driver_phone: a.driver_phone,
+        instructions: a.instructions || null, overbook_amount: a.overbook_amount || 0, overbook_reason: a.overbook_reason || null
+      }))
+    }
+  });
+
+  return employees.rowCount || 0;
+}
+
+async function lockRequestForAssignment(tx, requestId) {
+  const r = await tx.query("SELECT status, request_date FROM transport_requests WHERE id=$1 FOR UPDATE", [requestId]);
+  if (r.rowCount === 0) throw httpError(404, "Request not found");
+  if (!["ADMIN_APPROVED","TA_FIX_REQUIRED","TA_ASSIGNED","TA_ASSIGNED_PENDING_HR"].includes(r.rows[0].status)) throw httpError(400, "අවසර නැත");
+  return r.rows[0];
+}
+
+router.post("/requests/:id/assignments", validate(assignSchema), asyncHandler(async (req, res) => {
+  const requestId = parseInt(req.params.id, 10);
+  const { route_id, assignments } = req.validated.body;
+
+  const linked = await withTransaction(async (tx) => {
+    const request = await lockRequestForAssignment(tx, requestId);
+    return saveRouteAssignments(tx, {
+      requestId, routeId: route_id, request, assignments, userId: req.user.user_id
+    });
+  });
+
   res.json({ 
     ok: true,
-    linked: employees.rowCount || 0
+    linked
+  });
+}));
+
+// ============================================================================
+// AUTO-PLAN - proposal only; the TA reviews/edits it and saves with /auto-plan/accept
+// (or route by route through /assignments)
+// ============================================================================
+router.post("/requests/:id/auto-plan", asyncHandler(async (req, res) => {
+  const requestId = parseInt(req.params.id, 10);
+  const plan = await buildAutoPlan(requestId);
+  res.json({ ok: true, plan });
+}));
+
+const acceptPlanSchema = z.object({
+  body: z.object({
+    routes: z.array(z.object({
+      route_id: z.coerce.number().int().positive(),
+      assignments: z.array(assignmentItem.extend({
+        employee_ids: z.array(z.coerce.number().int().positive()).optional()
+      })).min(1)
+    })).min(1)
+  })
+});
+
+router.post("/requests/:id/auto-plan/accept", validate(acceptPlanSchema), asyncHandler(async (req, res) => {
+  const requestId = parseInt(req.params.id, 10);
+  const { routes } = req.validated.body;
+
+  const used = new Set();
+  for (const r of routes) {
+    for (const a of r.assignments) {
+      if (used.has(a.vehicle_id)) throw httpError(400, `Vehicle ${a.vehicle_id} is used on more than one route`);
+      used.add(a.vehicle_id);
+    }
+  }
+
+  const linked = await withTransaction(async (tx) => {
+    const request = await lockRequestForAssignment(tx, requestId);
+    let n = 0;
+    for (const r of routes) {
+      n += await saveRouteAssignments(tx, {
+        requestId, routeId: r.route_id, request, assignments: r.assignments,
+        userId: req.user.user_id, comment: "Auto-plan accepted"
+      });
+    }
+    return n;
   });
+
+  res.json({ ok: true, routes: routes.length, linked });
 }));
 
 // Approved requests list
 router.get("/requests/approved", asyncHandler(async (req, res) => {
+  // Include the latest HR send-back / overbook rejection so TA knows what to fix
   const r = await query(
-    "SELECT tr.*, 'සියලු දෙපාර්තමේන්තු' as department_name FROM transport_requests tr WHERE tr.is_daily_master=TRUE AND tr.status IN ('ADMIN_APPROVED','TA_FIX_REQUIRED') ORDER BY tr.request_date DESC, tr.created_at DESC LIMIT 50"
+    `SELECT tr.*, 'සියලු දෙපාර්තමේන්තු' as department_name, to_char(tr.request_time, 'HH24:MI') AS shift,
+            lr.action AS last_return_action, lr.comment AS last_return_reason, lr.created_at AS last_return_at
+     FROM transport_requests tr
+     LEFT JOIN LATERAL (
+       SELECT a.action, a.comment, a.created_at
+       FROM approvals_audit a
+       WHERE a.request_id = tr.id AND a.action IN ('HR_RETURN_TO_TA','HR_OVERBOOK_REJECT')
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT 1
+     ) lr ON tr.status = 'TA_FIX_REQUIRED'
+     WHERE tr.is_daily_master=TRUE AND tr.status IN ('ADMIN_APPROVED','TA_FIX_REQUIRED')
+     ORDER BY tr.request_date DESC, tr.request_time ASC LIMIT 50`
   );
   res.json({ ok: true, requests: r.rows });
 }));
@@ -217,45 +462,147 @@ router.post("/requests/:id/submit", asyncHandler(async (req, res) => {
   const requestId = parseInt(req.params.id, 10);
   const userId = req.user.user_id;
 
-  const r = await query("SELECT status FROM transport_requests WHERE id=$1", [requestId]);
-  if (r.rowCount === 0) throw httpError(404, "Request not found");
-  if (!["ADMIN_APPROVED","TA_FIX_REQUIRED","TA_ASSIGNED","TA_ASSIGNED_PENDING_HR"].includes(r.rows[0].status)) throw httpError(400, "තත්ත්වය වැරදියි");
+  await withTransaction(async (tx) => {
+    const r = await tx.query("SELECT status FROM transport_requests WHERE id=$1 FOR UPDATE", [requestId]);
+    if (r.rowCount === 0) throw httpError(404, "Request not found");
+    if (!["ADMIN_APPROVED","TA_FIX_REQUIRED","TA_ASSIGNED","TA_ASSIGNED_PENDING_HR"].includes(r.rows[0].status)) throw httpError(400, "තත්ත්වය වැරදියි");
+
+    // Compute headcounts by ROUTE only (not sub-route)
+    const groups = await tx.query(
+      `SELECT tre.effective_route_id as route_id, COUNT(*)::int as headcount
+       FROM transport_request_employees tre
+       WHERE tre.request_id=$1 AND tre.opted_out_at IS NULL
+       GROUP BY tre.effective_route_id`,
+      [requestId]
+    );
 
-  // Compute headcounts by ROUTE only (not sub-route)
-  const groups = await query(
-    `SELECT tre.effective_route_id as route_id, COUNT(*)::int as headcount
-     FROM transport_request_employees tre
-     WHERE tre.request_id=$1
-     GROUP BY tre.effective_route_id`,
-    [requestId]
-  );
+    for (const g of groups.rows) {
+      // Sum vehicle capacities for this route (including overbook)
+      const caps = await tx.query(
+        `SELECT COALESCE(SUM(v.capacity + COALESCE(ra.overbook_amount,0)),0)::int as capacity
+         FROM request_assignments ra
+         JOIN vehicles v ON v.id=ra.vehicle_id
+         WHERE ra.request_id=$1 AND ra.route_id IS NOT DISTINCT FROM $2`,
+        [requestId, g.route_id]
+      );
 
-  for (const g of groups.rows) {
-    // Sum vehicle capacities for this route (including overbook)
-    const caps = await query(
-      `SELECT COALESCE(SUM(v.capacity + COALESCE(ra.overbook_amount,0)),0)::int as capacity
-       FROM request_assignments ra
-       JOIN vehicles v ON v.id=ra.vehicle_id
-       WHERE ra.request_id=$1 AND ra.route_id IS NOT DISTINCT FROM $2`,
-      [requestId, g.route_id]
+      const cap = caps.rows[0].capacity;
+      if (cap < g.headcount) {
+        throw httpError(400, `ධාරිතාව ප්‍රමාණවත් නැත (අවශ්‍ය ${g.headcount}, පවතින්නේ ${cap}). ඔවරයිඩ් (+1/+2) යොදා ඇත්නම් HR අනුමැතිය අවශ්‍යයි.`);
+      }
+    }
+
+    // If any overbook used, route to HR for override approval
+    const ob = await tx.query(
+      "SELECT COUNT(*)::int as c FROM request_assignments WHERE request_id=$1 AND COALESCE(overbook_amount,0) > 0",
+      [requestId]
     );
+    const nextStatus = (ob.rows[0].c > 0) ? 'TA_ASSIGNED_PENDING_HR' : 'TA_ASSIGNED';
+    await tx.query("UPDATE transport_requests SET status=$2 WHERE id=$1", [requestId, nextStatus]);
+    await recordAudit(tx, {
+      requestId, userId, action: "TA_SUBMIT", fromStatus: r.rows[0].status, toStatus: nextStatus,
+      diff: { overbooked_assignments: ob.rows[0].c }
+    });
+
+    const info = await tx.query(
+      `SELECT to_char(tr.request_date, 'YYYY-MM-DD') AS date, to_char(tr.request_time, 'HH24:MI') AS shift,
+              (SELECT COUNT(*)::int FROM request_assignments ra WHERE ra.request_id = tr.id) AS vehicles,
+              (SELECT COALESCE(SUM(ra.overbook_amount), 0)::int FROM request_assignments ra WHERE ra.request_id = tr.id) AS seats
+       FROM transport_requests tr WHERE tr.id=$1`,
+      [requestId]
+    );
+    const hr = await usersWithRole(tx, "HR");
+    const data = { ...info.rows[0], assignments: ob.rows[0].c, request_id: requestId };
+    await enqueueNotification(tx, "ta_assignment_ready", hr, data);
+    if (nextStatus === "TA_ASSIGNED_PENDING_HR") await enqueueNotification(tx, "overbook_pending_hr", hr, data);
+  });
 
-    const cap = caps.rows[0].capacity;
-    if (cap < g.headcount) {
-      throw httpError(400, `ධාරිතාව ප්‍රමාණවත් නැත (අවශ්‍ය ${g.headcount}, පවතින්නේ ${cap}). ඔවරයිඩ් (+1/+2) යොදා ඇත්නම් HR අනුමැතිය අවශ්‍යයි.`);
-    }
-  }
+  res.json({ ok: true });
+}));
 
-  // If any overbook used, route to HR for override approval
-  const ob = await query(
-    "SELECT COUNT(*)::int as c FROM request_assignments WHERE request_id=$1 AND COALESCE(overbook_amount,0) > 0",
-    [requestId]
+// ---- Boarding / attendance (final-approved runs) ----
+const boardingMarksSchema = z.object({
+  body: z.object({
+    marks: z.array(z.object({
+      employee_id: z.coerce.number().int().positive(),
+      status: z.enum(BOARDING_STATUSES),
+      note: z.string().trim().max(300).nullable().optional()
+    })).min(1).max(500)
+  })
+});
+const boardingScanSchema = z.object({
+  body: z.object({
+    payload: z.string().min(1).max(500),
+    vehicle_id: z.coerce.number().int().positive().optional()
+  })
+});
+const boardingLinksSchema = z.object({ body: z.object({ regenerate: z.boolean().optional() }).optional() });
+
+// Roster per vehicle with boarding state; employees not seated in a vehicle are listed separately
+router.get("/requests/:id/boarding", asyncHandler(async (req, res) => {
+  const run = await loadBoardingRun({ query }, parseInt(req.params.id, 10));
+  const roster = await boardingRoster({ query }, run.id);
+  const vehicles = await query(
+    `SELECT ra.vehicle_id, v.vehicle_no, r.route_no, COALESCE(d.full_name, ra.driver_name) AS driver_name
+     FROM request_assignments ra
+     JOIN vehicles v ON v.id = ra.vehicle_id
+     LEFT JOIN routes r ON r.id = ra.route_id
+     LEFT JOIN drivers d ON d.id = ra.driver_id
+     WHERE ra.request_id=$1
+     ORDER BY r.route_no, ra.id`,
+    [run.id]
   );
-  const nextStatus = (ob.rows[0].c > 0) ? 'TA_ASSIGNED_PENDING_HR' : 'TA_ASSIGNED';
-  await query("UPDATE transport_requests SET status=$2 WHERE id=$1", [requestId, nextStatus]);
-  await query("INSERT INTO approvals_audit (request_id, action_by_user_id, action) VALUES ($1,$2,'TA_SUBMIT')", [requestId, userId]);
+  const seated = new Set(vehicles.rows.map(v => v.vehicle_id));
+  res.json({
+    ok: true,
+    request_id: run.id,
+    date: run.date,
+    shift: run.shift,
+    counts: rosterCounts(roster),
+    vehicles: vehicles.rows.map(v => {
+      const employees = roster.filter(e => e.assigned_vehicle_id === v.vehicle_id);
+      return { ...v, counts: rosterCounts(employees), employees };
+    }),
+    unassigned: roster.filter(e => !seated.has(e.assigned_vehicle_id))
+  });
+}));
 
-  res.json({ ok: true });
+// Bulk check-in: present / late / absent for any employees on the run
+router.post("/requests/:id/boarding", validate(boardingMarksSchema), asyncHandler(async (req, res) => {
+  const requestId = parseInt(req.params.id, 10);
+  const { marks } = req.validated.body;
+  const marked = await withTransaction(async (tx) => {
+    const run = await loadBoardingRun(tx, requestId, { forWrite: true });
+    const n = await markBoarding(tx, run, marks, { userId: req.user.user_id, source: "TA" });
+    await recordAudit(tx, {
+      requestId, userId: req.user.user_id, action: "TA_BOARDING_MARK",
+      diff: BOARDING_STATUSES.reduce((d, s) => ({ ...d, [s.toLowerCase()]: marks.filter(m => m.status === s).length }), {})
+    });
+    return n;
+  });
+  res.json({ ok: true, marked });
+}));
+
+// Scanned QR/barcode (emp_no) at the vehicle; vehicle_id is the vehicle boarded (default: the seat)
+router.post("/requests/:id/boarding/scan", validate(boardingScanSchema), asyncHandler(async (req, res) => {
+  const requestId = parseInt(req.params.id, 10);
+  const { payload, vehicle_id: vehicleId = null } = req.validated.body;
+  const result = await withTransaction(async (tx) => {
+    const run = await loadBoardingRun(tx, requestId, { forWrite: true });
+    return scanBoarding(tx, run, payload, { userId: req.user.user_id, vehicleId });
+  });
+  res.json({ ok: true, ...result });
+}));
+
+// Driver boarding links (one per vehicle, no login). Share the path with the driver.
+router.post("/requests/:id/boarding/links", validate(boardingLinksSchema), asyncHandler(async (req, res) => {
+  const requestId = parseInt(req.params.id, 10);
+  const regenerate = Boolean(req.validated.body && req.validated.body.regenerate);
+  const links = await withTransaction(async (tx) => {
+    await loadBoardingRun(tx, requestId);
+    return ensureBoardingLinks(tx, requestId, { regenerate });
+  });
+  res.json({ ok: true, links });
 }));
 
 module.exports = router;
@@ -0,0 +1,65 @@
+const { query } = require("../db/pool");
+const { STAFF_ROLES, publishEvent } = require("./events");
+
+/**
+ * Append one approvals_audit row for a request state change.
+ * Pass the handler's transaction (`tx`) as db so the audit row commits or rolls back
+ * together with the change it describes. A status change is also published as a
+ * request_status event (GET /events) once that transaction commits.
+ *
+ * diff is any JSON-serialisable value (before/after snapshots, list of edits, counts).
+ */
+async function recordAudit(db, { requestId, userId, action, fromStatus = null, toStatus = null, comment = null, diff = null }) {
+  const executor = db || { query };
+  await executor.query(
+    `INSERT INTO approvals_audit (request_id, action_by_user_id, action, from_status, to_status, comment, diff)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+    [requestId, userId, action, fromStatus, toStatus, comment, diff === null ? null : JSON.stringify(diff)]
+  );
+  if (toStatus && toStatus !== fromStatus) await publishStatusChange(executor, { requestId, action, fromStatus, toStatus });
+}
+
+// HODs see their own department's requests and the daily runs their employees are on
+async function publishStatusChange(db, { requestId, action, fromStatus, toStatus }) {
+  const r = await db.query(
+    `SELECT tr.department_id, tr.is_daily_master,
+            to_char(tr.request_date, 'YYYY-MM-DD') AS date, to_char(tr.request_time, 'HH24:MI') AS shift,
+            CASE WHEN tr.is_daily_master
+                 THEN ARRAY(SELECT DISTINCT e.department_id FROM transport_request_employees tre
+                            JOIN employees e ON e.id = tre.employee_id WHERE tre.request_id = tr.id)
+                 ELSE ARRAY[tr.department_id] END AS department_ids
+     FROM transport_requests tr WHERE tr.id=$1`,
+    [requestId]
+  );
+  if (r.rowCount === 0) return;
+  const { department_ids, ...request } = r.rows[0];
+  publishEvent(db, "request_status", { request_id: requestId, ...request, action, from_status: fromStatus, to_status: toStatus }, {
+    roles: [...STAFF_ROLES, "HOD"],
+    departmentIds: department_ids
+  });
+}
+
+/**
+ * Append one user_audit row for an account change made by an admin
+ * (create, disable/enable, role or department change, forced password reset),
+ * a HOD (registration reject) or the system (userId null, registration expiry).
+ */
+async function recordUserAudit(db, { targetUserId, userId, action, comment = null, diff = null }) {
+  const executor = db || { query };
+  await executor.query(
+    `INSERT INTO user_audit (target_user_id, action_by_user_id, action, comment, diff)
+     VALUES ($1,$2,$3,$4,$5)`,
+    [targetUserId, userId, action, comment, diff === null ? null : JSON.stringify(diff)]
+  );
+}
+
+// Shared SELECT for history/audit listings (joins the acting user for display)
+const AUDIT_SELECT = `
+  SELECT a.id, a.request_id, a.action, a.from_status, a.to_status, a.comment, a.diff, a.created_at,
+         a.action_by_user_id, u.email AS action_by_email, u.role AS action_by_role,
+         tr.request_date, tr.department_id, tr.is_daily_master
+  FROM approvals_audit a
+  JOIN transport_requests tr ON tr.id = a.request_id
+  LEFT JOIN users u ON u.id = a.action_by_user_id`;
+
+module.exports = { recordAudit, recordUserAudit, AUDIT_SELECT };
@@ -0,0 +1,272 @@
+const { query } = require("../db/pool");
+const { httpError } = require("../utils/httpError");
+const { stopOrderSql } = require("./stops");
+const { loadRouteDistances, tripKm } = require("./routeDistance");
+
+// Vehicle allocation proposal for a daily master (TA auto-plan).
+//
+// Per route: pick the fewest vehicles that cover the headcount (vehicles must serve the
+// route via vehicle_routes / vehicles.route_id and are used once per run), preferring
+// vehicles that ran the route recently, then the least spare seats. Employees are packed
+// by sub-route so a sub-route stays in one vehicle where it fits. Nothing is saved here.
+
+const MAX_OVERBOOK = 2;          // same limit as POST /ta/requests/:id/assignments
+const HISTORY_DAYS = 14;
+const MAX_COMBINATIONS = 20000;
+
+function combinations(items, k, fn) {
+  const pick = [];
+  const walk = (start) => {
+    if (pick.length === k) { fn(pick.slice()); return; }
+    for (let i = start; i <= items.length - (k - pick.length); i++) {
+      pick.push(items[i]);
+      walk(i + 1);
+      pick.pop();
+    }
+  };
+  walk(0);
+}
+
+function binomial(n, k) {
+  let r = 1;
+  for (let i = 1; i <= k; i++) r = (r * (n - k + i)) / i;
+  return r;
+}
+
+/** Choose vehicles for one route from the still-free candidates. */
+function chooseVehicles(candidates, headcount, usedBefore) {
+  const total = candidates.reduce((n, v) => n + v.capacity, 0);
+  if (total <= headcount) return candidates.slice();
+
+  // Fewest vehicles: largest first until covered
+  const bySize = candidates.slice().sort((a, b) => b.capacity - a.capacity);
+  let k = 0;
+  for (let seats = 0; seats < headcount; k++) seats += bySize[k].capacity;
+
+  const score = (set) => {
+    const seats = set.reduce((n, v) => n + v.capacity, 0);
+    return { ok: seats >= headcount, history: set.filter(v => usedBefore.has(v.id)).length, waste: seats - headcount };
+  };
+  const better = (a, b) => (a.history !== b.history ? a.history > b.history : a.waste < b.waste);
+
+  let best = bySize.slice(0, k);
+  let bestScore = score(best);
+  if (binomial(candidates.length, k) <= MAX_COMBINATIONS) {
+    combinations(bySize, k, (set) => {
+      const s = score(set);
+      if (s.ok && better(s, bestScore)) { best = set; bestScore = s; }
+    });
+  }
+  return best;
+}
+
+/**
+ * Pack sub-route groups into vehicles (best fit, largest group first); groups that fit
+ * nowhere whole are split across the emptiest vehicles. Returns employees left over.
+ */
+function packEmployees(slots, groups) {
+  const left = [];
+  for (const g of groups.slice().sort((a, b) => b.employees.length - a.employees.length)) {
+    const size = g.employees.length;
+    const fits = slots.filter(s => s.remaining >= size).sort((a, b) => a.remaining - b.remaining);
+    if (fits.length) {
+      fits[0].employees.push(...g.employees);
+      fits[0].remaining -= size;
+      continue;
+    }
+    const queue = g.employees.slice();
+    while (queue.length) {
+      const roomiest = slots.slice().sort((a, b) => b.remaining - a.remaining)[0];
+      if (!roomiest || roomiest.remaining <= 0) break;
+      const take = queue.splice(0, roomiest.remaining);
+      roomiest.employees.push(...take);
+      roomiest.remaining -= take.length;
+    }
+    left.push(...queue);
+  }
+  return left;
+}
+
+/**
+ * Pure planner. routes: [{ route_id, route_no, route_name, groups: [{ sub_route_id, sub_name, employees }] }],
+ * vehicles: [{ id, vehicle_no, capacity, route_ids }],
+ * history: Map route_id -> Map vehicle_id -> { driver_id, driver_name, driver_phone },
+ * drivers: [{ id, full_name, phone, default_vehicle_id }].
+ */
+function planRoutes({ routes, vehicles, history, drivers }) {
+  const taken = new Set();
+  const driverTaken = new Set();
+  const driverById = new Map(drivers.map(d => [d.id, d]));
+  const candidatesFor = (routeId) => vehicles.filter(v => !taken.has(v.id) && v.route_ids.includes(routeId));
+
+  // Scarce routes first so they get their vehicles before shared vehicles are used up
+  const headcount = (r) => r.groups.reduce((n, g) => n + g.employees.length, 0);
+  const order = routes.slice().sort((a, b) => {
+    const sa = candidatesFor(a.route_id).reduce((n, v) => n + v.capacity, 0) - headcount(a);
+    const sb = candidatesFor(b.route_id).reduce((n, v) => n + v.capacity, 0) - headcount(b);
+    return sa - sb || headcount(b) - headcount(a);
+  });
+
+  const planned = [];
+  for (const route of order) {
+    const need = headcount(route);
+    const usedBefore = history.get(route.route_id) || new Map();
+    const chosen = chooseVehicles(candidatesFor(route.route_id), need, usedBefore);
+    chosen.forEach(v => taken.add(v.id));
+
+    const slots = chosen
+      .sort((a, b) => b.capacity - a.capacity)
+      .map(v => ({ vehicle: v, remaining: v.capacity, employees: [], overbook: 0 }));
+    let left = packEmployees(slots, route.groups);
+
+    // Cover a small shortfall with overbook (+1/+2 per vehicle, needs HR approval)
+    for (const s of slots) {
+      while (left.length && s.overbook < MAX_OVERBOOK) {
+        s.employees.push(left.shift());
+        s.overbook += 1;
+      }
+    }
+
+    const assignments = slots.map(s => {
+      const last = usedBefore.get(s.vehicle.id) || null;
+      const lastDriver = last && driverById.get(last.driver_id);
+      const driver = (lastDriver && !driverTaken.has(lastDriver.id) && lastDriver)
+        || drivers.find(d => d.default_vehicle_id === s.vehicle.id && !driverTaken.has(d.id))
+        || null;
+      if (driver) driverTaken.add(driver.id);
+      // Last run's free-text driver when nobody from the registry fits
+      const snapshot = !driver && last && !last.driver_id ? last : null;
+      return {
+        vehicle_id: s.vehicle.id,
+        vehicle_no: s.vehicle.vehicle_no,
+        vehicle_type: s.vehicle.vehicle_type,
+        capacity: s.vehicle.capacity,
+        load: s.employees.length,
+        from_history: usedBefore.has(s.vehicle.id),
+        driver_id: driver ? driver.id : null,
+        driver_name: driver ? driver.full_name : (snapshot ? snapshot.driver_name : null),
+        driver_phone: driver ? driver.phone : (snapshot ? snapshot.driver_phone : null),
+        overbook_amount: s.overbook,
+        overbook_reason: s.overbook ? "Auto-plan: route capacity short" : null,
+        employee_ids: s.employees.map(e => e.employee_id),
+        employees: s.employees
+      };
+    });
+
+    planned.push({
+      route_id: route.route_id,
+      route_no: route.route_no,
+      route_name: route.route_name,
+      headcount: need,
+      seats: chosen.reduce((n, v) => n + v.capacity, 0),
+      assignments,
+      unassigned: left
+    });
+  }
+
+  return planned.sort((a, b) => String(a.route_no).localeCompare(String(b.route_no), undefined, { numeric: true }));
+}
+
+async function buildAutoPlan(requestId, db = { query }) {
+  const r = await db.query(
+    "SELECT id, status, request_date, request_time, is_daily_master FROM transport_requests WHERE id=$1",
+    [requestId]
+  );
+  if (r.rowCount === 0) throw httpError(404, "Request not found");
+  const request = r.rows[0];
+  if (!request.is_daily_master) throw httpError(400, "Auto-plan works on the daily run only");
+  if (!["ADMIN_APPROVED","TA_FIX_REQUIRED","TA_ASSIGNED","TA_ASSIGNED_PENDING_HR"].includes(request.status)) throw httpError(400, "අවසර නැත");
+
+  const emps = await db.query(
+    `SELECT tre.employee_id, e.emp_no, e.full_name,
+            tre.effective_route_id AS route_id, r.route_no, r.route_name,
+            tre.effective_sub_route_id AS sub_route_id, sr.sub_name
+     FROM transport_request_employees tre
+     JOIN employees e ON e.id = tre.employee_id
+     LEFT JOIN routes r ON r.id = tre.effective_route_id
+     LEFT JOIN sub_routes sr ON sr.id = tre.effective_sub_route_id
+     WHERE tre.request_id=$1
+     ORDER BY r.route_no, ${stopOrderSql("sr")}, e.full_name`,
+    [requestId]
+  );
+
+  const routesById = new Map();
+  const noRoute = [];
+  for (const e of emps.rows) {
+    const employee = { employee_id: e.employee_id, emp_no: e.emp_no, full_name: e.full_name, sub_route_id: e.sub_route_id, sub_name: e.sub_name };
+    if (!e.route_id) { noRoute.push(employee); continue; }
+    if (!routesById.has(e.route_id)) {
+      routesById.set(e.route_id, { route_id: e.route_id, route_no: e.route_no, route_name: e.route_name, groups: new Map() });
+    }
+    const groups = routesById.get(e.route_id).groups;
+    const key = e.sub_route_id || 0;
+    if (!groups.has(key)) groups.set(key, { sub_route_id: e.sub_route_id, sub_name: e.sub_name, employees: [] });
+    groups.get(key).employees.push(employee);
+  }
+  const routes = [...routesById.values()].map(rt => ({ ...rt, groups: [...rt.groups.values()] }));
+
+  const vehicles = await db.query(
+    `SELECT v.id, v.vehicle_no, v.vehicle_type, v.capacity,
+            ARRAY_REMOVE(ARRAY_AGG(DISTINCT vr.route_id) || v.route_id, NULL) AS route_ids
+     FROM vehicles v
+     LEFT JOIN vehicle_routes vr ON vr.vehicle_id = v.id
+     GROUP BY v.id
+     ORDER BY v.vehicle_no`
+  );
+
+  // Most recent vehicle/driver per route from earlier runs (any shift)
+  const hist = await db.query(
+    `SELECT DISTINCT ON (ra.route_id, ra.vehicle_id) ra.route_id, ra.vehicle_id, ra.driver_id, ra.driver_name, ra.driver_phone
+     FROM request_assignments ra
+     JOIN transport_requests tr ON tr.id = ra.request_id
+     WHERE tr.is_daily_master=TRUE AND tr.id <> $1
+       AND tr.status IN ('TA_ASSIGNED','TA_ASSIGNED_PENDING_HR','HR_FINAL_APPROVED')
+       AND tr.request_date BETWEEN $2::date - $3::int AND $2::date
+     ORDER BY ra.route_id, ra.vehicle_id, tr.request_date DESC, tr.request_time DESC`,
+    [requestId, request.request_date, HISTORY_DAYS]
+  );
+  const history = new Map();
+  for (const h of hist.rows) {
+    if (!history.has(h.route_id)) history.set(h.route_id, new Map());
+    history.get(h.route_id).set(h.vehicle_id, h);
+  }
+
+  const drivers = await db.query(
+    `SELECT id, full_name, phone, default_vehicle_id FROM drivers
+     WHERE is_active=TRUE AND (licence_expiry IS NULL OR licence_expiry >= $1::date)
+     ORDER BY full_name`,
+    [request.request_date]
+  );
+
+  const plan = planRoutes({ routes, vehicles: vehicles.rows, history, drivers: drivers.rows });
+
+  const distances = await loadRouteDistances(plan.map(p => p.route_id), db);
+  for (const p of plan) {
+    for (const a of p.assignments) a.trip_km = tripKm(distances.get(p.route_id), a.employees.map(e => e.sub_route_id));
+  }
+
+  const warnings = [];
+  if (noRoute.length) warnings.push(`${noRoute.length} employee(s) have no route and were not planned`);
+  for (const p of plan) {
+    if (p.assignments.length === 0) warnings.push(`Route ${p.route_no}: no vehicles available`);
+    else if (p.unassigned.length) warnings.push(`Route ${p.route_no}: ${p.unassigned.length} employee(s) do not fit even with overbook`);
+    const noDriver = p.assignments.filter(a => !a.driver_id && !a.driver_name).length;
+    if (noDriver) warnings.push(`Route ${p.route_no}: ${noDriver} vehicle(s) need a driver`);
+  }
+
+  return {
+    request_id: request.id,
+    routes: plan,
+    unrouted_employees: noRoute,
+    totals: {
+      headcount: emps.rowCount,
+      vehicles: plan.reduce((n, p) => n + p.assignments.length, 0),
+      seats: plan.reduce((n, p) => n + p.seats, 0),
+      overbook: plan.reduce((n, p) => n + p.assignments.reduce((m, a) => m + a.overbook_amount, 0), 0),
+      trip_km: Math.round(plan.reduce((n, p) => n + p.assignments.reduce((m, a) => m + (a.trip_km || 0), 0), 0) * 100) / 100
+    },
+    warnings
+  };
+}
+
+module.exports = { planRoutes, buildAutoPlan };
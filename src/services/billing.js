@@ -0,0 +1,180 @@
+const { DateTime } = require("luxon");
+const { query } = require("../db/pool");
+const { httpError } = require("../utils/httpError");
+
+// Supplier billing. Rate cards price a vehicle's trips PER_TRIP, PER_KM (assignment trip_km)
+// or PER_DAY (charged on the vehicle's first trip of the day), plus a per-seat surcharge for
+// HR-approved overbook. Billable trips are recorded when HR gives final approval.
+
+const BILLING_BASES = ["PER_TRIP", "PER_KM", "PER_DAY"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const sameOwner = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/**
+ * Most specific card for a vehicle: its own card, then an owner card for its type,
+ * then any owner card, then a card for its vehicle type. Latest valid_from wins a tie.
+ * cards must already be limited to the trip date.
+ */
+function pickRateCard(cards, vehicle) {
+  const rank = (c) => {
+    if (c.vehicle_id) return c.vehicle_id === vehicle.id ? 4 : 0;
+    if (c.owner_name) {
+      if (!sameOwner(c.owner_name, vehicle.owner_name)) return 0;
+      if (!c.vehicle_type) return 2;
+      return c.vehicle_type === vehicle.vehicle_type ? 3 : 0;
+    }
+    return c.vehicle_type === vehicle.vehicle_type ? 1 : 0;
+  };
+  let best = null;
+  let bestRank = 0;
+  for (const c of cards) {
+    const r = rank(c);
+    if (r > bestRank || (r === bestRank && r > 0 && (c.valid_from > best.valid_from || (c.valid_from === best.valid_from && c.id > best.id)))) {
+      best = c;
+      bestRank = r;
+    }
+  }
+  return best;
+}
+
+/** Replace the billable trips of one HR-final-approved daily master. Returns the trip count. */
+async function recordBillableTrips(db, requestId) {
+  const r = await db.query(
+    `SELECT id, to_char(request_date, 'YYYY-MM-DD') AS date, to_char(request_time, 'HH24:MI') AS shift
+     FROM transport_requests WHERE id=$1`,
+    [requestId]
+  );
+  if (r.rowCount === 0) throw httpError(404, "Request not found");
+  const run = r.rows[0];
+
+  await db.query("DELETE FROM billable_trips WHERE request_id=$1", [requestId]);
+
+  const trips = await db.query(
+    `SELECT ra.route_id, ra.vehicle_id, ra.trip_km, ra.overbook_amount, ra.overbook_status,
+            v.vehicle_no, v.vehicle_type, v.owner_name,
+            (SELECT COUNT(*)::int FROM transport_request_employees tre
+             WHERE tre.request_id = ra.request_id AND tre.assigned_vehicle_id = ra.vehicle_id
+               AND tre.effective_route_id = ra.route_id) AS passengers
+     FROM request_assignments ra
+     JOIN vehicles v ON v.id = ra.vehicle_id
+     WHERE ra.request_id=$1
+     ORDER BY ra.id`,
+    [requestId]
+  );
+
+  const cards = await db.query(
+    `SELECT id, vehicle_id, owner_name, vehicle_type, basis, rate, overbook_rate,
+            to_char(valid_from, 'YYYY-MM-DD') AS valid_from
+     FROM rate_cards
+     WHERE valid_from <= $1::date AND (valid_to IS NULL OR valid_to >= $1::date)`,
+    [run.date]
+  );
+
+  // Vehicles whose day rate was already charged on another shift that day
+  const dayCharged = await db.query(
+    `SELECT DISTINCT vehicle_id FROM billable_trips
+     WHERE trip_date=$1 AND basis='PER_DAY' AND base_amount > 0 AND request_id <> $2`,
+    [run.date, requestId]
+  );
+  const charged = new Set(dayCharged.rows.map(x => x.vehicle_id));
+
+  for (const t of trips.rows) {
+    const card = pickRateCard(cards.rows, { id: t.vehicle_id, owner_name: t.owner_name, vehicle_type: t.vehicle_type });
+    const km = t.trip_km === null ? null : Number(t.trip_km);
+    const seats = t.overbook_status === "APPROVED" ? (t.overbook_amount || 0) : 0;
+    let base = null;
+    let note = null;
+
+    if (!card) {
+      note = "No rate card";
+    } else if (card.basis === "PER_TRIP") {
+      base = Number(card.rate);
+    } else if (card.basis === "PER_KM") {
+      if (km === null) note = "Distance missing";
+      else base = round2(Number(card.rate) * km);
+    } else if (charged.has(t.vehicle_id)) {
+      base = 0;
+      note = "Day rate already charged";
+    } else {
+      base = Number(card.rate);
+      charged.add(t.vehicle_id);
+    }
+
+    const surcharge = card ? round2(seats * Number(card.overbook_rate || 0)) : 0;
+    await db.query(
+      `INSERT INTO billable_trips
+       (request_id, trip_date, shift, route_id, vehicle_id, vehicle_no, vehicle_type, owner_name,
+        rate_card_id, basis, rate, trip_km, passengers, overbook_seats, surcharge, base_amount, amount, note)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18)`,
+      [requestId, run.date, run.shift, t.route_id, t.vehicle_id, t.vehicle_no, t.vehicle_type, t.owner_name,
+       card ? card.id : null, card ? card.basis : null, card ? card.rate : null, km, t.passengers, seats,
+       surcharge, base, base === null ? null : round2(base + surcharge), note]
+    );
+  }
+  return trips.rowCount;
+}
+
+/** "YYYY-MM" -> { from, to } (YYYY-MM-DD); 400 on anything else. */
+function monthRange(month) {
+  const m = DateTime.fromFormat(String(month || ""), "yyyy-MM");
+  if (!m.isValid) throw httpError(400, "month required (YYYY-MM)");
+  return { from: m.startOf("month").toISODate(), to: m.endOf("month").toISODate() };
+}
+
+/**
+ * Re-record every HR-final-approved run in a month (e.g. after rate cards change).
+ * Runs are replayed in date/shift order so day rates land on the first trip again.
+ */
+async function recalculateMonth(db, month) {
+  const { from, to } = monthRange(month);
+  await db.query("DELETE FROM billable_trips WHERE trip_date BETWEEN $1 AND $2", [from, to]);
+  const runs = await db.query(
+    `SELECT id FROM transport_requests
+     WHERE is_daily_master=TRUE AND status='HR_FINAL_APPROVED' AND request_date BETWEEN $1 AND $2
+     ORDER BY request_date, request_time`,
+    [from, to]
+  );
+  let trips = 0;
+  for (const run of runs.rows) trips += await recordBillableTrips(db, run.id);
+  return { runs: runs.rowCount, trips };
+}
+
+/** Monthly statements: one per owner with its trips as line items in date order. */
+async function loadBillingStatements({ month, owner = null }) {
+  const { from, to } = monthRange(month);
+  const r = await query(
+    `SELECT to_char(bt.trip_date, 'YYYY-MM-DD') AS date, to_char(bt.shift, 'HH24:MI') AS shift,
+            rt.route_no, rt.route_name, bt.vehicle_no, bt.vehicle_type, COALESCE(bt.owner_name, '(no owner)') AS owner_name,
+            bt.basis, bt.rate, bt.trip_km, bt.passengers, bt.overbook_seats, bt.surcharge, bt.base_amount, bt.amount, bt.note
+     FROM billable_trips bt
+     LEFT JOIN routes rt ON rt.id = bt.route_id
+     WHERE bt.trip_date BETWEEN $1 AND $2
+       AND ($3::text IS NULL OR LOWER(TRIM(bt.owner_name)) = LOWER(TRIM($3::text)))
+     ORDER BY owner_name, bt.trip_date, bt.shift, bt.vehicle_no`,
+    [from, to, owner]
+  );
+  if (r.rowCount === 0) throw httpError(404, "No billable trips for that month");
+
+  const byOwner = new Map();
+  for (const row of r.rows) {
+    if (!byOwner.has(row.owner_name)) {
+      byOwner.set(row.owner_name, { owner_name: row.owner_name, lines: [], total: 0, unpriced: 0 });
+    }
+    const s = byOwner.get(row.owner_name);
+    const line = {
+      ...row,
+      rate: row.rate === null ? null : Number(row.rate),
+      trip_km: row.trip_km === null ? null : Number(row.trip_km),
+      surcharge: Number(row.surcharge),
+      base_amount: row.base_amount === null ? null : Number(row.base_amount),
+      amount: row.amount === null ? null : Number(row.amount)
+    };
+    s.lines.push(line);
+    if (line.amount === null) s.unpriced += 1;
+    else s.total = round2(s.total + line.amount);
+  }
+  return { month, from, to, statements: [...byOwner.values()] };
+}
+
+module.exports = { BILLING_BASES, pickRateCard, recordBillableTrips, recalculateMonth, monthRange, loadBillingStatements };
@@ -0,0 +1,300 @@
+const crypto = require("crypto");
+const { DateTime } = require("luxon");
+const { query } = require("../db/pool");
+const { env } = require("../config/env");
+const { httpError } = require("../utils/httpError");
+const { stopOrderSql, stopEta } = require("./stops");
+const { departmentAsOfSql } = require("./transfers");
+
+// Boarding / attendance on a final-approved daily run. Each transport_request_employees row
+// gets PRESENT, LATE or ABSENT, marked by TA (bulk), by the driver through a per-vehicle
+// boarding link (request_assignments.boarding_token, no login) or by scanning the employee's
+// emp_no (QR/barcode). A later mark replaces an earlier one.
+
+const BOARDING_STATUSES = ["PRESENT", "LATE", "ABSENT"];
+const MAX_SCAN_LENGTH = 500;
+
+const today = () => DateTime.now().setZone("Asia/Colombo").toISODate();
+
+function generateBoardingToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * emp_no from a scanned payload: the bare emp_no, "EMP:<no>", "emp_no=<no>", a URL with an
+ * emp_no query parameter, or JSON {"emp_no": "..."}. Null when nothing usable is found.
+ */
+function parseScanPayload(payload) {
+  const raw = String(payload || "").trim();
+  if (!raw || raw.length > MAX_SCAN_LENGTH) return null;
+  if (raw.startsWith("{")) {
+    try {
+      const j = JSON.parse(raw);
+      return j && j.emp_no !== undefined && j.emp_no !== null ? String(j.emp_no).trim() || null : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  if (/^https?:\/\//i.test(raw)) {
+    try {
+      return new URL(raw).searchParams.get("emp_no") || null;
+    } catch (e) {
+      return null;
+    }
+  }
+  const m = /^(?:emp(?:_no)?\s*[:=]\s*)?([A-Za-z0-9][A-Za-z0-9\-/._]*)$/i.exec(raw);
+  return m ? m[1] : null;
+}
+
+/**
+ * Daily run for boarding. Marks need HR final approval and are only taken from the run date
+ * on (forWrite); reading the roster is allowed any time after final approval.
+ */
+async function loadBoardingRun(db, requestId, { forWrite = false } = {}) {
+  const r = await db.query(
+    `SELECT id, is_daily_master, status, to_char(request_date, 'YYYY-MM-DD') AS date, to_char(request_time, 'HH24:MI') AS shift
+     FROM transport_requests WHERE id=$1`,
+    [requestId]
+  );
+  if (r.rowCount === 0) throw httpError(404, "Request not found");
+  const run = r.rows[0];
+  if (!run.is_daily_master) throw httpError(400, "Boarding is recorded on the daily run");
+  if (run.status !== "HR_FINAL_APPROVED") throw httpError(400, "Boarding is available only after HR final approval");
+  if (forWrite && run.date > today()) throw httpError(400, `Boarding for this run opens on ${run.date}`);
+  return run;
+}
+
+/**
+ * Assignment + run for a driver boarding link. Links work from final approval until the day
+ * after the run; anything else is reported as not found so tokens cannot be probed.
+ */
+async function loadBoardingLink(db, token) {
+  const r = await db.query(
+    `SELECT ra.id AS assignment_id, ra.request_id, ra.route_id, ra.vehicle_id, v.vehicle_no,
+            r.route_no, r.route_name, COALESCE(d.full_name, ra.driver_name) AS driver_name,
+            tr.status, to_char(tr.request_date, 'YYYY-MM-DD') AS date, to_char(tr.request_time, 'HH24:MI') AS shift
+     FROM request_assignments ra
+     JOIN transport_requests tr ON tr.id = ra.request_id
+     JOIN vehicles v ON v.id = ra.vehicle_id
+     LEFT JOIN routes r ON r.id = ra.route_id
+     LEFT JOIN drivers d ON d.id = ra.driver_id
+     WHERE ra.boarding_token=$1`,
+    [String(token || "")]
+  );
+  const link = r.rows[0];
+  const lastDay = link ? DateTime.fromISO(link.date, { zone: "Asia/Colombo" }).plus({ days: 1 }).toISODate() : null;
+  if (!link || link.status !== "HR_FINAL_APPROVED" || today() > lastDay) throw httpError(404, "Boarding link not found or expired");
+  return link;
+}
+
+/** Give every vehicle on the run a boarding link (regenerate: replace existing ones). */
+async function ensureBoardingLinks(tx, requestId, { regenerate = false } = {}) {
+  const r = await tx.query(
+    `SELECT ra.id, ra.boarding_token, v.vehicle_no, r.route_no, COALESCE(d.full_name, ra.driver_name) AS driver_name,
+            COALESCE(d.phone, ra.driver_phone) AS driver_phone
+     FROM request_assignments ra
+     JOIN vehicles v ON v.id = ra.vehicle_id
+     LEFT JOIN routes r ON r.id = ra.route_id
+     LEFT JOIN drivers d ON d.id = ra.driver_id
+     WHERE ra.request_id=$1
+     ORDER BY r.route_no, ra.id
+     FOR UPDATE OF ra`,
+    [requestId]
+  );
+  for (const a of r.rows) {
+    if (a.boarding_token && !regenerate) continue;
+    a.boarding_token = generateBoardingToken();
+    await tx.query("UPDATE request_assignments SET boarding_token=$2 WHERE id=$1", [a.id, a.boarding_token]);
+  }
+  return r.rows.map(({ id, boarding_token, ...a }) => ({ assignment_id: id, ...a, token: boarding_token, path: `/boarding/${boarding_token}` }));
+}
+
+// A driver link's passengers: seated in its vehicle, unseated on its route, or already boarded on it
+function onLink(link, e) {
+  return e.boarding_vehicle_id === link.vehicle_id
+    || (e.assigned_vehicle_id ? e.assigned_vehicle_id === link.vehicle_id : e.route_id === link.route_id);
+}
+
+/**
+ * Employees on the run with their seat and boarding state. With a link (driver scope) only the
+ * vehicle's passengers (onLink).
+ */
+async function boardingRoster(db, requestId, { link = null } = {}) {
+  const r = await db.query(
+    `SELECT tre.id, to_char(tr.request_time, 'HH24:MI') AS shift,
+            e.id AS employee_id, e.emp_no, e.full_name, dep.name AS department,
+            tre.effective_route_id AS route_id, rt.route_no, sr.sub_name, sr.stop_offset_minutes,
+            tre.assigned_vehicle_id, v.vehicle_no AS assigned_vehicle_no,
+            tre.opted_out_at IS NOT NULL AS opted_out,
+            tre.boarding_status, tre.boarding_marked_at, tre.boarding_source, tre.boarding_vehicle_id, tre.boarding_note
+     FROM transport_request_employees tre
+     JOIN transport_requests tr ON tr.id = tre.request_id
+     JOIN employees e ON e.id = tre.employee_id
+     LEFT JOIN departments dep ON dep.id = ${departmentAsOfSql("e", "tr.request_date")}
+     LEFT JOIN routes rt ON rt.id = tre.effective_route_id
+     LEFT JOIN sub_routes sr ON sr.id = tre.effective_sub_route_id
+     LEFT JOIN vehicles v ON v.id = tre.assigned_vehicle_id
+     WHERE tre.request_id=$1
+     ORDER BY rt.route_no NULLS LAST, ${stopOrderSql("sr")}, e.full_name`,
+    [requestId]
+  );
+  const rows = link ? r.rows.filter(e => onLink(link, e)) : r.rows;
+  return rows.map(({ id, shift, stop_offset_minutes, ...e }) => ({ ...e, estimated_time: stopEta(shift, stop_offset_minutes) }));
+}
+
+function rosterCounts(roster) {
+  const riding = roster.filter(e => !e.opted_out);
+  const count = (s) => riding.filter(e => e.boarding_status === s).length;
+  return {
+    expected: riding.length,
+    present: count("PRESENT"),
+    late: count("LATE"),
+    absent: count("ABSENT"),
+    unmarked: riding.filter(e => !e.boarding_status).length,
+    opted_out: roster.length - riding.length
+  };
+}
+
+/**
+ * Record marks [{ employee_id, status, note? }] on a run (all or nothing). With a link the
+ * employees must be on that vehicle's roster and the boarded vehicle is recorded.
+ */
+async function markBoarding(tx, run, marks, { userId = null, source, link = null }) {
+  const ids = [...new Set(marks.map(m => m.employee_id))];
+  if (ids.length !== marks.length) throw httpError(400, "An employee is listed more than once");
+
+  const rows = await tx.query(
+    `SELECT id, employee_id, opted_out_at, assigned_vehicle_id, effective_route_id AS route_id, boarding_vehicle_id
+     FROM transport_request_employees WHERE request_id=$1 AND employee_id = ANY($2::int[])
+     FOR UPDATE`,
+    [run.id, ids]
+  );
+  const byEmp = new Map(rows.rows.map(t => [t.employee_id, t]));
+  const problems = [];
+  for (const m of marks) {
+    const t = byEmp.get(m.employee_id);
+    if (!t) problems.push(`Employee ${m.employee_id} is not on this run`);
+    else if (t.opted_out_at) problems.push(`Employee ${m.employee_id} opted out of this run`);
+    else if (link && !onLink(link, t)) {
+      problems.push(`Employee ${m.employee_id} is not on vehicle ${link.vehicle_no}`);
+    }
+  }
+  if (problems.length) throw httpError(400, problems.join("; "));
+
+  for (const m of marks) {
+    const t = byEmp.get(m.employee_id);
+    await tx.query(
+      `UPDATE transport_request_employees
+       SET boarding_status=$2, boarding_note=$3, boarding_source=$4, boarding_marked_by_user_id=$5,
+           boarding_vehicle_id=$6, boarding_marked_at=NOW()
+       WHERE id=$1`,
+      [t.id, m.status, m.note || null, source, userId, link ? link.vehicle_id : (m.status === "ABSENT" ? null : t.assigned_vehicle_id)]
+    );
+  }
+  return marks.length;
+}
+
+/**
+ * Board an employee from a scanned emp_no: PRESENT, or LATE when scanned more than
+ * BOARDING_LATE_GRACE_MINUTES after the stop's estimated time (the shift time when the stop
+ * has none). A repeat scan of someone already on board changes nothing. Boarding another
+ * vehicle than the one TA seated them in is allowed and returned as a warning.
+ */
+async function scanBoarding(tx, run, payload, { userId = null, link = null, vehicleId = null }) {
+  const empNo = parseScanPayload(payload);
+  if (!empNo) throw httpError(400, "Could not read an employee number from the scan");
+
+  const r = await tx.query(
+    `SELECT tre.id, tre.opted_out_at, tre.assigned_vehicle_id, tre.boarding_status, e.id AS employee_id, e.emp_no, e.full_name,
+            sr.stop_offset_minutes, v.vehicle_no AS assigned_vehicle_no
+     FROM transport_request_employees tre
+     JOIN employees e ON e.id = tre.employee_id
+     LEFT JOIN sub_routes sr ON sr.id = tre.effective_sub_route_id
+     LEFT JOIN vehicles v ON v.id = tre.assigned_vehicle_id
+     WHERE tre.request_id=$1 AND e.emp_no=$2
+     FOR UPDATE OF tre`,
+    [run.id, empNo]
+  );
+  if (r.rowCount === 0) throw httpError(404, `Employee ${empNo} is not on this run`);
+  const t = r.rows[0];
+  const employee = { employee_id: t.employee_id, emp_no: t.emp_no, full_name: t.full_name };
+  if (t.opted_out_at) throw httpError(400, `${t.full_name} opted out of this run`);
+  if (t.boarding_status === "PRESENT" || t.boarding_status === "LATE") {
+    return { employee, status: t.boarding_status, already_marked: true, warning: null };
+  }
+
+  const boardVehicleId = link ? link.vehicle_id : (vehicleId || t.assigned_vehicle_id);
+  const due = DateTime.fromISO(`${run.date}T${stopEta(run.shift, t.stop_offset_minutes) || run.shift}`, { zone: "Asia/Colombo" });
+  const late = DateTime.now().setZone("Asia/Colombo") > due.plus({ minutes: env.BOARDING_LATE_GRACE_MINUTES });
+  const status = late ? "LATE" : "PRESENT";
+  await tx.query(
+    `UPDATE transport_request_employees
+     SET boarding_status=$2, boarding_source='SCAN', boarding_marked_by_user_id=$3, boarding_vehicle_id=$4,
+         boarding_note=NULL, boarding_marked_at=NOW()
+     WHERE id=$1`,
+    [t.id, status, userId, boardVehicleId]
+  );
+  const otherVehicle = t.assigned_vehicle_id && boardVehicleId && t.assigned_vehicle_id !== boardVehicleId;
+  return {
+    employee,
+    status,
+    already_marked: false,
+    warning: otherVehicle ? `Seated in ${t.assigned_vehicle_no}` : null
+  };
+}
+
+/**
+ * Attendance over final-approved runs in [from, to], grouped by vehicle (boarded vehicle,
+ * else the seat TA gave) or by department (as of the run date). Opted-out employees are
+ * counted separately and not expected.
+ */
+async function attendanceSummary({ from, to, groupBy = "department", departmentId = null }) {
+  const key = groupBy === "vehicle"
+    ? "COALESCE(tre.boarding_vehicle_id, tre.assigned_vehicle_id)"
+    : departmentAsOfSql("e", "tr.request_date");
+  const r = await query(
+    `SELECT ${key} AS group_id,
+            COUNT(DISTINCT tr.id)::int AS runs,
+            COUNT(*) FILTER (WHERE tre.opted_out_at IS NULL)::int AS expected,
+            COUNT(*) FILTER (WHERE tre.opted_out_at IS NULL AND tre.boarding_status='PRESENT')::int AS present,
+            COUNT(*) FILTER (WHERE tre.opted_out_at IS NULL AND tre.boarding_status='LATE')::int AS late,
+            COUNT(*) FILTER (WHERE tre.opted_out_at IS NULL AND tre.boarding_status='ABSENT')::int AS absent,
+            COUNT(*) FILTER (WHERE tre.opted_out_at IS NULL AND tre.boarding_status IS NULL)::int AS unmarked,
+            COUNT(*) FILTER (WHERE tre.opted_out_at IS NOT NULL)::int AS opted_out
+     FROM transport_request_employees tre
+     JOIN transport_requests tr ON tr.id = tre.request_id
+     JOIN employees e ON e.id = tre.employee_id
+     WHERE tr.is_daily_master AND tr.status='HR_FINAL_APPROVED' AND tr.request_date BETWEEN $1 AND $2
+       AND ($3::int IS NULL OR ${departmentAsOfSql("e", "tr.request_date")} = $3)
+     GROUP BY 1`,
+    [from, to, departmentId]
+  );
+
+  const names = groupBy === "vehicle"
+    ? await query("SELECT id, vehicle_no AS name FROM vehicles WHERE id = ANY($1::int[])", [r.rows.map(g => g.group_id).filter(Boolean)])
+    : await query("SELECT id, name FROM departments WHERE id = ANY($1::int[])", [r.rows.map(g => g.group_id).filter(Boolean)]);
+  const nameById = new Map(names.rows.map(n => [n.id, n.name]));
+
+  const rate = (g) => (g.expected ? Math.round(((g.present + g.late) / g.expected) * 1000) / 10 : null);
+  const groups = r.rows
+    .map(g => ({ [`${groupBy}_id`]: g.group_id, name: g.group_id ? nameById.get(g.group_id) || null : null, ...g, attendance_pct: rate(g) }))
+    .map(({ group_id, ...g }) => g)
+    .sort((a, b) => String(a.name || "~").localeCompare(String(b.name || "~")));
+
+  const totals = ["expected", "present", "late", "absent", "unmarked", "opted_out"]
+    .reduce((t, k) => ({ ...t, [k]: groups.reduce((n, g) => n + g[k], 0) }), {});
+  return { group_by: groupBy, from, to, groups, totals: { ...totals, attendance_pct: rate(totals) } };
+}
+
+module.exports = {
+  BOARDING_STATUSES,
+  parseScanPayload,
+  loadBoardingRun,
+  loadBoardingLink,
+  ensureBoardingLinks,
+  boardingRoster,
+  rosterCounts,
+  markBoarding,
+  scanBoarding,
+  attendanceSummary
+};
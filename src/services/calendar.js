@@ -0,0 +1,157 @@
+const { DateTime } = require("luxon");
+const { query } = require("../db/pool");
+const { httpError } = require("../utils/httpError");
+const { parseCsv } = require("../utils/csv");
+
+const ZONE = "Asia/Colombo";
+const CALENDAR_KINDS = ["PUBLIC_HOLIDAY", "POYA", "SHUTDOWN", "WORKING_DAY"];
+const CALENDAR_POLICIES = ["WARN", "BLOCK"];
+const MAX_EVENT_DAYS = 31;
+
+async function getCalendarDay(date, db = { query }) {
+  const r = await db.query(
+    "SELECT to_char(day, 'YYYY-MM-DD') AS day, kind, name, policy FROM calendar_days WHERE day=$1",
+    [date]
+  );
+  return r.rows[0] || null;
+}
+
+/** Calendar entries in [from, to] keyed by YYYY-MM-DD. */
+async function calendarRange(from, to, db = { query }) {
+  const r = await db.query(
+    "SELECT to_char(day, 'YYYY-MM-DD') AS day, kind, name, policy FROM calendar_days WHERE day BETWEEN $1 AND $2",
+    [from, to]
+  );
+  return new Map(r.rows.map(d => [d.day, d]));
+}
+
+function isNonWorking(entry) {
+  return Boolean(entry) && entry.kind !== "WORKING_DAY";
+}
+
+/**
+ * Check a run date (YYYY-MM-DD) against the calendar.
+ * BLOCK days throw 400; WARN days return a warning string for the response; otherwise null.
+ */
+async function checkRunDate(date, db = { query }) {
+  const entry = await getCalendarDay(date, db);
+  if (!isNonWorking(entry)) return { entry, warning: null };
+  if (entry.policy === "BLOCK") {
+    throw httpError(400, `${entry.day} නිවාඩු දිනයකි (${entry.name}). Transport requests are blocked on this day.`);
+  }
+  return { entry, warning: `${entry.day} is a ${entry.kind.replace(/_/g, " ").toLowerCase()} (${entry.name})` };
+}
+
+// ---- Import parsers ----
+
+function icsUnescape(v) {
+  return v.replace(/\\n/gi, " ").replace(/\\([,;\\])/g, "$1").trim();
+}
+
+// YYYYMMDD[...] -> DateTime, or null when missing or not a real day
+function icsDate(v) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(v || "");
+  if (!m) return null;
+  const d = DateTime.fromISO(`${m[1]}-${m[2]}-${m[3]}`, { zone: ZONE });
+  return d.isValid ? d : null;
+}
+
+/**
+ * All-day VEVENTs from an ICS file as [{ day, name }]. DTEND is exclusive, as in the spec;
+ * multi-day events are expanded. Recurrence rules are not expanded.
+ */
+function parseIcs(text) {
+  const lines = String(text || "").replace(/\r\n/g, "\n").split("\n")
+    .reduce((acc, line) => {
+      if (/^[ \t]/.test(line) && acc.length) acc[acc.length - 1] += line.slice(1);
+      else acc.push(line);
+      return acc;
+    }, []);
+
+  const out = [];
+  const errors = [];
+  let ev = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      if (ev) errors.push({ event: ev.SUMMARY || null, error: "BEGIN:VEVENT before the previous event ended" });
+      ev = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (!ev) { errors.push({ event: null, error: "END:VEVENT without BEGIN:VEVENT" }); continue; }
+      const start = icsDate(ev.DTSTART);
+      const end = icsDate(ev.DTEND);
+      if (!start) { errors.push({ event: ev.SUMMARY || null, error: "Missing or invalid DTSTART" }); ev = null; continue; }
+      if (ev.DTEND && !end) { errors.push({ event: ev.SUMMARY || null, error: "Invalid DTEND" }); ev = null; continue; }
+      const name = ev.SUMMARY ? icsUnescape(ev.SUMMARY) : "Holiday";
+      let d = start;
+      const last = end ? end.minus({ days: 1 }) : d;
+      for (let n = 0; d <= last && n < MAX_EVENT_DAYS; d = d.plus({ days: 1 }), n++) {
+        out.push({ day: d.toISODate(), name });
+      }
+      ev = null;
+      continue;
+    }
+    // Calendar-level properties (VERSION, PRODID, X-WR-CALNAME, VTIMEZONE ...) are not events
+    if (!ev) continue;
+    const idx = line.indexOf(":");
+    if (idx < 0) continue;
+    const key = line.slice(0, idx).split(";")[0].toUpperCase();
+    ev[key] = line.slice(idx + 1);
+  }
+  if (ev) errors.push({ event: ev.SUMMARY || null, error: "Event has no END:VEVENT" });
+  return { entries: out, errors };
+}
+
+/**
+ * CSV with columns date,name[,kind][,policy]; a header row is optional.
+ * Dates are YYYY-MM-DD.
+ */
+function parseCalendarCsv(text) {
+  const rows = parseCsv(text);
+  const hasHeader = rows.length > 0 && /date/i.test(rows[0][0]);
+  if (hasHeader) rows.shift();
+
+  const entries = [];
+  const errors = [];
+  rows.forEach((r, i) => {
+    const [day, name, kind, policy] = r;
+    const line = i + (hasHeader ? 2 : 1);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day || "") || !DateTime.fromISO(day).isValid) {
+      errors.push({ line, error: `Invalid date '${day || ""}'` });
+      return;
+    }
+    if (!name) { errors.push({ line, error: "Name is required" }); return; }
+    if (kind && !CALENDAR_KINDS.includes(kind.toUpperCase())) {
+      errors.push({ line, error: `Unknown kind '${kind}'` });
+      return;
+    }
+    if (policy && !CALENDAR_POLICIES.includes(policy.toUpperCase())) {
+      errors.push({ line, error: `Unknown policy '${policy}'` });
+      return;
+    }
+    entries.push({
+      day, name,
+      kind: kind ? kind.toUpperCase() : undefined,
+      policy: policy ? policy.toUpperCase() : undefined
+    });
+  });
+  return { entries, errors };
+}
+
+/** Kind for an imported entry without one: POYA when the name says so, else the import default. */
+function guessKind(name, fallback) {
+  return /poya/i.test(name) ? "POYA" : fallback;
+}
+
+module.exports = {
+  CALENDAR_KINDS,
+  CALENDAR_POLICIES,
+  getCalendarDay,
+  calendarRange,
+  isNonWorking,
+  checkRunDate,
+  parseIcs,
+  parseCalendarCsv,
+  guessKind
+};
@@ -0,0 +1,87 @@
+const { query } = require("../db/pool");
+const { httpError } = require("../utils/httpError");
+const { recordAudit } = require("./audit");
+const { usersWithRole, enqueueNotification } = require("./notifications");
+
+// The daily run is keyed by date + shift. A shift is the off-time (request_time) shared
+// by the department requests it collects; its daily master carries the same request_time.
+// Masters locked before that (legacy_whole_day, stored at 00:00) cover every shift of their date.
+
+const SHIFT_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/** "17:00" / "17:00:00" -> "17:00"; throws 400 on anything else. */
+function normalizeShift(shift) {
+  const s = String(shift || "").trim();
+  if (!SHIFT_RE.test(s)) throw httpError(400, "shift must be HH:MM");
+  return s.slice(0, 5);
+}
+
+async function findMaster(date, shift, db = { query }, { forUpdate = false } = {}) {
+  const r = await db.query(
+    `SELECT id, status, to_char(request_time, 'HH24:MI') AS shift, legacy_whole_day
+     FROM transport_requests
+     WHERE request_date=$1 AND (request_time=$2::time OR legacy_whole_day) AND is_daily_master=TRUE
+     ORDER BY legacy_whole_day
+     ${forUpdate ? "FOR UPDATE" : ""}`,
+    [date, shift]
+  );
+  return r.rows[0] || null;
+}
+
+async function listMasters(date, db = { query }) {
+  const r = await db.query(
+    `SELECT id, status, to_char(request_time, 'HH24:MI') AS shift
+     FROM transport_requests
+     WHERE request_date=$1 AND is_daily_master=TRUE
+     ORDER BY request_time`,
+    [date]
+  );
+  return r.rows;
+}
+
+/** HOD edits/submissions are blocked once the shift's run is locked. */
+async function ensureRunOpen(requestDate, requestTime, db = { query }) {
+  const master = await findMaster(requestDate, requestTime, db);
+  if (master) {
+    throw httpError(400, `${master.shift} shift එක Admin විසින් අගුළු දමා ඇත. නැවත submit/edit කල නොහැක.`);
+  }
+}
+
+/**
+ * Submit a department request (HOD submit or an auto-submitting schedule). A first submission
+ * from DRAFT notifies Admin. Call inside a transaction, after ensureRunOpen.
+ */
+async function submitRequest(tx, requestId, { userId, fromStatus, comment = null }) {
+  await tx.query("UPDATE transport_requests SET status='SUBMITTED' WHERE id=$1", [requestId]);
+  await recordAudit(tx, { requestId, userId, action: "SUBMIT", fromStatus, toStatus: "SUBMITTED", comment });
+
+  if (fromStatus === "DRAFT") {
+    const info = await tx.query(
+      `SELECT d.name AS department, to_char(tr.request_date, 'YYYY-MM-DD') AS date, to_char(tr.request_time, 'HH24:MI') AS shift,
+              (SELECT COUNT(*)::int FROM transport_request_employees tre WHERE tre.request_id = tr.id AND tre.opted_out_at IS NULL) AS employees
+       FROM transport_requests tr JOIN departments d ON d.id = tr.department_id WHERE tr.id=$1`,
+      [requestId]
+    );
+    await enqueueNotification(tx, "request_submitted", await usersWithRole(tx, "ADMIN"), { ...info.rows[0], request_id: requestId });
+  }
+}
+
+/**
+ * Daily master for a date, picking the shift when the caller gave none and there is
+ * only one. Used by the date-based reports.
+ */
+async function resolveMaster(date, shift, db = { query }) {
+  if (shift) {
+    const master = await findMaster(date, normalizeShift(shift), db);
+    if (!master) throw httpError(404, "Daily run not found for that date and shift");
+    return master;
+  }
+  const masters = await listMasters(date, db);
+  if (masters.length === 0) throw httpError(404, "Daily run not found for that date");
+  if (masters.length > 1) {
+    throw httpError(400, `Multiple shifts on ${date} (${masters.map(m => m.shift).join(", ")}); pass shift=HH:MM`);
+  }
+  return masters[0];
+}
+
+module.exports = { normalizeShift, findMaster, listMasters, ensureRunOpen, submitRequest, resolveMaster };
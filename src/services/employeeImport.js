@@ -0,0 +1,230 @@
+const ExcelJS = require("exceljs");
+const { query, withTransaction } = require("../db/pool");
+const { httpError } = require("../utils/httpError");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { applyDepartmentChange } = require("./transfers");
+const { enqueueEmployeeCreated } = require("./webhooks");
+
+// Employee bulk import/export (HOD: own department, Admin: any department).
+// Columns: emp_no, full_name, department, route_no, sub_route. The header row is required;
+// export writes the same layout so a file can be edited and imported back.
+
+const COLUMNS = ["emp_no", "full_name", "department", "route_no", "sub_route"];
+const HEADER_ALIASES = {
+  emp_no: ["emp_no", "empno", "employee_no", "emp no"],
+  full_name: ["full_name", "name", "employee_name", "full name"],
+  department: ["department", "department_name", "dept"],
+  route_no: ["route_no", "route", "default_route", "route no"],
+  sub_route: ["sub_route", "sub_route_name", "subroute", "sub route", "default_sub_route"]
+};
+const MAX_ROWS = 2000;
+const XLSX_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);   // zip
+
+const norm = (v) => String(v || "").trim().toLowerCase();
+
+/** Uploaded body (Buffer) -> array of string rows. format: "csv" | "xlsx" | undefined (sniffed). */
+async function readEmployeeFile(body, format) {
+  if (!Buffer.isBuffer(body) || body.length === 0) throw httpError(400, "Upload the CSV or XLSX file as the request body");
+  const kind = format || (body.subarray(0, 4).equals(XLSX_MAGIC) ? "xlsx" : "csv");
+  if (kind === "csv") return { format: kind, rows: parseCsv(body.toString("utf8")) };
+
+  const wb = new ExcelJS.Workbook();
+  try {
+    await wb.xlsx.load(body);
+  } catch (e) {
+    throw httpError(400, "Could not read the XLSX file");
+  }
+  const ws = wb.worksheets[0];
+  const rows = [];
+  if (ws) {
+    ws.eachRow({ includeEmpty: false }, (row) => {
+      const cells = [];
+      for (let c = 1; c <= ws.columnCount; c++) cells.push(String(row.getCell(c).text || "").trim());
+      if (cells.some(v => v !== "")) rows.push(cells);
+    });
+  }
+  return { format: kind, rows };
+}
+
+function mapHeader(header) {
+  const index = {};
+  header.forEach((h, i) => {
+    const key = Object.keys(HEADER_ALIASES).find(k => HEADER_ALIASES[k].includes(norm(h)));
+    if (key && index[key] === undefined) index[key] = i;
+  });
+  for (const k of ["emp_no", "full_name"]) {
+    if (index[k] === undefined) throw httpError(400, `Missing column '${k}' in the header row`);
+  }
+  return index;
+}
+
+/**
+ * Resolve file rows against the database. departmentId fixes the department (HOD import);
+ * otherwise the department column is required. Returns { rows, errors } where each row has
+ * action CREATE / UPDATE / UNCHANGED; nothing is written.
+ */
+async function planEmployeeImport(fileRows, { departmentId = null, db = { query } } = {}) {
+  if (fileRows.length < 2) throw httpError(400, "The file has no employee rows");
+  if (fileRows.length - 1 > MAX_ROWS) throw httpError(400, `Max ${MAX_ROWS} employees per import`);
+  const col = mapHeader(fileRows[0]);
+  const get = (r, k) => (col[k] === undefined ? "" : String(r[col[k]] || "").trim());
+
+  const deps = await db.query("SELECT id, name FROM departments");
+  const depByName = new Map(deps.rows.map(d => [norm(d.name), d]));
+  const fixedDep = departmentId ? deps.rows.find(d => d.id === departmentId) : null;
+  if (departmentId && !fixedDep) throw httpError(400, "Department not found");
+
+  const routes = await db.query("SELECT id, route_no FROM routes");
+  const routeByNo = new Map(routes.rows.map(r => [norm(r.route_no), r]));
+  const subs = await db.query("SELECT id, route_id, sub_name FROM sub_routes");
+  const subByKey = new Map(subs.rows.map(s => [`${s.route_id}|${norm(s.sub_name)}`, s]));
+
+  const empNos = fileRows.slice(1).map(r => get(r, "emp_no")).filter(Boolean);
+  const existing = await db.query(
+    "SELECT id, emp_no, full_name, department_id, default_route_id, default_sub_route_id FROM employees WHERE emp_no = ANY($1::text[])",
+    [empNos]
+  );
+  const empByNo = new Map(existing.rows.map(e => [e.emp_no, e]));
+
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+  fileRows.slice(1).forEach((r, i) => {
+    const line = i + 2;
+    const fail = (error) => errors.push({ line, emp_no: get(r, "emp_no") || null, error });
+
+    const empNo = get(r, "emp_no");
+    const fullName = get(r, "full_name");
+    if (!empNo) return fail("emp_no is required");
+    if (fullName.length < 2) return fail("full_name is required");
+    if (seen.has(empNo)) return fail(`Duplicate emp_no ${empNo} in file`);
+    seen.add(empNo);
+
+    const cur = empByNo.get(empNo);
+    if (cur && fixedDep && cur.department_id !== fixedDep.id) return fail(`Employee ${empNo} belongs to another department`);
+
+    // A column missing from the file keeps the employee's current value; a blank cell clears it
+    const depName = get(r, "department");
+    let dep = fixedDep;
+    if (fixedDep) {
+      if (depName && norm(depName) !== norm(fixedDep.name)) return fail(`Department must be ${fixedDep.name}`);
+    } else if (col.department === undefined && cur) {
+      dep = deps.rows.find(d => d.id === cur.department_id);
+    } else {
+      if (!depName) return fail("department is required");
+      dep = depByName.get(norm(depName));
+      if (!dep) return fail(`Unknown department '${depName}'`);
+    }
+
+    let route = null;
+    let sub = null;
+    if (col.route_no === undefined && cur) {
+      route = routes.rows.find(x => x.id === cur.default_route_id) || null;
+      sub = subs.rows.find(x => x.id === cur.default_sub_route_id) || null;
+    } else {
+      const routeNo = get(r, "route_no");
+      const subName = get(r, "sub_route");
+      if (routeNo) {
+        route = routeByNo.get(norm(routeNo));
+        if (!route) return fail(`Unknown route '${routeNo}'`);
+      }
+      if (subName) {
+        if (!route) return fail("sub_route needs a route_no");
+        sub = subByKey.get(`${route.id}|${norm(subName)}`);
+        if (!sub) return fail(`Sub-route '${subName}' not found on route ${route.route_no}`);
+      }
+    }
+
+    const next = {
+      emp_no: empNo,
+      full_name: fullName,
+      department_id: dep.id,
+      department: dep.name,
+      default_route_id: route ? route.id : null,
+      default_sub_route_id: sub ? sub.id : null
+    };
+    let action = "CREATE";
+    if (cur) {
+      const same = cur.full_name === next.full_name && cur.department_id === next.department_id
+        && cur.default_route_id === next.default_route_id && cur.default_sub_route_id === next.default_sub_route_id;
+      action = same ? "UNCHANGED" : "UPDATE";
+    }
+    rows.push({ line, action, id: cur ? cur.id : null, ...next, route_no: route ? route.route_no : null, sub_route: sub ? sub.sub_name : null });
+  });
+
+  return { rows, errors };
+}
+
+/** Write a planned import (inside the caller's transaction). */
+async function applyEmployeeImport(tx, rows) {
+  const counts = { created: 0, updated: 0, unchanged: 0 };
+  for (const r of rows) {
+    if (r.action === "CREATE") {
+      const ins = await tx.query(
+        "INSERT INTO employees (emp_no, full_name, department_id, default_route_id, default_sub_route_id, is_active) VALUES ($1,$2,$3,$4,$5,true) RETURNING id",
+        [r.emp_no, r.full_name, r.department_id, r.default_route_id, r.default_sub_route_id]
+      );
+      await enqueueEmployeeCreated(tx, ins.rows[0].id, "import");
+      counts.created += 1;
+    } else if (r.action === "UPDATE") {
+      // Department moves (Admin import) go through the dated department history
+      await applyDepartmentChange(tx, { employeeId: r.id, toDepartmentId: r.department_id });
+      await tx.query(
+        "UPDATE employees SET full_name=$2, default_route_id=$3, default_sub_route_id=$4 WHERE id=$1",
+        [r.id, r.full_name, r.default_route_id, r.default_sub_route_id]
+      );
+      counts.updated += 1;
+    } else {
+      counts.unchanged += 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Full import: read, plan and (unless dryRun or any row failed) save every row in one
+ * transaction. Returns { format, rows, errors, counts } (counts null when nothing was saved).
+ */
+async function importEmployees({ body, format, dryRun = false, departmentId = null }) {
+  const file = await readEmployeeFile(body, format);
+  if (dryRun) {
+    const plan = await planEmployeeImport(file.rows, { departmentId });
+    return { format: file.format, ...plan, counts: null };
+  }
+  return withTransaction(async (tx) => {
+    await tx.query("LOCK TABLE employees IN SHARE ROW EXCLUSIVE MODE");
+    const plan = await planEmployeeImport(file.rows, { departmentId, db: tx });
+    if (plan.errors.length) return { format: file.format, ...plan, counts: null };
+    return { format: file.format, ...plan, counts: await applyEmployeeImport(tx, plan.rows) };
+  });
+}
+
+/** Employees (one department or all) as a CSV or XLSX buffer in the import layout. */
+async function exportEmployees({ departmentId = null, format = "csv" }) {
+  const r = await query(
+    `SELECT e.emp_no, e.full_name, d.name AS department, r.route_no, sr.sub_name AS sub_route, e.is_active
+     FROM employees e
+     JOIN departments d ON d.id = e.department_id
+     LEFT JOIN routes r ON r.id = e.default_route_id
+     LEFT JOIN sub_routes sr ON sr.id = e.default_sub_route_id
+     WHERE ($1::int IS NULL OR e.department_id = $1)
+     ORDER BY d.name, e.emp_no`,
+    [departmentId]
+  );
+  const header = [...COLUMNS, "is_active"];
+  const rows = r.rows.map(e => [e.emp_no, e.full_name, e.department, e.route_no, e.sub_route, e.is_active ? "yes" : "no"]);
+
+  if (format === "csv") return Buffer.from(toCsv([header, ...rows]), "utf8");
+
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "Transport Request System";
+  wb.created = new Date();
+  const ws = wb.addWorksheet("Employees");
+  ws.addRow(header).font = { bold: true };
+  rows.forEach(row => ws.addRow(row));
+  [14, 30, 24, 10, 24, 10].forEach((w, i) => { ws.getColumn(i + 1).width = w; });
+  ws.views = [{ state: "frozen", ySplit: 1 }];
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+module.exports = { readEmployeeFile, planEmployeeImport, applyEmployeeImport, importEmployees, exportEmployees };
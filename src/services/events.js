@@ -0,0 +1,56 @@
+const { EventEmitter } = require("events");
+
+// Live updates for dashboards (GET /events, Server-Sent Events). Route handlers publish to one
+// in-process emitter; each SSE connection subscribes and only forwards what its user may see.
+// Publishing with a transaction defers the event until COMMIT, so a rolled back change is
+// never announced. Single process only: with several API instances each streams its own events.
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);   // one listener per open SSE connection
+
+const HISTORY_SIZE = 200;  // replayed to clients reconnecting with Last-Event-ID
+const history = [];
+let lastId = 0;
+
+// Everyone who watches the approval flow; HODs are added per department by the caller
+const STAFF_ROLES = ["ADMIN", "TA", "HR", "PLANNING"];
+
+function emit(type, data, audience) {
+  const event = { id: ++lastId, type, data, audience, at: new Date().toISOString() };
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+  bus.emit("event", event);
+}
+
+/**
+ * Publish `type` with `data` to { roles, departmentIds? }. departmentIds limits HOD/EMP
+ * listeners to those departments (other roles see every department). Pass the handler's
+ * transaction as db to publish only after it commits; without one the event goes out now.
+ */
+function publishEvent(db, type, data, { roles = STAFF_ROLES, departmentIds = null } = {}) {
+  const audience = { roles, departmentIds: departmentIds ? departmentIds.filter(Boolean).map(Number) : null };
+  if (db && typeof db.afterCommit === "function") db.afterCommit(() => emit(type, data, audience));
+  else emit(type, data, audience);
+}
+
+/** Whether req.user may receive an event. */
+function canSee(user, audience) {
+  if (!audience.roles.includes(user.role)) return false;
+  if (audience.departmentIds && (user.role === "HOD" || user.role === "EMP")) {
+    return audience.departmentIds.includes(Number(user.department_id));
+  }
+  return true;
+}
+
+/** Call fn(event) for every new event; returns the unsubscribe function. */
+function subscribe(fn) {
+  bus.on("event", fn);
+  return () => bus.off("event", fn);
+}
+
+/** Events published after `id` that are still in the replay buffer. */
+function eventsSince(id) {
+  return history.filter(e => e.id > id);
+}
+
+module.exports = { STAFF_ROLES, publishEvent, canSee, subscribe, eventsSince };
@@ -0,0 +1,131 @@
+const { env } = require("../config/env");
+const { escapeHtml } = require("../utils/html");
+const { smsSegments } = require("./sms");
+
+// Notification templates, one Sinhala (si) and one English (en) variant per event.
+// Each variant returns { subject, lines, highlight? }; render() wraps them in the shared
+// email layout. NOTIFY_LOCALE picks si, en or both (Sinhala first).
+
+const when = (d) => `${d.date}${d.shift ? ` ${d.shift}` : ""}`;
+
+const TEMPLATES = {
+  password_reset_otp: {
+    si: (d) => ({
+      subject: "මුරපදය නැවත සකස් කිරීමේ OTP",
+      lines: ["ඔබගේ මුරපදය නැවත සකස් කිරීම සඳහා OTP එක මෙන්න:", `මෙය මිනිත්තු ${d.minutes}ක් පමණ වලංගුයි.`, "ඔබ මෙය ඉල්ලා නොසිටියා නම්, මෙම email එක නොසලකා හරින්න."],
+      highlight: d.otp
+    }),
+    en: (d) => ({
+      subject: "Password Reset OTP",
+      lines: ["Here is the OTP to reset your password:", `It is valid for about ${d.minutes} minutes.`, "If you did not ask for this, ignore this email."],
+      highlight: d.otp
+    })
+  },
+
+  registration_approved: {
+    si: (d) => ({ subject: "ලියාපදිංචිය අනුමතයි", lines: [`${d.name}, ඔබගේ ලියාපදිංචිය අනුමත කර ඇත. දැන් ඔබට පද්ධතියට ඇතුළු විය හැක.`] }),
+    en: (d) => ({ subject: "Registration approved", lines: [`${d.name}, your registration has been approved. You can now sign in.`] })
+  },
+  registration_rejected: {
+    si: (d) => ({ subject: "ලියාපදිංචිය ප්‍රතික්ෂේප කර ඇත", lines: ["ඔබගේ ලියාපදිංචිය ප්‍රතික්ෂේප කර ඇත.", `හේතුව: ${d.reason}`, "එම email සහ සේවක අංකයෙන් නැවත ලියාපදිංචි විය හැක."] }),
+    en: (d) => ({ subject: "Registration not approved", lines: ["Your registration was not approved.", `Reason: ${d.reason}`, "You can register again with the same email and employee number."] })
+  },
+  registration_expired: {
+    si: (d) => ({ subject: "ලියාපදිංචිය කල් ඉකුත් වී ඇත", lines: ["ඔබගේ ලියාපදිංචිය කල් ඉකුත් වී ඇත.", d.reason, "එම email සහ සේවක අංකයෙන් නැවත ලියාපදිංචි විය හැක."] }),
+    en: (d) => ({ subject: "Registration expired", lines: ["Your registration has expired.", d.reason, "You can register again with the same email and employee number."] })
+  },
+
+  request_submitted: {
+    si: (d) => ({ subject: `ඉල්ලීම ඉදිරිපත් කර ඇත: ${d.department} ${when(d)}`, lines: [`${d.department} දෙපාර්තමේන්තුව ${when(d)} සඳහා ප්‍රවාහන ඉල්ලීමක් ඉදිරිපත් කර ඇත.`, `සේවකයින්: ${d.employees}`] }),
+    en: (d) => ({ subject: `Request submitted: ${d.department} ${when(d)}`, lines: [`${d.department} submitted a transport request for ${when(d)}.`, `Employees: ${d.employees}`] })
+  },
+  run_locked: {
+    si: (d) => ({ subject: `දෛනික ධාවනය අගුළු දමා ඇත: ${when(d)}`, lines: [`${when(d)} ධාවනය Admin විසින් අගුළු දමා ඇත. වාහන අනුයුක්ත කිරීමට සූදානම්.`, `සේවකයින්: ${d.employees}`] }),
+    en: (d) => ({ subject: `Daily run locked: ${when(d)}`, lines: [`Admin locked the ${when(d)} run. It is ready for vehicle assignment.`, `Employees: ${d.employees}`] })
+  },
+  ta_assignment_ready: {
+    si: (d) => ({ subject: `වාහන අනුයුක්ත කර ඇත: ${when(d)}`, lines: [`${when(d)} ධාවනය සඳහා TA වාහන අනුයුක්ත කර ඇත. අවසාන අනුමැතිය අවශ්‍යයි.`, `වාහන: ${d.vehicles}`] }),
+    en: (d) => ({ subject: `Vehicle assignment ready: ${when(d)}`, lines: [`TA assigned vehicles for the ${when(d)} run. It is waiting for final approval.`, `Vehicles: ${d.vehicles}`] })
+  },
+  overbook_pending_hr: {
+    si: (d) => ({ subject: `ඔවරයිඩ් අනුමැතිය අවශ්‍යයි: ${when(d)}`, lines: [`${when(d)} ධාවනයේ වාහන ${d.assignments}ක අමතර ආසන ${d.seats}ක් (+1/+2) යොදා ඇත.`, "අවසාන අනුමැතියට පෙර HR අනුමත/ප්‍රතික්ෂේප කළ යුතුය."] }),
+    en: (d) => ({ subject: `Overbook pending HR: ${when(d)}`, lines: [`The ${when(d)} run uses ${d.seats} extra seat(s) (+1/+2) on ${d.assignments} vehicle(s).`, "HR must approve or reject them before final approval."] })
+  },
+  final_approved: {
+    si: (d) => ({ subject: `අවසාන අනුමැතිය ලැබී ඇත: ${when(d)}`, lines: [`${when(d)} ධාවනය HR විසින් අවසන් වශයෙන් අනුමත කර ඇත.`, `සේවකයින්: ${d.employees}, වාහන: ${d.vehicles}`] }),
+    en: (d) => ({ subject: `Final approval: ${when(d)}`, lines: [`HR gave final approval to the ${when(d)} run.`, `Employees: ${d.employees}, vehicles: ${d.vehicles}`] })
+  },
+
+  emp_opt_out: {
+    si: (d) => ({ subject: `ප්‍රවාහනය අවශ්‍ය නැත: ${d.full_name} ${when(d)}`, lines: [`${d.full_name} (${d.emp_no}) ${when(d)} ප්‍රවාහනය භාවිතා නොකරයි.`, `හේතුව: ${d.reason}`] }),
+    en: (d) => ({ subject: `Transport opt-out: ${d.full_name} ${when(d)}`, lines: [`${d.full_name} (${d.emp_no}) will not travel on ${when(d)}.`, `Reason: ${d.reason}`] })
+  }
+};
+
+function locales(locale) {
+  if (locale === "si" || locale === "en") return [locale];
+  return ["si", "en"];
+}
+
+/** event + data -> { subject, html, text }. Throws on an unknown event. */
+function renderNotification(event, data, locale = env.NOTIFY_LOCALE) {
+  const template = TEMPLATES[event];
+  if (!template) throw new Error(`Unknown notification event: ${event}`);
+  const appName = env.APP_NAME || "Transport Request System";
+  const parts = locales(locale).map(l => template[l](data));
+
+  const subject = `${appName} - ${parts.map(p => p.subject).join(" / ")}`;
+  // The highlight (e.g. an OTP) goes right after the first line
+  const para = (l) => `<p style="margin:0 0 12px 0">${escapeHtml(l)}</p>`;
+  const section = (p) => {
+    const [first, ...rest] = p.lines.filter(Boolean);
+    const box = p.highlight
+      ? `<div style="font-size:28px;font-weight:800;letter-spacing:4px;padding:12px 16px;border:1px solid #ddd;border-radius:10px;display:inline-block;margin:0 0 12px 0">${escapeHtml(p.highlight)}</div>`
+      : "";
+    return `${para(first)}${box}${rest.map(para).join("")}`;
+  };
+  const html = `
+    <div style="font-family:Arial,sans-serif;line-height:1.6">
+      <h2 style="margin:0 0 8px 0">${escapeHtml(appName)}</h2>
+      ${parts.map(section).join('<hr style="border:none;border-top:1px solid #eee;margin:16px 0">')}
+    </div>
+  `.trim();
+  const text = parts
+    .map(p => {
+      const [first, ...rest] = p.lines.filter(Boolean);
+      return [first, ...(p.highlight ? [String(p.highlight)] : []), ...rest].join("\n");
+    })
+    .join("\n\n---\n\n");
+
+  return { subject, html, text };
+}
+
+// ---- SMS ----
+// One language (SMS_LOCALE) per message. d.stops is a list that is cut from the end ("+N")
+// until the text fits in SMS_MAX_SEGMENTS; Sinhala is UCS-2, so only 67 chars per part.
+const SMS_TEMPLATES = {
+  driver_trip: {
+    si: (d, stops) => `ගමන ${when(d)}\nමාර්ගය ${d.route}\nවාහනය ${d.vehicle_no}\nමගීන් ${d.headcount}\nනැවතුම්: ${stops}`,
+    en: (d, stops) => `Trip ${when(d)}\nRoute ${d.route}\nVehicle ${d.vehicle_no}\nPassengers ${d.headcount}\nStops: ${stops}`
+  },
+  employee_trip: {
+    si: (d) => `ප්‍රවාහනය ${when(d)}\nවාහනය ${d.vehicle_no}\nරියදුරු ${d.driver_name || "-"} ${d.driver_phone || ""}`.trim() + (d.stop ? `\nනැවතුම ${d.stop}` : ""),
+    en: (d) => `Transport ${when(d)}\nVehicle ${d.vehicle_no}\nDriver ${d.driver_name || "-"} ${d.driver_phone || ""}`.trim() + (d.stop ? `\nStop ${d.stop}` : "")
+  }
+};
+
+/** event + data -> SMS text, shortened to fit maxSegments where the template allows. */
+function renderSms(event, data, { locale = env.SMS_LOCALE, maxSegments = env.SMS_MAX_SEGMENTS } = {}) {
+  const template = SMS_TEMPLATES[event];
+  if (!template) throw new Error(`Unknown SMS event: ${event}`);
+  const fn = template[locale === "en" ? "en" : "si"];
+  const stops = data.stops || [];
+  for (let n = stops.length; n >= 0; n--) {
+    const list = stops.slice(0, n).join(", ") + (n < stops.length ? `${n ? ", " : ""}+${stops.length - n}` : "");
+    const text = fn(data, list || "-");
+    if (n === 0 || smsSegments(text).segments <= maxSegments) return text;
+  }
+  return fn(data, "-");
+}
+
+module.exports = { renderNotification, renderSms };
@@ -0,0 +1,65 @@
+const fs = require("fs/promises");
+const nodemailer = require("nodemailer");
+const { env } = require("../config/env");
+const { emailConfigured, sendEmail } = require("./brevoEmail");
+
+// Notification transports. Each has send({ to, toName, subject, html, text }) and throws on
+// failure so the outbox can retry. NOTIFY_TRANSPORT picks one; registerTransport adds more.
+
+let smtp = null;
+function smtpTransport() {
+  if (!smtp) {
+    smtp = nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE,
+      auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+  }
+  return smtp;
+}
+
+const transports = {
+  brevo: {
+    send: (m) => sendEmail({ toEmail: m.to, toName: m.toName, subject: m.subject, htmlContent: m.html, textContent: m.text })
+  },
+  smtp: {
+    send: async (m) => {
+      if (!env.SMTP_HOST) throw new Error("SMTP_HOST is missing");
+      const from = env.SMTP_FROM || env.BREVO_SENDER_EMAIL;
+      if (!from) throw new Error("SMTP_FROM is missing");
+      await smtpTransport().sendMail({ from, to: m.to, subject: m.subject, html: m.html, text: m.text });
+    }
+  },
+  // Local sinks for development and tests
+  file: {
+    send: async (m) => {
+      await fs.appendFile(env.NOTIFY_FILE, JSON.stringify({ at: new Date().toISOString(), ...m }) + "\n", "utf8");
+    }
+  },
+  console: {
+    send: async (m) => {
+      console.log(`[notify] to=${m.to} subject=${JSON.stringify(m.subject)}\n${m.text}`);
+    }
+  }
+};
+
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== "function") throw new Error("A transport needs a send(message) function");
+  transports[name] = transport;
+}
+
+function activeTransportName() {
+  if (env.NOTIFY_TRANSPORT) return env.NOTIFY_TRANSPORT;
+  if (emailConfigured()) return "brevo";
+  if (env.SMTP_HOST) return "smtp";
+  return "console";
+}
+
+function getTransport(name = activeTransportName()) {
+  const t = transports[name];
+  if (!t) throw new Error(`Unknown notification transport: ${name}`);
+  return { name, ...t };
+}
+
+module.exports = { registerTransport, getTransport, activeTransportName };
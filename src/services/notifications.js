@@ -0,0 +1,170 @@
+const { query } = require("../db/pool");
+const { env } = require("../config/env");
+const { renderNotification, renderSms } = require("./notificationTemplates");
+const { getTransport } = require("./notificationTransports");
+const { normalizePhone, getSmsAdapter } = require("./sms");
+
+// Notification outbox. Callers enqueue inside their own transaction, so a message exists only
+// if the change it reports was committed; a background worker sends it with retries. A provider
+// outage therefore never fails the HTTP request, it only delays the email.
+// SMS rows (channel 'SMS', recipient = phone) share the queue and go through the SMS adapter.
+
+const OUTBOX_STATUSES = ["PENDING", "SENDING", "SENT", "FAILED"];
+const STALE_SENDING_MINUTES = 10;   // a worker that died mid-send leaves rows in SENDING
+
+let timer = null;
+let kickTimer = null;
+let running = null;
+
+/** Active users with an email for the given role, optionally limited to departments. */
+async function usersWithRole(db, role, { departmentIds = null } = {}) {
+  const r = await db.query(
+    `SELECT id AS user_id, email FROM users
+     WHERE role=$1 AND status='ACTIVE' AND email IS NOT NULL
+       AND ($2::int[] IS NULL OR department_id = ANY($2::int[]))
+     ORDER BY id`,
+    [role, departmentIds]
+  );
+  return r.rows;
+}
+
+/**
+ * Render `event` once and queue it for every recipient ({ email, user_id?, name? }; duplicates
+ * by email are dropped). Use the caller's transaction as db. Returns the number queued.
+ */
+async function enqueueNotification(db, event, recipients, data = {}) {
+  const seen = new Set();
+  const list = recipients.filter(r => {
+    const key = String((r && r.email) || "").trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (list.length === 0) return 0;
+
+  const msg = renderNotification(event, data);
+  for (const r of list) {
+    await db.query(
+      `INSERT INTO notification_outbox (event, recipient, recipient_name, recipient_user_id, subject, body_html, body_text, payload, max_attempts)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+      [event, r.email, r.name || null, r.user_id || null, msg.subject, msg.html, msg.text, JSON.stringify(data), env.NOTIFY_MAX_ATTEMPTS]
+    );
+  }
+  kickOutbox();
+  return list.length;
+}
+
+/**
+ * Queue one SMS ({ phone, user_id?, name? }) for `event`. Skipped (returns false) when no
+ * SMS_ADAPTER is configured or the phone number is unusable. Use the caller's transaction as db.
+ */
+async function enqueueSms(db, event, recipient, data = {}) {
+  if (!env.SMS_ADAPTER) return false;
+  const to = normalizePhone(recipient && recipient.phone);
+  if (!to) return false;
+
+  const text = renderSms(event, data);
+  await db.query(
+    `INSERT INTO notification_outbox (channel, event, recipient, recipient_name, recipient_user_id, body_text, payload, max_attempts)
+     VALUES ('SMS',$1,$2,$3,$4,$5,$6,$7)`,
+    [event, to, recipient.name || null, recipient.user_id || null, text, JSON.stringify(data), env.NOTIFY_MAX_ATTEMPTS]
+  );
+  kickOutbox();
+  return true;
+}
+
+/** Retry delay after `attempts` failures: 1, 2, 4 ... minutes, capped at an hour. */
+function retryDelayMinutes(attempts) {
+  return Math.min(60, 2 ** Math.max(0, attempts - 1));
+}
+
+/** Send due messages. Returns { sent, failed, retrying }. */
+async function processOutbox({ limit = 20 } = {}) {
+  const claimed = await query(
+    `UPDATE notification_outbox SET status='SENDING', attempts=attempts+1, locked_at=NOW()
+     WHERE id IN (
+       SELECT id FROM notification_outbox
+       WHERE (status='PENDING' AND next_attempt_at <= NOW())
+          OR (status='SENDING' AND locked_at < NOW() - make_interval(mins => $2))
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, channel, recipient, recipient_name, subject, body_html, body_text, attempts, max_attempts`,
+    [limit, STALE_SENDING_MINUTES]
+  );
+
+  const counts = { sent: 0, failed: 0, retrying: 0 };
+  if (claimed.rowCount === 0) return counts;
+
+  for (const m of claimed.rows) {
+    let transport = { name: m.channel === "SMS" ? `sms:${env.SMS_ADAPTER}` : "email" };
+    try {
+      if (m.channel === "SMS") {
+        const adapter = getSmsAdapter();
+        transport = { name: `sms:${adapter.name}`, send: (x) => adapter.send({ to: x.to, text: x.text }) };
+      } else {
+        transport = getTransport();
+      }
+      await transport.send({ to: m.recipient, toName: m.recipient_name || "", subject: m.subject, html: m.body_html, text: m.body_text });
+      await query(
+        "UPDATE notification_outbox SET status='SENT', sent_at=NOW(), transport=$2, last_error=NULL, locked_at=NULL WHERE id=$1",
+        [m.id, transport.name]
+      );
+      counts.sent += 1;
+    } catch (e) {
+      const giveUp = m.attempts >= m.max_attempts;
+      await query(
+        `UPDATE notification_outbox
+         SET status=$2, last_error=$3, transport=$4, locked_at=NULL,
+             next_attempt_at = NOW() + make_interval(mins => $5)
+         WHERE id=$1`,
+        [m.id, giveUp ? "FAILED" : "PENDING", String(e.message || e).slice(0, 500), transport.name, retryDelayMinutes(m.attempts)]
+      );
+      if (giveUp) counts.failed += 1;
+      else counts.retrying += 1;
+    }
+  }
+  return counts;
+}
+
+// One pass at a time; overlapping calls share the running pass
+function runOutbox() {
+  if (!running) {
+    running = processOutbox()
+      .then((c) => {
+        if (c.sent || c.failed || c.retrying) console.log("[notify] outbox:", JSON.stringify(c));
+      })
+      .catch((e) => console.error("[notify] outbox failed:", e.message))
+      .finally(() => { running = null; });
+  }
+  return running;
+}
+
+/** Send soon after the enqueuing transaction commits instead of waiting for the next poll. */
+function kickOutbox() {
+  if (!timer || kickTimer) return;   // worker not started (scripts, tests): next start picks it up
+  kickTimer = setTimeout(() => {
+    kickTimer = null;
+    runOutbox();
+  }, 1000);
+  kickTimer.unref();
+}
+
+function startNotificationWorker() {
+  if (timer) return;
+  timer = setInterval(runOutbox, Math.max(5, env.NOTIFY_POLL_SECONDS) * 1000);
+  timer.unref();
+  runOutbox();
+}
+
+module.exports = {
+  OUTBOX_STATUSES,
+  usersWithRole,
+  enqueueNotification,
+  enqueueSms,
+  retryDelayMinutes,
+  processOutbox,
+  kickOutbox,
+  startNotificationWorker
+};
@@ -0,0 +1,83 @@
+const { query, withTransaction } = require("../db/pool");
+const { env } = require("../config/env");
+const { recordUserAudit } = require("./audit");
+const { enqueueNotification } = require("./notifications");
+
+// EMP self-registrations that the HOD rejects or that stay PENDING_HOD too long.
+// The account is soft-disabled (kept for user_audit) and its email and emp_no are freed so the
+// person can register again: users.email is cleared and the never-activated employee removed.
+
+let timer = null;
+
+/**
+ * Close one locked PENDING_HOD user row (id, email, employee_id) inside the caller's transaction
+ * and queue the registrant's email. userId is null for automatic expiry.
+ */
+async function closeRegistration(tx, user, { action, reason, userId = null }) {
+  let emp = null;
+  let employeeRemoved = false;
+  if (user.employee_id) {
+    const e = await tx.query("SELECT emp_no, full_name FROM employees WHERE id=$1", [user.employee_id]);
+    emp = e.rows[0] || null;
+    const del = await tx.query(
+      `DELETE FROM employees WHERE id=$1 AND is_active=FALSE
+         AND NOT EXISTS (SELECT 1 FROM transport_request_employees WHERE employee_id=$1)`,
+      [user.employee_id]
+    );
+    employeeRemoved = del.rowCount > 0;
+    if (!employeeRemoved) await tx.query("UPDATE employees SET is_active=FALSE WHERE id=$1", [user.employee_id]);
+  }
+
+  await tx.query("UPDATE users SET status='DISABLED', email=NULL WHERE id=$1", [user.id]);
+  await recordUserAudit(tx, {
+    targetUserId: user.id, userId, action, comment: reason,
+    diff: { email: user.email, emp_no: emp ? emp.emp_no : null, full_name: emp ? emp.full_name : null, employee_removed: employeeRemoved }
+  });
+  const name = emp ? emp.full_name : "";
+  await enqueueNotification(
+    tx,
+    action === "REGISTRATION_EXPIRE" ? "registration_expired" : "registration_rejected",
+    [{ email: user.email, name }],
+    { name, reason }
+  );
+}
+
+/** Close every PENDING_HOD registration older than `days`. Returns the number closed. */
+async function expireStaleRegistrations({ days = env.REGISTRATION_EXPIRY_DAYS } = {}) {
+  if (!(days > 0)) return 0;
+  const stale = await query(
+    `SELECT id FROM users
+     WHERE role='EMP' AND status='PENDING_HOD' AND created_at < NOW() - make_interval(days => $1)
+     ORDER BY created_at`,
+    [days]
+  );
+  let closed = 0;
+  for (const { id } of stale.rows) {
+    const reason = `No HOD decision within ${days} days`;
+    const done = await withTransaction(async (tx) => {
+      const u = await tx.query("SELECT id, email, employee_id FROM users WHERE id=$1 AND status='PENDING_HOD' FOR UPDATE", [id]);
+      if (u.rowCount === 0) return false;   // decided meanwhile
+      await closeRegistration(tx, u.rows[0], { action: "REGISTRATION_EXPIRE", reason });
+      return true;
+    });
+    if (done) closed += 1;
+  }
+  return closed;
+}
+
+/** Hourly expiry check alongside the schedule runner. */
+function startRegistrationExpiry() {
+  if (!(env.REGISTRATION_EXPIRY_DAYS > 0) || timer) return;
+  const tick = () => {
+    expireStaleRegistrations()
+      .then((n) => {
+        if (n) console.log(`[registrations] expired ${n} pending registration(s)`);
+      })
+      .catch((e) => console.error("[registrations] expiry failed:", e.message));
+  };
+  tick();
+  timer = setInterval(tick, 60 * 60 * 1000);
+  timer.unref();
+}
+
+module.exports = { closeRegistration, expireStaleRegistrations, startRegistrationExpiry };
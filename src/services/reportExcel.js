@@ -1,6 +1,7 @@
 const ExcelJS = require("exceljs");
 const { query } = require("../db/pool");
 const { httpError } = require("../utils/httpError");
+const { departmentAsOfSql } = require("./transfers");
 
 function sanitizeSheetName(name, used) {
   const invalid = /[\[\]\:\*\?\/\\]/g;
@@ -39,107 +40,404 @@ function applyBorder(ws, fromRow, toRow, fromCol, toCol) {
 }
 
 async function fetchDepartmentsAndEmployees(requestId, departmentId = null) {
-  // Only departments that actually have employees in this daily master request
-  const deptQuery = `
-    SELECT DISTINCT d.id, d.name
-    FROM transport_request_employees tre
-    JOIN employees e ON e.id = tre.employee_id
-    JOIN departments d ON d.id = e.department_id
-    WHERE tre.request_id = $1
-      ${departmentId ? "AND d.id = $2" : ""}
-    ORDER BY d.name ASC
-  `;
-  const deptParams = departmentId ? [requestId, departmentId] : [requestId];
-  const depts = await query(deptQuery, deptParams);
-
-  if (depts.rowCount === 0) {
+  // Only departments that actually have employees in this daily master request, by the
+  // department each employee belonged to on the run date
+  const r = await query(
+    `
+    SELECT DISTINCT d.id, d.name, x.emp_no, x.full_name
+    FROM (
+      SELECT e.emp_no, e.full_name, ${departmentAsOfSql("e", "tr.request_date")} AS department_id
+      FROM transport_request_employees tre
+      JOIN transport_requests tr ON tr.id = tre.request_id
+      JOIN employees e ON e.id = tre.employee_id
+      WHERE tre.request_id = $1
+    ) x
+    JOIN departments d ON d.id = x.department_id
+    WHERE ($2::int IS NULL OR d.id = $2)
+    ORDER BY d.name ASC, x.emp_no ASC
+    `,
+    [requestId, departmentId]
+  );
+
+  if (r.rowCount === 0) {
     throw httpError(404, "No department data found for that day");
   }
 
-  const result = [];
-  for (const d of depts.rows) {
-    const emp = await query(
-      `
-      SELECT DISTINCT e.emp_no, e.full_name
-      FROM transport_request_employees tre
-      JOIN employees e ON e.id = tre.employee_id
-      WHERE tre.request_id = $1 AND e.department_id = $2
-      ORDER BY e.emp_no ASC
-      `,
-      [requestId, d.id]
-    );
-    result.push({
-      id: d.id,
-      name: d.name,
-      employees: emp.rows.map((r) => ({
-        emp_no: r.emp_no,
-        full_name: r.full_name,
-      })),
-    });
-  }
-  return result;
+  const byDept = new Map();
+  for (const row of r.rows) {
+    if (!byDept.has(row.id)) byDept.set(row.id, { id: row.id, name: row.name, employees: [] });
+    byDept.get(row.id).employees.push({ emp_no: row.emp_no, full_name: row.full_name });
+  }
+  return [...byDept.values()];
 }
 
-async function buildDepartmentWiseExcel({ requestId, date, offTime = "", departmentId = null }) {
-  const departments = await fetchDepartmentsAndEmployees(requestId, departmentId);
+function addDepartmentSheet(wb, usedNames, dept, { sheetName, date, offTime }) {
+  const ws = wb.addWorksheet(sanitizeSheetName(sheetName || dept.name, usedNames));
+
+  // Columns (A-D, to allow merged B:D area like your sample)
+  ws.columns = [
+    { key: "colA", width: 18 },
+    { key: "colB", width: 15 },
+    { key: "colC", width: 15 },
+    { key: "colD", width: 15 },
+  ];
+
+  // Template headers (similar to your sample.xlsx)
+  ws.getCell("A2").value = "Department Name";
+  ws.getCell("B2").value = dept.name;
+  ws.mergeCells("B2:D2");
+
+  ws.getCell("A3").value = "Date";
+  ws.getCell("B3").value = date || "";
+  ws.mergeCells("B3:D3");
 
+  ws.getCell("A4").value = "Off Time";
+  ws.getCell("B4").value = offTime || "";
+  ws.mergeCells("B4:D4");
+
+  ws.getCell("A5").value = "Emp Count";
+  ws.getCell("B5").value = dept.employees.length;
+  ws.mergeCells("B5:D5");
+
+  // Table header
+  ws.getCell("A6").value = "Emp Name";
+  ws.getCell("B6").value = "Emp No";
+
+  // Apply thin borders to header blocks
+  applyBorder(ws, 2, 5, 1, 4);
+  applyBorder(ws, 6, 6, 1, 2);
+
+  // Data rows start at row 7
+  let row = 7;
+  for (const emp of dept.employees) {
+    ws.getCell(row, 1).value = emp.full_name;
+    ws.getCell(row, 2).value = emp.emp_no;
+    applyBorder(ws, row, row, 1, 2);
+    row += 1;
+  }
+
+  // Keep a little spacing (optional)
+  ws.views = [{ state: "frozen", ySplit: 6 }];
+  return ws;
+}
+
+function newWorkbook() {
   const wb = new ExcelJS.Workbook();
   wb.creator = "Transport Request System";
   wb.created = new Date();
+  return wb;
+}
 
+async function buildDepartmentWiseExcel({ requestId, date, offTime = "", departmentId = null }) {
+  const departments = await fetchDepartmentsAndEmployees(requestId, departmentId);
+
+  const wb = newWorkbook();
   const usedNames = new Set();
 
   for (const dept of departments) {
-    const ws = wb.addWorksheet(sanitizeSheetName(dept.name, usedNames));
-
-    // Columns (A-D, to allow merged B:D area like your sample)
-    ws.columns = [
-      { key: "colA", width: 18 },
-      { key: "colB", width: 15 },
-      { key: "colC", width: 15 },
-      { key: "colD", width: 15 },
+    addDepartmentSheet(wb, usedNames, dept, { date, offTime });
+  }
+
+  const buf = await wb.xlsx.writeBuffer();
+  return Buffer.from(buf);
+}
+
+/**
+ * Department-wise Excel over a date range (Planning).
+ * One sheet per department per HR-final-approved shift; off time is the shift.
+ */
+async function buildDepartmentRangeExcel({ from, to, departmentId = null }) {
+  const runs = await query(
+    `SELECT id, to_char(request_date, 'YYYY-MM-DD') AS date, to_char(request_time, 'HH24:MI') AS shift
+     FROM transport_requests
+     WHERE is_daily_master=TRUE AND status='HR_FINAL_APPROVED'
+       AND request_date BETWEEN $1 AND $2
+     ORDER BY request_date ASC, request_time ASC`,
+    [from, to]
+  );
+
+  const wb = newWorkbook();
+  const usedNames = new Set();
+
+  for (const run of runs.rows) {
+    let departments;
+    try {
+      departments = await fetchDepartmentsAndEmployees(run.id, departmentId);
+    } catch (e) {
+      if (e.status === 404) continue;   // department had nobody on that day
+      throw e;
+    }
+
+    for (const dept of departments) {
+      addDepartmentSheet(wb, usedNames, dept, { sheetName: `${run.date} ${run.shift} ${dept.name}`, date: run.date, offTime: run.shift });
+    }
+  }
+
+  if (wb.worksheets.length === 0) {
+    throw httpError(404, "No department data found for that date range");
+  }
+
+  const buf = await wb.xlsx.writeBuffer();
+  return Buffer.from(buf);
+}
+
+/**
+ * Distance costing over a date range: every vehicle trip of the HR-final-approved runs with
+ * its trip km (stored when TA saved the assignment) x the per-km rate of its vehicle type.
+ * Trips without a distance or rate are listed with the cost left blank.
+ */
+async function buildCostingExcel({ from, to }) {
+  const r = await query(
+    `SELECT to_char(tr.request_date, 'YYYY-MM-DD') AS date, to_char(tr.request_time, 'HH24:MI') AS shift,
+            rt.route_no, rt.route_name, v.vehicle_no, v.vehicle_type, v.owner_name,
+            ra.trip_km, vtr.rate_per_km,
+            (SELECT COUNT(*)::int FROM transport_request_employees tre
+             WHERE tre.request_id = tr.id AND tre.assigned_vehicle_id = ra.vehicle_id
+               AND tre.effective_route_id = ra.route_id) AS passengers
+     FROM request_assignments ra
+     JOIN transport_requests tr ON tr.id = ra.request_id
+     JOIN routes rt ON rt.id = ra.route_id
+     JOIN vehicles v ON v.id = ra.vehicle_id
+     LEFT JOIN vehicle_type_rates vtr ON vtr.vehicle_type = v.vehicle_type
+     WHERE tr.is_daily_master=TRUE AND tr.status='HR_FINAL_APPROVED'
+       AND tr.request_date BETWEEN $1 AND $2
+     ORDER BY tr.request_date, tr.request_time, rt.route_no, v.vehicle_no`,
+    [from, to]
+  );
+  if (r.rowCount === 0) throw httpError(404, "No approved trips found for that date range");
+
+  const trips = r.rows.map(t => {
+    const km = t.trip_km === null ? null : Number(t.trip_km);
+    const rate = t.rate_per_km === null ? null : Number(t.rate_per_km);
+    const note = km === null ? "Distance missing" : (rate === null ? `No rate for ${t.vehicle_type}` : "");
+    return { ...t, km, rate, cost: km !== null && rate !== null ? Math.round(km * rate * 100) / 100 : null, note };
+  });
+
+  const wb = newWorkbook();
+
+  const ws = wb.addWorksheet("Trips");
+  ws.getCell("A1").value = `Transport costing ${from} to ${to}`;
+  ws.getCell("A1").font = { bold: true };
+  const header = ["Date", "Shift", "Route", "Vehicle", "Type", "Owner", "Passengers", "Trip km", "Rate / km", "Cost", "Note"];
+  ws.getRow(3).values = header;
+  ws.getRow(3).font = { bold: true };
+  [12, 8, 24, 14, 10, 20, 11, 10, 10, 12, 22].forEach((w, i) => { ws.getColumn(i + 1).width = w; });
+
+  let row = 4;
+  for (const t of trips) {
+    ws.getRow(row).values = [
+      t.date, t.shift, `${t.route_no} - ${t.route_name}`, t.vehicle_no, t.vehicle_type, t.owner_name || "",
+      t.passengers, t.km, t.rate, t.cost, t.note
+    ];
+    row += 1;
+  }
+  ws.getRow(row).values = [
+    "Total", "", "", "", "", "", "",
+    trips.reduce((n, t) => n + (t.km || 0), 0), "",
+    trips.reduce((n, t) => n + (t.cost || 0), 0), ""
+  ];
+  ws.getRow(row).font = { bold: true };
+  applyBorder(ws, 3, row, 1, header.length);
+  ws.views = [{ state: "frozen", ySplit: 3 }];
+
+  // Per-vehicle totals
+  const byVehicle = new Map();
+  for (const t of trips) {
+    if (!byVehicle.has(t.vehicle_no)) {
+      byVehicle.set(t.vehicle_no, { vehicle_no: t.vehicle_no, vehicle_type: t.vehicle_type, owner_name: t.owner_name, trips: 0, km: 0, cost: 0, incomplete: 0 });
+    }
+    const v = byVehicle.get(t.vehicle_no);
+    v.trips += 1;
+    v.km += t.km || 0;
+    v.cost += t.cost || 0;
+    if (t.cost === null) v.incomplete += 1;
+  }
+
+  const sum = wb.addWorksheet("By Vehicle");
+  sum.getRow(1).values = ["Vehicle", "Type", "Owner", "Trips", "Km", "Cost", "Trips not costed"];
+  sum.getRow(1).font = { bold: true };
+  [14, 10, 20, 8, 10, 12, 16].forEach((w, i) => { sum.getColumn(i + 1).width = w; });
+  let srow = 2;
+  for (const v of byVehicle.values()) {
+    sum.getRow(srow).values = [
+      v.vehicle_no, v.vehicle_type, v.owner_name || "", v.trips,
+      Math.round(v.km * 100) / 100, Math.round(v.cost * 100) / 100, v.incomplete
     ];
+    srow += 1;
+  }
+  applyBorder(sum, 1, srow - 1, 1, 7);
+
+  const buf = await wb.xlsx.writeBuffer();
+  return Buffer.from(buf);
+}
+
+/** Monthly supplier statements (from services/billing loadBillingStatements): summary + one sheet per owner. */
+async function buildBillingExcel({ month, statements }) {
+  const wb = newWorkbook();
+  const usedNames = new Set(["Summary"]);
+
+  const sum = wb.addWorksheet("Summary");
+  sum.getCell("A1").value = `Supplier billing ${month}`;
+  sum.getCell("A1").font = { bold: true };
+  sum.getRow(3).values = ["Owner", "Trips", "Amount", "Trips not priced"];
+  sum.getRow(3).font = { bold: true };
+  [28, 8, 14, 16].forEach((w, i) => { sum.getColumn(i + 1).width = w; });
+  statements.forEach((st, i) => {
+    sum.getRow(4 + i).values = [st.owner_name, st.lines.length, st.total, st.unpriced];
+  });
+  applyBorder(sum, 3, 3 + statements.length, 1, 4);
+
+  const header = ["Date", "Shift", "Route", "Vehicle", "Type", "Basis", "Km", "Rate", "Base", "Overbook seats", "Surcharge", "Amount", "Note"];
+  for (const st of statements) {
+    const ws = wb.addWorksheet(sanitizeSheetName(st.owner_name, usedNames));
+    ws.getCell("A1").value = "Supplier";
+    ws.getCell("B1").value = st.owner_name;
+    ws.getCell("A2").value = "Month";
+    ws.getCell("B2").value = month;
+    ws.getRow(4).values = header;
+    ws.getRow(4).font = { bold: true };
+    [12, 8, 22, 14, 9, 10, 9, 10, 11, 14, 11, 12, 24].forEach((w, i) => { ws.getColumn(i + 1).width = w; });
 
-    // Template headers (similar to your sample.xlsx)
-    ws.getCell("A2").value = "Department Name";
-    ws.getCell("B2").value = dept.name;
-    ws.mergeCells("B2:D2");
-
-    ws.getCell("A3").value = "Date";
-    ws.getCell("B3").value = date || "";
-    ws.mergeCells("B3:D3");
-
-    ws.getCell("A4").value = "Off Time";
-    ws.getCell("B4").value = offTime || "";
-    ws.mergeCells("B4:D4");
-
-    ws.getCell("A5").value = "Emp Count";
-    ws.getCell("B5").value = dept.employees.length;
-    ws.mergeCells("B5:D5");
-
-    // Table header
-    ws.getCell("A6").value = "Emp Name";
-    ws.getCell("B6").value = "Emp No";
-
-    // Apply thin borders to header blocks
-    applyBorder(ws, 2, 5, 1, 4);
-    applyBorder(ws, 6, 6, 1, 2);
-
-    // Data rows start at row 7
-    let row = 7;
-    for (const emp of dept.employees) {
-      ws.getCell(row, 1).value = emp.full_name;
-      ws.getCell(row, 2).value = emp.emp_no;
-      applyBorder(ws, row, row, 1, 2);
+    let row = 5;
+    for (const l of st.lines) {
+      ws.getRow(row).values = [
+        l.date, l.shift, l.route_no ? `${l.route_no} - ${l.route_name}` : "", l.vehicle_no, l.vehicle_type,
+        l.basis || "", l.trip_km, l.rate, l.base_amount, l.overbook_seats, l.surcharge, l.amount, l.note || ""
+      ];
       row += 1;
     }
+    ws.getRow(row).values = ["Total", "", "", "", "", "", "", "", "", "", "", st.total, st.unpriced ? `${st.unpriced} trip(s) not priced` : ""];
+    ws.getRow(row).font = { bold: true };
+    applyBorder(ws, 4, row, 1, header.length);
+    ws.views = [{ state: "frozen", ySplit: 4 }];
+  }
+
+  const buf = await wb.xlsx.writeBuffer();
+  return Buffer.from(buf);
+}
+
+function addMatrixSheet(wb, name, { title, rows, cols, cell, numFmt }) {
+  const ws = wb.addWorksheet(name);
+  ws.getCell("A1").value = title;
+  ws.getCell("A1").font = { bold: true };
+  ws.getRow(3).values = ["Department", ...cols.map(c => c.label), "Total"];
+  ws.getRow(3).font = { bold: true };
+  ws.getColumn(1).width = 28;
+  cols.forEach((c, i) => { ws.getColumn(i + 2).width = 16; });
+  ws.getColumn(cols.length + 2).width = 14;
+
+  const colTotals = cols.map(() => 0);
+  let row = 4;
+  for (const r of rows) {
+    const values = cols.map(c => cell(r.key, c.key));
+    values.forEach((v, i) => { colTotals[i] += v; });
+    ws.getRow(row).values = [r.label, ...values, values.reduce((a, b) => a + b, 0)];
+    row += 1;
+  }
+  ws.getRow(row).values = ["Total", ...colTotals, colTotals.reduce((a, b) => a + b, 0)];
+  ws.getRow(row).font = { bold: true };
+  for (let r = 4; r <= row; r++) {
+    for (let c = 2; c <= cols.length + 2; c++) {
+      const cellRef = ws.getCell(r, c);
+      if (typeof cellRef.value === "number") {
+        cellRef.value = Math.round(cellRef.value * 100) / 100;
+        if (numFmt) cellRef.numFmt = numFmt;
+      }
+    }
+  }
+  applyBorder(ws, 3, row, 1, cols.length + 2);
+  ws.views = [{ state: "frozen", xSplit: 1, ySplit: 3 }];
+  return ws;
+}
+
+/**
+ * Monthly department x route cost allocation. Each priced billable trip (services/billing)
+ * is split across departments by how many of each department's employees rode that vehicle
+ * on that route (transport_request_employees.assigned_vehicle_id); trips nobody was linked
+ * to stay under "Unallocated".
+ */
+async function buildCostAllocationExcel({ month, from, to }) {
+  const trips = await query(
+    `SELECT bt.request_id, bt.route_id, bt.vehicle_id, bt.amount, rt.route_no, rt.route_name
+     FROM billable_trips bt
+     LEFT JOIN routes rt ON rt.id = bt.route_id
+     WHERE bt.trip_date BETWEEN $1 AND $2`,
+    [from, to]
+  );
+  if (trips.rowCount === 0) throw httpError(404, "No billable trips for that month");
+
+  const riders = await query(
+    `SELECT x.request_id, x.route_id, x.vehicle_id, x.department_id,
+            COALESCE(d.name, '(no department)') AS department_name, COUNT(*)::int AS n
+     FROM (
+       SELECT tre.request_id, tre.effective_route_id AS route_id, tre.assigned_vehicle_id AS vehicle_id,
+              ${departmentAsOfSql("e", "tr.request_date")} AS department_id
+       FROM transport_request_employees tre
+       JOIN transport_requests tr ON tr.id = tre.request_id
+       JOIN employees e ON e.id = tre.employee_id
+       WHERE tre.request_id = ANY($1::int[]) AND tre.assigned_vehicle_id IS NOT NULL
+     ) x
+     LEFT JOIN departments d ON d.id = x.department_id
+     GROUP BY x.request_id, x.route_id, x.vehicle_id, x.department_id, d.name`,
+    [[...new Set(trips.rows.map(t => t.request_id))]]
+  );
+  const ridersByTrip = new Map();
+  for (const r of riders.rows) {
+    const key = `${r.request_id}:${r.route_id}:${r.vehicle_id}`;
+    if (!ridersByTrip.has(key)) ridersByTrip.set(key, []);
+    ridersByTrip.get(key).push(r);
+  }
+
+  const departments = new Map();
+  const routes = new Map();
+  const cost = new Map();        // "dept|route" -> amount
+  const seats = new Map();       // "dept|route" -> employee trips
+  const add = (m, k, v) => m.set(k, (m.get(k) || 0) + v);
+  let unpriced = 0;
 
-    // Keep a little spacing (optional)
-    ws.views = [{ state: "frozen", ySplit: 6 }];
+  for (const t of trips.rows) {
+    const routeKey = t.route_id || 0;
+    if (!routes.has(routeKey)) routes.set(routeKey, { key: routeKey, label: t.route_no ? `${t.route_no} - ${t.route_name}` : "(no route)", sort: String(t.route_no || "") });
+    const amount = t.amount === null ? null : Number(t.amount);
+    if (amount === null) unpriced += 1;
+
+    const group = ridersByTrip.get(`${t.request_id}:${t.route_id}:${t.vehicle_id}`) || [];
+    const total = group.reduce((n, g) => n + g.n, 0);
+    if (total === 0) {
+      departments.set(-1, { key: -1, label: "Unallocated" });
+      if (amount !== null) add(cost, `-1|${routeKey}`, amount);
+      continue;
+    }
+    for (const g of group) {
+      const deptKey = g.department_id || 0;
+      if (!departments.has(deptKey)) departments.set(deptKey, { key: deptKey, label: g.department_name });
+      add(seats, `${deptKey}|${routeKey}`, g.n);
+      if (amount !== null) add(cost, `${deptKey}|${routeKey}`, (amount * g.n) / total);
+    }
   }
 
+  const rows = [...departments.values()].sort((a, b) => (a.key === -1) - (b.key === -1) || a.label.localeCompare(b.label));
+  const cols = [...routes.values()].sort((a, b) => a.sort.localeCompare(b.sort, undefined, { numeric: true }));
+
+  const wb = newWorkbook();
+  const ws = addMatrixSheet(wb, "Cost", {
+    title: `Transport cost by department and route, ${month}`,
+    rows, cols, cell: (d, r) => cost.get(`${d}|${r}`) || 0, numFmt: "#,##0.00"
+  });
+  if (unpriced) ws.getCell("A2").value = `${unpriced} trip(s) had no price and are not included`;
+  addMatrixSheet(wb, "Employee trips", {
+    title: `Employee trips by department and route, ${month}`,
+    rows: rows.filter(r => r.key !== -1), cols, cell: (d, r) => seats.get(`${d}|${r}`) || 0
+  });
+
   const buf = await wb.xlsx.writeBuffer();
   return Buffer.from(buf);
 }
 
-module.exports = { buildDepartmentWiseExcel };
+module.exports = {
+  buildDepartmentWiseExcel,
+  buildDepartmentRangeExcel,
+  buildCostingExcel,
+  buildBillingExcel,
+  buildCostAllocationExcel
+};
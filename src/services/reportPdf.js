@@ -1,6 +1,7 @@
 const PDFDocument = require("pdfkit");
 const { env } = require("../config/env");
 const { query } = require("../db/pool");
+const { stopOrderSql, stopEta } = require("./stops");
 
 function docToBuffer(doc) {
   return new Promise((resolve, reject) => {
@@ -15,7 +16,7 @@ function docToBuffer(doc) {
 /**
  * Vehicle Report: One route per page
  * - Driver name + Vehicle number: 16pt
- * - Sub-locations (villages): 36pt, numbered 1/2/3
+ * - Sub-locations (villages): 36pt, numbered 1/2/3 in stop order with estimated time
  * - Passenger names: 26pt
  */
 async function buildVehicleReportPdf(requestId) {
@@ -27,16 +28,23 @@ async function buildVehicleReportPdf(requestId) {
   
   doc.info.Title = `${env.REPORT_TITLE || 'Transport'} - Vehicle Assignment Report`;
 
+  const reqRow = await query("SELECT request_time FROM transport_requests WHERE id=$1", [requestId]);
+  const shiftTime = reqRow.rows[0]?.request_time || null;
+
   // Get all route-vehicle assignments
   const assignments = await query(
     `SELECT 
        r.route_no, r.route_name,
        v.id as vehicle_id,
        v.vehicle_no, v.registration_no, v.capacity,
-       ra.driver_name, ra.driver_phone, ra.instructions,
+       COALESCE(d.full_name, ra.driver_name) AS driver_name,
+       COALESCE(d.phone, ra.driver_phone) AS driver_phone,
+       d.licence_no,
+       ra.instructions,
        ra.route_id
      FROM request_assignments ra
      JOIN vehicles v ON v.id = ra.vehicle_id
+     LEFT JOIN drivers d ON d.id = ra.driver_id
      LEFT JOIN routes r ON r.id = ra.route_id
      WHERE ra.request_id = $1
      ORDER BY r.route_no NULLS LAST, v.vehicle_no`,
@@ -71,18 +79,21 @@ async function buildVehicleReportPdf(requestId) {
     doc.moveDown(0.3);
     doc.fontSize(11).font('Helvetica');
     doc.text(`Driver: ${assign.driver_name || 'N/A'}   |   Phone: ${assign.driver_phone || 'N/A'}   |   Capacity: ${assign.capacity || 'N/A'}`, { align: 'center' });
+    if (assign.licence_no) {
+      doc.text(`Licence: ${assign.licence_no}`, { align: 'center' });
+    }
     doc.moveDown(1.2);
 
     // Get passengers for this specific vehicle (using assigned_vehicle_id)
     const passengers = await query(
       `SELECT e.full_name, e.emp_no,
-              sr2.sub_name as passenger_sub
+              sr2.sub_name as passenger_sub, sr2.stop_offset_minutes, sr2.landmark
        FROM transport_request_employees tre
        JOIN employees e ON e.id = tre.employee_id
        LEFT JOIN sub_routes sr2 ON sr2.id = tre.effective_sub_route_id
        WHERE tre.request_id = $1 
          AND tre.assigned_vehicle_id = $2
-       ORDER BY sr2.sub_name NULLS LAST, e.full_name`,
+       ORDER BY ${stopOrderSql("sr2")}, e.full_name`,
       [requestId, assign.vehicle_id]
     );
 
@@ -91,12 +102,14 @@ async function buildVehicleReportPdf(requestId) {
       continue;
     }
 
-    // Group passengers by sub-location (village)
-    const bySubLocation = {};
+    // Group passengers by sub-location (village), keeping stop order
+    const bySubLocation = new Map();
     for (const p of passengers.rows) {
       const sub = p.passenger_sub || 'Main Route';
-      if (!bySubLocation[sub]) bySubLocation[sub] = [];
-      bySubLocation[sub].push(p.full_name);
+      if (!bySubLocation.has(sub)) {
+        bySubLocation.set(sub, { names: [], eta: stopEta(shiftTime, p.stop_offset_minutes), landmark: p.landmark });
+      }
+      bySubLocation.get(sub).names.push(p.full_name);
     }
 
     // Display each sub-location with passengers (two-column layout)
@@ -108,7 +121,7 @@ async function buildVehicleReportPdf(requestId) {
     const bottomY = doc.page.height - 60;
 
     let subIndex = 1;
-    const subLocations = Object.keys(bySubLocation);
+    const subLocations = [...bySubLocation.keys()];
 
     const repeatHeader = (continued=false) => {
       doc.font('Helvetica-Bold').fontSize(16);
@@ -123,7 +136,7 @@ async function buildVehicleReportPdf(requestId) {
     };
 
     for (const subName of subLocations) {
-      const names = bySubLocation[subName];
+      const { names, eta, landmark } = bySubLocation.get(subName);
 
       // Ensure room for sub heading
       if (doc.y > bottomY - 120) {
@@ -134,6 +147,10 @@ async function buildVehicleReportPdf(requestId) {
       // ======= SUB-LOCATION (reduced but still large) =======
       doc.font('Helvetica-Bold').fontSize(28);
       doc.text(`${subIndex} / ${subName}`, { align: 'left' });
+      if (eta || landmark) {
+        doc.font('Helvetica').fontSize(14);
+        doc.text([eta ? `ETA ${eta}` : null, landmark].filter(Boolean).join('   |   '), { align: 'left' });
+      }
       doc.moveDown(0.3);
       subIndex++;
 
@@ -184,6 +201,7 @@ async function buildVehicleReportPdf(requestId) {
  * - Large readable fonts
  * - Proper page breaks
  * - Space-efficient layout
+ * - Sub-routes in stop order with estimated time / landmark
  */
 async function buildRouteWisePdf(requestId) {
   const doc = new PDFDocument({ 
@@ -193,17 +211,20 @@ async function buildRouteWisePdf(requestId) {
   
   doc.info.Title = `${env.REPORT_TITLE || 'Transport'} - Route-wise Report`;
 
+  const reqRow = await query("SELECT request_time FROM transport_requests WHERE id=$1", [requestId]);
+  const shiftTime = reqRow.rows[0]?.request_time || null;
+
   // Get all routes with passengers
   const groups = await query(
     `SELECT r.id as route_id, r.route_no, r.route_name,
-            sr.id as sub_route_id, sr.sub_name,
+            sr.id as sub_route_id, sr.sub_name, sr.stop_order, sr.stop_offset_minutes, sr.landmark,
             COUNT(*)::int as headcount
      FROM transport_request_employees tre
      LEFT JOIN routes r ON r.id = tre.effective_route_id
      LEFT JOIN sub_routes sr ON sr.id = tre.effective_sub_route_id
      WHERE tre.request_id=$1
-     GROUP BY r.id, r.route_no, r.route_name, sr.id, sr.sub_name
-     ORDER BY r.route_no NULLS LAST, sr.sub_name NULLS LAST`,
+     GROUP BY r.id, r.route_no, r.route_name, sr.id, sr.sub_name, sr.stop_order, sr.stop_offset_minutes, sr.landmark
+     ORDER BY r.route_no NULLS LAST, ${stopOrderSql("sr")}`,
     [requestId]
   );
 
@@ -239,7 +260,12 @@ async function buildRouteWisePdf(requestId) {
     // ======= SUB-ROUTE (18pt) =======
     if (g.sub_name) {
       doc.font('Helvetica-Bold').fontSize(18);
-      doc.text(`Sub-route: ${g.sub_name}`);
+      doc.text(`${g.stop_order ? `Stop ${g.stop_order}: ` : 'Sub-route: '}${g.sub_name}`);
+      const eta = stopEta(shiftTime, g.stop_offset_minutes);
+      if (eta || g.landmark) {
+        doc.font('Helvetica').fontSize(12);
+        doc.text([eta ? `ETA ${eta}` : null, g.landmark].filter(Boolean).join('   |   '));
+      }
       doc.moveDown(0.2);
     } else {
       doc.font('Helvetica-Bold').fontSize(18);
@@ -283,9 +309,11 @@ async function buildRouteWisePdf(requestId) {
     // ======= ASSIGNED VEHICLES (for this sub-route) =======
     const vehicles = await query(
       `SELECT v.vehicle_no, v.registration_no, v.capacity,
-              ra.driver_name, ra.driver_phone
+              COALESCE(d.full_name, ra.driver_name) AS driver_name,
+              COALESCE(d.phone, ra.driver_phone) AS driver_phone
        FROM request_assignments ra
        JOIN vehicles v ON v.id=ra.vehicle_id
+       LEFT JOIN drivers d ON d.id=ra.driver_id
        WHERE ra.request_id=$1 
          AND ra.route_id IS NOT DISTINCT FROM $2 
          AND ra.sub_route_id IS NOT DISTINCT FROM $3
@@ -319,4 +347,59 @@ async function buildRouteWisePdf(requestId) {
   return docToBuffer(doc);
 }
 
-module.exports = { buildRouteWisePdf, buildVehicleReportPdf };
+/**
+ * Supplier statements: one owner per page, a line per trip (date order) and the month total.
+ */
+async function buildBillingPdf({ month, statements }) {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.info.Title = `${env.REPORT_TITLE || 'Transport'} - Supplier Statement ${month}`;
+
+  const cols = [
+    { label: "Date", width: 62 }, { label: "Shift", width: 34 }, { label: "Route", width: 70 },
+    { label: "Vehicle", width: 62 }, { label: "Basis", width: 50 }, { label: "Km", width: 38, align: "right" },
+    { label: "Rate", width: 50, align: "right" }, { label: "Surcharge", width: 52, align: "right" },
+    { label: "Amount", width: 62, align: "right" }
+  ];
+  const money = (n) => (n === null || n === undefined ? "-" : Number(n).toFixed(2));
+  const drawRow = (values, font) => {
+    if (doc.y > doc.page.height - 70) doc.addPage();
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    doc.font(font).fontSize(9);
+    cols.forEach((c, i) => {
+      doc.text(String(values[i] ?? ""), x, y, { width: c.width - 4, align: c.align || "left", lineBreak: false });
+      x += c.width;
+    });
+    doc.moveDown(0.6);
+    doc.x = doc.page.margins.left;
+  };
+
+  statements.forEach((st, idx) => {
+    if (idx > 0) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(18).text("Supplier Statement");
+    doc.font('Helvetica').fontSize(12);
+    doc.text(`Supplier: ${st.owner_name}`);
+    doc.text(`Month: ${month}`);
+    doc.moveDown(0.6);
+
+    drawRow(cols.map(c => c.label), 'Helvetica-Bold');
+    for (const l of st.lines) {
+      drawRow([
+        l.date, l.shift, l.route_no || "", l.vehicle_no, l.basis || "-",
+        l.trip_km === null ? "-" : l.trip_km, money(l.rate),
+        l.overbook_seats ? `${money(l.surcharge)} (+${l.overbook_seats})` : money(l.surcharge),
+        l.amount === null ? (l.note || "-") : money(l.amount)
+      ], 'Helvetica');
+    }
+
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(12).text(`Total: ${money(st.total)}`, { align: "right" });
+    if (st.unpriced) {
+      doc.font('Helvetica-Oblique').fontSize(10).text(`${st.unpriced} trip(s) could not be priced (no rate card or distance).`, { align: "right" });
+    }
+  });
+
+  return docToBuffer(doc);
+}
+
+module.exports = { buildRouteWisePdf, buildVehicleReportPdf, buildBillingPdf };
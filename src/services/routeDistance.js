@@ -0,0 +1,105 @@
+const { query } = require("../db/pool");
+const { stopOrderSql } = require("./stops");
+
+// Route distances without a maps API. Each stop's segment is the admin-entered segment_km
+// (from the previous stop, or from the route start for the first stop); without it, the
+// straight-line distance between the two points when both have coordinates.
+
+const EARTH_RADIUS_KM = 6371;
+
+function point(lat, lng) {
+  if (lat === null || lat === undefined || lng === null || lng === undefined) return null;
+  return { lat: Number(lat), lng: Number(lng) };
+}
+
+/** Great-circle distance in km between { lat, lng } points. */
+function haversineKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Distance table for one route. stops must be in travel order.
+ * Each stop gets segment_km, segment_source (ENTERED / STRAIGHT_LINE / null) and
+ * cumulative_km, which stays null from the first stop whose segment is unknown.
+ */
+function routeDistanceTable(route, stops) {
+  const start = point(route.start_latitude, route.start_longitude);
+  let prev = start;
+  let cumulative = 0;
+  const table = stops.map((s) => {
+    const here = point(s.latitude, s.longitude);
+    let segment = null;
+    let source = null;
+    if (s.segment_km !== null && s.segment_km !== undefined) {
+      segment = Number(s.segment_km);
+      source = "ENTERED";
+    } else if (prev && here) {
+      segment = round2(haversineKm(prev, here));
+      source = "STRAIGHT_LINE";
+    }
+    cumulative = cumulative === null || segment === null ? null : round2(cumulative + segment);
+    prev = here;
+    return {
+      id: s.id,
+      sub_name: s.sub_name,
+      stop_order: s.stop_order,
+      latitude: here ? here.lat : null,
+      longitude: here ? here.lng : null,
+      segment_km: segment,
+      segment_source: source,
+      cumulative_km: cumulative
+    };
+  });
+  return {
+    route_id: route.id,
+    start_latitude: start ? start.lat : null,
+    start_longitude: start ? start.lng : null,
+    stops: table,
+    total_km: table.length ? table[table.length - 1].cumulative_km : null
+  };
+}
+
+/** Distance tables for the given routes, keyed by route id. */
+async function loadRouteDistances(routeIds, db = { query }) {
+  const ids = [...new Set(routeIds.filter(Boolean))];
+  const out = new Map();
+  if (ids.length === 0) return out;
+  const routes = await db.query(
+    "SELECT id, start_latitude, start_longitude FROM routes WHERE id = ANY($1::int[])",
+    [ids]
+  );
+  const stops = await db.query(
+    `SELECT sr.id, sr.route_id, sr.sub_name, sr.stop_order, sr.latitude, sr.longitude, sr.segment_km
+     FROM sub_routes sr WHERE sr.route_id = ANY($1::int[])
+     ORDER BY sr.route_id, ${stopOrderSql("sr")}`,
+    [ids]
+  );
+  for (const r of routes.rows) {
+    out.set(r.id, routeDistanceTable(r, stops.rows.filter(s => s.route_id === r.id)));
+  }
+  return out;
+}
+
+/**
+ * One-way trip distance for a vehicle on a route: km to the furthest stop among its
+ * passengers. Passengers without a sub-route count as riding to the end of the route.
+ * Null when that distance is not known.
+ */
+function tripKm(table, subRouteIds) {
+  if (!table || table.stops.length === 0) return null;
+  const index = new Map(table.stops.map((s, i) => [s.id, i]));
+  let furthest = -1;
+  for (const id of subRouteIds) {
+    const i = id ? index.get(id) : undefined;
+    furthest = Math.max(furthest, i === undefined ? table.stops.length - 1 : i);
+  }
+  return furthest < 0 ? null : table.stops[furthest].cumulative_km;
+}
+
+module.exports = { haversineKm, routeDistanceTable, loadRouteDistances, tripKm };
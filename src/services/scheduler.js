@@ -0,0 +1,173 @@
+const { DateTime } = require("luxon");
+const { env } = require("../config/env");
+const { query, withTransaction } = require("../db/pool");
+const { recordAudit } = require("./audit");
+const { getCalendarDay, calendarRange, isNonWorking } = require("./calendar");
+const { findMaster, submitRequest } = require("./dailyRun");
+
+const ZONE = "Asia/Colombo";
+
+/**
+ * Dates (YYYY-MM-DD) on which a schedule occurs within [from, to], honouring
+ * its weekday pattern (ISO: 1=Mon .. 7=Sun) and start/end dates.
+ * With a calendar map (see services/calendar.calendarRange), WORKING_DAY entries are
+ * added as extra occurrences; holidays stay in the list so they get recorded as skipped.
+ */
+function occurrenceDates(schedule, from, to, calendar = null) {
+  const start = DateTime.fromISO(schedule.start_date, { zone: ZONE });
+  const end = schedule.end_date ? DateTime.fromISO(schedule.end_date, { zone: ZONE }) : null;
+  const weekdays = new Set(schedule.weekdays);
+
+  const out = [];
+  for (let d = DateTime.fromISO(from, { zone: ZONE }); d <= DateTime.fromISO(to, { zone: ZONE }); d = d.plus({ days: 1 })) {
+    if (d < start) continue;
+    if (end && d > end) break;
+    const entry = calendar ? calendar.get(d.toISODate()) : null;
+    if (weekdays.has(d.weekday) || (entry && entry.kind === "WORKING_DAY")) out.push(d.toISODate());
+  }
+  return out;
+}
+
+async function recordRun(tx, scheduleId, date, outcome, requestId = null) {
+  await tx.query(
+    "INSERT INTO transport_schedule_runs (schedule_id, occurrence_date, request_id, outcome) VALUES ($1,$2,$3,$4)",
+    [scheduleId, date, requestId, outcome]
+  );
+}
+
+/**
+ * Create the transport request for one schedule occurrence (idempotent per schedule+date).
+ * Returns the outcome string recorded in transport_schedule_runs, or null if already handled.
+ */
+async function generateOccurrence(schedule, date) {
+  return withTransaction(async (tx) => {
+    // Serialise per schedule+date across instances; the UNIQUE on runs is the final guard
+    await tx.query("SELECT pg_advisory_xact_lock($1, $2)", [schedule.id, parseInt(date.replace(/-/g, ""), 10)]);
+    const done = await tx.query(
+      "SELECT id FROM transport_schedule_runs WHERE schedule_id=$1 AND occurrence_date=$2",
+      [schedule.id, date]
+    );
+    if (done.rowCount > 0) return null;
+
+    const ov = await tx.query(
+      "SELECT action, request_time, employee_ids FROM transport_schedule_overrides WHERE schedule_id=$1 AND occurrence_date=$2",
+      [schedule.id, date]
+    );
+    const override = ov.rows[0] || null;
+    if (override && override.action === "SKIP") {
+      await recordRun(tx, schedule.id, date, "SKIPPED_OVERRIDE");
+      return "SKIPPED_OVERRIDE";
+    }
+
+    // Holidays are skipped unless BLOCK-free and the HOD explicitly replaced this occurrence
+    const holiday = await getCalendarDay(date, tx);
+    if (isNonWorking(holiday) && !(override && override.action === "REPLACE" && holiday.policy !== "BLOCK")) {
+      await recordRun(tx, schedule.id, date, "SKIPPED_HOLIDAY");
+      return "SKIPPED_HOLIDAY";
+    }
+
+    // Same rule as HOD submissions (ensureRunOpen): nothing new once the shift is locked
+    const requestTime = (override && override.request_time) || schedule.request_time;
+    if (await findMaster(date, requestTime, tx)) {
+      await recordRun(tx, schedule.id, date, "SKIPPED_LOCKED");
+      return "SKIPPED_LOCKED";
+    }
+
+    const employeeIds = override && override.employee_ids
+      ? override.employee_ids
+      : (await tx.query("SELECT employee_id FROM transport_schedule_employees WHERE schedule_id=$1", [schedule.id])).rows.map(r => r.employee_id);
+
+    // Only employees still active in the schedule's department
+    const emps = await tx.query(
+      "SELECT id, default_route_id, default_sub_route_id FROM employees WHERE department_id=$1 AND is_active=TRUE AND id = ANY($2::int[])",
+      [schedule.department_id, employeeIds]
+    );
+    if (emps.rowCount === 0) {
+      await recordRun(tx, schedule.id, date, "SKIPPED_NO_EMPLOYEES");
+      return "SKIPPED_NO_EMPLOYEES";
+    }
+
+    const notes = schedule.notes ? `${schedule.name} - ${schedule.notes}` : schedule.name;
+
+    const reqRow = await tx.query(
+      "INSERT INTO transport_requests (request_date, request_time, department_id, created_by_user_id, status, notes) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id",
+      [date, requestTime, schedule.department_id, schedule.created_by_user_id, "DRAFT", notes]
+    );
+    const requestId = reqRow.rows[0].id;
+
+    for (const e of emps.rows) {
+      await tx.query(
+        "INSERT INTO transport_request_employees (request_id, employee_id, effective_route_id, effective_sub_route_id) VALUES ($1,$2,$3,$4)",
+        [requestId, e.id, e.default_route_id, e.default_sub_route_id]
+      );
+    }
+
+    await recordAudit(tx, {
+      requestId, userId: schedule.created_by_user_id, action: "SCHEDULE_CREATE", toStatus: "DRAFT",
+      comment: `Recurring schedule #${schedule.id}${override ? " (overridden occurrence)" : ""}`,
+      diff: { schedule_id: schedule.id, request_time: requestTime, employee_ids: emps.rows.map(e => e.id) }
+    });
+    // Submitted the same way as the HOD's submit button, so Admin is notified
+    if (schedule.auto_submit) {
+      await submitRequest(tx, requestId, {
+        userId: schedule.created_by_user_id, fromStatus: "DRAFT", comment: `Auto-submitted by recurring schedule #${schedule.id}`
+      });
+    }
+    await recordRun(tx, schedule.id, date, "CREATED", requestId);
+    return "CREATED";
+  });
+}
+
+/**
+ * Generate requests for every active schedule from tomorrow up to the look-ahead window.
+ * Errors on one occurrence are logged and do not stop the others.
+ */
+async function runSchedules({ days = env.SCHEDULE_LOOKAHEAD_DAYS, scheduleId = null } = {}) {
+  const today = DateTime.now().setZone(ZONE);
+  const from = today.plus({ days: 1 }).toISODate();
+  const to = today.plus({ days }).toISODate();
+
+  const schedules = await query(
+    `SELECT id, department_id, name, weekdays, request_time, auto_submit, notes, created_by_user_id,
+            to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+     FROM transport_schedules
+     WHERE is_paused=FALSE
+       AND start_date <= $2
+       AND (end_date IS NULL OR end_date >= $1)
+       AND ($3::int IS NULL OR id = $3)`,
+    [from, to, scheduleId]
+  );
+
+  const calendar = await calendarRange(from, to);
+  const summary = {};
+  for (const s of schedules.rows) {
+    for (const date of occurrenceDates(s, from, to, calendar)) {
+      try {
+        const outcome = await generateOccurrence(s, date);
+        if (outcome) summary[outcome] = (summary[outcome] || 0) + 1;
+      } catch (e) {
+        summary.FAILED = (summary.FAILED || 0) + 1;
+        console.error(`[scheduler] schedule ${s.id} ${date} failed:`, e.message);
+      }
+    }
+  }
+  return summary;
+}
+
+let timer = null;
+
+function startScheduler() {
+  if (!env.SCHEDULER_ENABLED || timer) return;
+  const tick = () => {
+    runSchedules()
+      .then((summary) => {
+        if (Object.keys(summary).length) console.log("[scheduler] run:", JSON.stringify(summary));
+      })
+      .catch((e) => console.error("[scheduler] run failed:", e.message));
+  };
+  tick();
+  timer = setInterval(tick, Math.max(1, env.SCHEDULER_INTERVAL_MINUTES) * 60 * 1000);
+  timer.unref();
+}
+
+module.exports = { occurrenceDates, runSchedules, startScheduler };
@@ -0,0 +1,79 @@
+const fs = require("fs/promises");
+const { env } = require("../config/env");
+
+// SMS gateway behind a small adapter interface: send({ to, text }) resolves when the gateway
+// accepted the message and throws otherwise (the notification outbox retries). SMS_ADAPTER
+// picks one; registerSmsAdapter adds more (e.g. a provider-specific client).
+
+// GSM 03.38 basic set; anything outside it (Sinhala, Tamil, emoji) forces UCS-2
+const GSM_BASIC = "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+const GSM_EXTENDED = "^{}\\[~]|€";   // two septets each
+
+/**
+ * Segment count for a text: GSM-7 fits 160 chars in one SMS (153 per part when split),
+ * UCS-2 (e.g. Sinhala) 70 (67 per part). Returns { encoding, units, segments }.
+ */
+function smsSegments(text) {
+  const chars = [...String(text)];
+  const gsm = chars.every(c => GSM_BASIC.includes(c) || GSM_EXTENDED.includes(c));
+  if (gsm) {
+    const units = chars.reduce((n, c) => n + (GSM_EXTENDED.includes(c) ? 2 : 1), 0);
+    return { encoding: "GSM-7", units, segments: units <= 160 ? 1 : Math.ceil(units / 153) };
+  }
+  // UTF-16 code units; characters outside the BMP take two
+  const units = String(text).length;
+  return { encoding: "UCS-2", units, segments: units <= 70 ? 1 : Math.ceil(units / 67) };
+}
+
+/** Local numbers to international digits (Sri Lanka default): "077 123 4567" -> "94771234567". Null if unusable. */
+function normalizePhone(phone) {
+  let p = String(phone || "").replace(/[\s\-()]/g, "");
+  if (p.startsWith("+")) p = p.slice(1);
+  else if (p.startsWith("00")) p = p.slice(2);
+  else if (/^0\d{9}$/.test(p)) p = env.SMS_COUNTRY_CODE + p.slice(1);
+  return /^\d{9,15}$/.test(p) ? p : null;
+}
+
+const sent = [];   // fake adapter history (tests)
+
+const adapters = {
+  // Generic JSON gateway: POST { to, message, sender } with a bearer key
+  http: {
+    send: async ({ to, text }) => {
+      if (!env.SMS_API_URL) throw new Error("SMS_API_URL is missing");
+      const res = await fetch(env.SMS_API_URL, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          ...(env.SMS_API_KEY ? { authorization: `Bearer ${env.SMS_API_KEY}` } : {})
+        },
+        body: JSON.stringify({ to, message: text, sender: env.SMS_SENDER_ID || undefined })
+      });
+      if (!res.ok) {
+        const body = await res.text().catch(() => "");
+        throw new Error(`SMS gateway failed: HTTP ${res.status} ${body.slice(0, 300)}`);
+      }
+    }
+  },
+  // Local fake: keeps messages in memory and appends them to SMS_FAKE_FILE
+  fake: {
+    send: async ({ to, text }) => {
+      const msg = { at: new Date().toISOString(), to, text, ...smsSegments(text) };
+      sent.push(msg);
+      if (env.SMS_FAKE_FILE) await fs.appendFile(env.SMS_FAKE_FILE, JSON.stringify(msg) + "\n", "utf8");
+    }
+  }
+};
+
+function registerSmsAdapter(name, adapter) {
+  if (!adapter || typeof adapter.send !== "function") throw new Error("An SMS adapter needs a send({ to, text }) function");
+  adapters[name] = adapter;
+}
+
+function getSmsAdapter(name = env.SMS_ADAPTER) {
+  const a = adapters[name];
+  if (!a) throw new Error(`Unknown SMS adapter: ${name}`);
+  return { name, ...a };
+}
+
+module.exports = { smsSegments, normalizePhone, registerSmsAdapter, getSmsAdapter, fakeSmsSent: sent };
@@ -0,0 +1,19 @@
+// Sub-route stop sequence helpers shared by the admin API, PDFs and the EMP view.
+
+// ORDER BY fragment for a sub_routes alias: stop sequence first, unordered stops by name
+function stopOrderSql(alias = "sr") {
+  return `${alias}.stop_order NULLS LAST, ${alias}.sub_name NULLS LAST`;
+}
+
+/**
+ * Estimated time at a stop: the shift time (request_time, "HH:MM[:SS]") plus the stop's
+ * minutes from departure. Returns "HH:MM" or null when either part is missing.
+ */
+function stopEta(requestTime, offsetMinutes) {
+  if (!requestTime || offsetMinutes === null || offsetMinutes === undefined) return null;
+  const [h, m] = String(requestTime).split(":").map(Number);
+  const total = (h * 60 + m + Number(offsetMinutes)) % (24 * 60);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+module.exports = { stopOrderSql, stopEta };
@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { DateTime } = require("luxon");
+const { env } = require("../config/env");
+const { query, withTransaction } = require("../db/pool");
+const { httpError } = require("../utils/httpError");
+
+function signAccessToken(u) {
+  const payload = {
+    user_id: u.id,
+    role: u.role,
+    status: u.status,
+    department_id: u.department_id,
+    employee_id: u.employee_id
+  };
+  return jwt.sign(payload, env.JWT_SECRET, { expiresIn: env.ACCESS_TOKEN_TTL });
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function insertRefreshToken(db, userId, meta = {}) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const expiresAt = DateTime.utc().plus({ days: env.REFRESH_TOKEN_TTL_DAYS }).toISO();
+  const r = await db.query(
+    "INSERT INTO refresh_tokens (user_id, token_hash, expires_at, created_ip, user_agent) VALUES ($1,$2,$3,$4,$5) RETURNING id",
+    [userId, hashRefreshToken(token), expiresAt, meta.ip || null, meta.userAgent || null]
+  );
+  return { id: r.rows[0].id, token };
+}
+
+/**
+ * Issue an access token + a new refresh token for a user (login).
+ * Returns the public token bundle sent to the client.
+ */
+async function issueTokens(u, meta = {}) {
+  const refresh = await insertRefreshToken({ query }, u.id, meta);
+  return { token: signAccessToken(u), refresh_token: refresh.token, expires_in: env.ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Exchange a refresh token for a new pair. The presented token is revoked and linked to its
+ * replacement. Presenting an already-revoked token is treated as theft: every refresh token
+ * of that user is revoked.
+ */
+async function rotateRefreshToken(token, meta = {}) {
+  const tokenHash = hashRefreshToken(token);
+
+  const result = await withTransaction(async (tx) => {
+    const r = await tx.query(
+      `SELECT rt.id, rt.user_id, rt.expires_at, rt.revoked_at,
+              u.id AS uid, u.role, u.status, u.department_id, u.employee_id
+       FROM refresh_tokens rt
+       JOIN users u ON u.id = rt.user_id
+       WHERE rt.token_hash=$1
+       FOR UPDATE OF rt`,
+      [tokenHash]
+    );
+    if (r.rowCount === 0) throw httpError(401, "Invalid refresh token");
+    const row = r.rows[0];
+
+    if (row.revoked_at) {
+      await tx.query("UPDATE refresh_tokens SET revoked_at=NOW() WHERE user_id=$1 AND revoked_at IS NULL", [row.user_id]);
+      return { reused: true };
+    }
+    if (new Date(row.expires_at) <= new Date()) throw httpError(401, "Refresh token expired");
+    if (row.status !== "ACTIVE") {
+      await tx.query("UPDATE refresh_tokens SET revoked_at=NOW() WHERE user_id=$1 AND revoked_at IS NULL", [row.user_id]);
+      return { inactive: true };
+    }
+
+    const next = await insertRefreshToken(tx, row.user_id, meta);
+    await tx.query("UPDATE refresh_tokens SET revoked_at=NOW(), replaced_by_id=$2 WHERE id=$1", [row.id, next.id]);
+
+    const u = { id: row.uid, role: row.role, status: row.status, department_id: row.department_id, employee_id: row.employee_id };
+    return { user: u, refresh: next };
+  });
+
+  // Thrown outside the transaction so the revocations above are committed
+  if (result.reused) throw httpError(401, "Refresh token already used");
+  if (result.inactive) throw httpError(403, "Account not active");
+
+  return {
+    token: signAccessToken(result.user),
+    refresh_token: result.refresh.token,
+    expires_in: env.ACCESS_TOKEN_TTL,
+    role: result.user.role
+  };
+}
+
+async function revokeRefreshToken(token) {
+  const r = await query(
+    "UPDATE refresh_tokens SET revoked_at=NOW() WHERE token_hash=$1 AND revoked_at IS NULL RETURNING user_id",
+    [hashRefreshToken(token)]
+  );
+  return r.rowCount ? r.rows[0].user_id : null;
+}
+
+async function revokeAllRefreshTokens(db, userId) {
+  await (db || { query }).query("UPDATE refresh_tokens SET revoked_at=NOW() WHERE user_id=$1 AND revoked_at IS NULL", [userId]);
+}
+
+module.exports = { signAccessToken, issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllRefreshTokens };
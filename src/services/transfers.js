@@ -0,0 +1,137 @@
+const { DateTime } = require("luxon");
+const { httpError } = require("../utils/httpError");
+
+// Employee department moves. employee_department_history keeps dated rows for every
+// department an employee has moved out of or into, so reports can attribute a past trip to
+// the department the employee belonged to on that day (departmentAsOfSql).
+
+const TRANSFER_STATUSES = ["PENDING", "ACCEPTED", "REJECTED", "CANCELLED"];
+
+/**
+ * SQL expression for an employee's department on a date. Employees that never moved have
+ * no history rows and fall back to employees.department_id.
+ */
+function departmentAsOfSql(employeeAlias, dateSql) {
+  return `COALESCE((
+    SELECT h.department_id FROM employee_department_history h
+    WHERE h.employee_id = ${employeeAlias}.id
+      AND h.valid_from <= ${dateSql} AND (h.valid_to IS NULL OR h.valid_to >= ${dateSql})
+    ORDER BY h.valid_from DESC LIMIT 1
+  ), ${employeeAlias}.department_id)`;
+}
+
+/**
+ * Move an employee to another department from today (Asia/Colombo): closes the current
+ * history row, opens a new one, updates employees/users and drops the employee from the
+ * old department's recurring schedules. Call inside a transaction.
+ */
+async function applyDepartmentChange(tx, { employeeId, toDepartmentId, transferId = null }) {
+  const e = await tx.query(
+    "SELECT id, department_id, created_at::date AS created_on FROM employees WHERE id=$1 FOR UPDATE",
+    [employeeId]
+  );
+  if (e.rowCount === 0) throw httpError(404, "Employee not found");
+  const fromDepartmentId = e.rows[0].department_id;
+  if (fromDepartmentId === toDepartmentId) return null;
+
+  const today = DateTime.now().setZone("Asia/Colombo").toISODate();
+
+  const open = await tx.query(
+    "SELECT id, valid_from >= $2::date AS starts_today FROM employee_department_history WHERE employee_id=$1 AND valid_to IS NULL",
+    [employeeId, today]
+  );
+  if (open.rowCount === 0) {
+    // First move: record the department the employee had until now
+    await tx.query(
+      `INSERT INTO employee_department_history (employee_id, department_id, valid_from, valid_to)
+       VALUES ($1,$2,LEAST($3::date, $4::date - 1),$4::date - 1)`,
+      [employeeId, fromDepartmentId, e.rows[0].created_on, today]
+    );
+  } else if (open.rows[0].starts_today) {
+    // Moved again on the same day: the row opened today never applied to a full day
+    await tx.query("DELETE FROM employee_department_history WHERE id=$1", [open.rows[0].id]);
+  } else {
+    await tx.query("UPDATE employee_department_history SET valid_to=$2::date - 1 WHERE id=$1", [open.rows[0].id, today]);
+  }
+  await tx.query(
+    "INSERT INTO employee_department_history (employee_id, department_id, valid_from, transfer_id) VALUES ($1,$2,$3,$4)",
+    [employeeId, toDepartmentId, today, transferId]
+  );
+
+  await tx.query("UPDATE employees SET department_id=$2 WHERE id=$1", [employeeId, toDepartmentId]);
+  await tx.query("UPDATE users SET department_id=$2 WHERE employee_id=$1 AND role='EMP'", [employeeId, toDepartmentId]);
+  await tx.query(
+    `DELETE FROM transport_schedule_employees se
+     USING transport_schedules s
+     WHERE se.schedule_id = s.id AND se.employee_id=$1 AND s.department_id <> $2`,
+    [employeeId, toDepartmentId]
+  );
+  return { from_department_id: fromDepartmentId, to_department_id: toDepartmentId, effective_date: today };
+}
+
+/** Start a transfer (source HOD or Admin). The target department's HOD accepts it. */
+async function createTransfer(tx, { employeeId, toDepartmentId, userId, reason = null, fromDepartmentId = null }) {
+  const e = await tx.query("SELECT id, department_id FROM employees WHERE id=$1 FOR UPDATE", [employeeId]);
+  if (e.rowCount === 0) throw httpError(404, "Employee not found");
+  if (fromDepartmentId && e.rows[0].department_id !== fromDepartmentId) throw httpError(404, "Employee not found");
+  if (e.rows[0].department_id === toDepartmentId) throw httpError(400, "Employee is already in that department");
+
+  const dep = await tx.query("SELECT id FROM departments WHERE id=$1", [toDepartmentId]);
+  if (dep.rowCount === 0) throw httpError(400, "Invalid department");
+
+  const pending = await tx.query("SELECT id FROM employee_transfers WHERE employee_id=$1 AND status='PENDING'", [employeeId]);
+  if (pending.rowCount > 0) throw httpError(409, "A transfer is already pending for this employee");
+
+  const t = await tx.query(
+    `INSERT INTO employee_transfers (employee_id, from_department_id, to_department_id, reason, requested_by_user_id)
+     VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+    [employeeId, e.rows[0].department_id, toDepartmentId, reason, userId]
+  );
+  return t.rows[0].id;
+}
+
+/** Lock a PENDING transfer for a decision. */
+async function lockPendingTransfer(tx, transferId) {
+  const t = await tx.query("SELECT * FROM employee_transfers WHERE id=$1 FOR UPDATE", [transferId]);
+  if (t.rowCount === 0) throw httpError(404, "Transfer not found");
+  if (t.rows[0].status !== "PENDING") throw httpError(400, `Transfer is already ${t.rows[0].status.toLowerCase()}`);
+  return t.rows[0];
+}
+
+/** Close a PENDING transfer as ACCEPTED (moving the employee), REJECTED or CANCELLED. */
+async function decideTransfer(tx, transfer, { status, userId, comment = null }) {
+  if (status === "ACCEPTED") {
+    const cur = await tx.query("SELECT department_id FROM employees WHERE id=$1", [transfer.employee_id]);
+    if (cur.rowCount === 0 || cur.rows[0].department_id !== transfer.from_department_id) {
+      throw httpError(409, "Employee is no longer in the source department");
+    }
+    await applyDepartmentChange(tx, { employeeId: transfer.employee_id, toDepartmentId: transfer.to_department_id, transferId: transfer.id });
+  }
+  await tx.query(
+    "UPDATE employee_transfers SET status=$2, decided_by_user_id=$3, decided_at=NOW(), decision_comment=$4 WHERE id=$1",
+    [transfer.id, status, userId, comment]
+  );
+}
+
+const TRANSFER_SELECT = `
+  SELECT t.id, t.employee_id, e.emp_no, e.full_name, t.status, t.reason,
+         t.from_department_id, fd.name AS from_department_name,
+         t.to_department_id, td.name AS to_department_name,
+         t.requested_by_user_id, ru.email AS requested_by_email, t.created_at,
+         t.decided_by_user_id, du.email AS decided_by_email, t.decided_at, t.decision_comment
+  FROM employee_transfers t
+  JOIN employees e ON e.id = t.employee_id
+  JOIN departments fd ON fd.id = t.from_department_id
+  JOIN departments td ON td.id = t.to_department_id
+  LEFT JOIN users ru ON ru.id = t.requested_by_user_id
+  LEFT JOIN users du ON du.id = t.decided_by_user_id`;
+
+module.exports = {
+  TRANSFER_STATUSES,
+  TRANSFER_SELECT,
+  departmentAsOfSql,
+  applyDepartmentChange,
+  createTransfer,
+  lockPendingTransfer,
+  decideTransfer
+};
@@ -0,0 +1,87 @@
+const { stopOrderSql, stopEta } = require("./stops");
+const { enqueueSms } = require("./notifications");
+
+// Trip SMS after HR final approval: each driver gets the route, stop list and headcount of
+// their vehicle; each employee with a phone gets the vehicle and driver (as /emp/today-transport).
+// Opted-out employees are left out. Queued in the caller's transaction through the outbox.
+
+/** Queue driver and employee SMS for a final-approved run. Returns { drivers, employees } queued. */
+async function queueTripSms(tx, requestId) {
+  const run = await tx.query(
+    "SELECT to_char(request_date, 'YYYY-MM-DD') AS date, to_char(request_time, 'HH24:MI') AS shift FROM transport_requests WHERE id=$1",
+    [requestId]
+  );
+  if (run.rowCount === 0) return { drivers: 0, employees: 0 };
+  const { date, shift } = run.rows[0];
+
+  const assignments = await tx.query(
+    `SELECT ra.id, ra.route_id, ra.vehicle_id, v.vehicle_no, r.route_no, r.route_name,
+            COALESCE(d.full_name, ra.driver_name) AS driver_name, COALESCE(d.phone, ra.driver_phone) AS driver_phone
+     FROM request_assignments ra
+     JOIN vehicles v ON v.id = ra.vehicle_id
+     LEFT JOIN routes r ON r.id = ra.route_id
+     LEFT JOIN drivers d ON d.id = ra.driver_id
+     WHERE ra.request_id=$1
+     ORDER BY ra.id`,
+    [requestId]
+  );
+  const passengers = await tx.query(
+    `SELECT e.id AS employee_id, e.full_name, e.phone,
+            (SELECT u.id FROM users u WHERE u.employee_id = e.id AND u.status='ACTIVE' ORDER BY u.id LIMIT 1) AS user_id,
+            tre.effective_route_id AS route_id, tre.assigned_vehicle_id,
+            sr.sub_name, sr.stop_offset_minutes
+     FROM transport_request_employees tre
+     JOIN employees e ON e.id = tre.employee_id
+     LEFT JOIN sub_routes sr ON sr.id = tre.effective_sub_route_id
+     WHERE tre.request_id=$1 AND tre.opted_out_at IS NULL
+     ORDER BY ${stopOrderSql("sr")}, e.full_name`,
+    [requestId]
+  );
+
+  // Seated employees ride their vehicle; anyone not seated rides every vehicle on their route
+  const ridesWith = (p, a) => (p.assigned_vehicle_id ? p.assigned_vehicle_id === a.vehicle_id : p.route_id === a.route_id);
+  const stopLabel = (p) => (p.sub_name ? [p.sub_name, stopEta(shift, p.stop_offset_minutes)].filter(Boolean).join(" ") : null);
+
+  const counts = { drivers: 0, employees: 0 };
+  for (const a of assignments.rows) {
+    if (!a.driver_phone) continue;
+    const onBoard = passengers.rows.filter(p => ridesWith(p, a));
+    // Stops in order with the number of passengers boarding there
+    const stops = [];
+    for (const p of onBoard) {
+      const label = stopLabel(p) || "-";
+      const last = stops[stops.length - 1];
+      if (last && last.label === label) last.count += 1;
+      else stops.push({ label, count: 1 });
+    }
+    const sent = await enqueueSms(tx, "driver_trip", { phone: a.driver_phone, name: a.driver_name }, {
+      request_id: requestId,
+      date,
+      shift,
+      route: a.route_no ? `${a.route_no} ${a.route_name || ""}`.trim() : "-",
+      vehicle_no: a.vehicle_no,
+      headcount: onBoard.length,
+      stops: stops.map(s => `${s.label} (${s.count})`)
+    });
+    if (sent) counts.drivers += 1;
+  }
+
+  for (const p of passengers.rows) {
+    if (!p.phone) continue;
+    const a = assignments.rows.find(x => ridesWith(p, x));
+    if (!a) continue;
+    const sent = await enqueueSms(tx, "employee_trip", { phone: p.phone, name: p.full_name, user_id: p.user_id }, {
+      request_id: requestId,
+      date,
+      shift,
+      vehicle_no: a.vehicle_no,
+      driver_name: a.driver_name,
+      driver_phone: a.driver_phone,
+      stop: stopLabel(p)
+    });
+    if (sent) counts.employees += 1;
+  }
+  return counts;
+}
+
+module.exports = { queueTripSms };
@@ -0,0 +1,284 @@
+const crypto = require("crypto");
+const { query } = require("../db/pool");
+const { env } = require("../config/env");
+const { stopOrderSql, stopEta } = require("./stops");
+const { retryDelayMinutes } = require("./notifications");
+const { departmentAsOfSql } = require("./transfers");
+
+// Outbound webhooks for gate security / payroll. Admin subscribes a URL to event types; callers
+// enqueue inside their own transaction (one delivery row per matching subscription) and a
+// background worker POSTs the JSON with retries, keeping every attempt's result in the log.
+//
+// Each request carries:
+//   X-Webhook-Event      event type
+//   X-Webhook-Id         event id (same for every subscription; use it to de-duplicate)
+//   X-Webhook-Delivery   delivery id (GET /admin/webhooks/deliveries)
+//   X-Webhook-Timestamp  unix seconds
+//   X-Webhook-Signature  "sha256=" + hex HMAC-SHA256(secret, `${timestamp}.${body}`)
+
+const WEBHOOK_EVENTS = ["run.locked", "run.final_approved", "employee.created", "request.rejected"];
+const DELIVERY_STATUSES = ["PENDING", "SENDING", "SENT", "FAILED"];
+const STALE_SENDING_MINUTES = 10;
+const RESPONSE_BODY_MAX = 1000;
+
+let timer = null;
+let kickTimer = null;
+let running = null;
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Queue `event` for every active subscription to it (or only `subscriptionId`, e.g. a ping).
+ * Use the caller's transaction as db. Returns the number of deliveries queued.
+ */
+async function enqueueWebhook(db, event, data, { subscriptionId = null } = {}) {
+  const subs = await db.query(
+    `SELECT id FROM webhook_subscriptions
+     WHERE is_active AND ($2::int IS NOT NULL OR $1 = ANY(event_types)) AND ($2::int IS NULL OR id=$2)
+     ORDER BY id`,
+    [event, subscriptionId]
+  );
+  if (subs.rowCount === 0) return 0;
+
+  const payload = { id: `evt_${crypto.randomUUID()}`, event, created_at: new Date().toISOString(), data };
+  for (const s of subs.rows) {
+    await db.query(
+      "INSERT INTO webhook_deliveries (subscription_id, event, payload, max_attempts) VALUES ($1,$2,$3,$4)",
+      [s.id, event, JSON.stringify(payload), env.WEBHOOK_MAX_ATTEMPTS]
+    );
+  }
+  kickWebhooks();
+  return subs.rowCount;
+}
+
+/** Whether any active subscription wants `event` (skip building a costly payload when not). */
+async function hasWebhookSubscribers(db, event) {
+  const r = await db.query("SELECT 1 FROM webhook_subscriptions WHERE is_active AND $1 = ANY(event_types) LIMIT 1", [event]);
+  return r.rowCount > 0;
+}
+
+/** Employee as sent in employee.created (department and default route resolved). */
+async function employeeWebhookData(db, employeeId) {
+  const r = await db.query(
+    `SELECT e.id AS employee_id, e.emp_no, e.full_name, e.department_id, d.name AS department,
+            r.route_no AS default_route_no, sr.sub_name AS default_sub_route, e.is_active
+     FROM employees e
+     LEFT JOIN departments d ON d.id = e.department_id
+     LEFT JOIN routes r ON r.id = e.default_route_id
+     LEFT JOIN sub_routes sr ON sr.id = e.default_sub_route_id
+     WHERE e.id=$1`,
+    [employeeId]
+  );
+  return r.rows[0] || null;
+}
+
+/** employee.created for a new (or newly activated) employee; source: hod | import | registration. */
+async function enqueueEmployeeCreated(db, employeeId, source) {
+  const employee = await employeeWebhookData(db, employeeId);
+  if (!employee) return 0;
+  return enqueueWebhook(db, "employee.created", { source, ...employee });
+}
+
+/**
+ * Full manifest of a daily run for run.final_approved: every vehicle with its driver and seated
+ * passengers, employees on the run not seated in a vehicle, and employees who opted out.
+ */
+async function runManifest(db, requestId) {
+  const run = await db.query(
+    "SELECT id, to_char(request_date, 'YYYY-MM-DD') AS date, to_char(request_time, 'HH24:MI') AS shift, status FROM transport_requests WHERE id=$1",
+    [requestId]
+  );
+  if (run.rowCount === 0) return null;
+  const { date, shift, status } = run.rows[0];
+
+  const assignments = await db.query(
+    `SELECT ra.vehicle_id, v.vehicle_no, COALESCE(v.registration_no, v.vehicle_no) AS registration_no, v.fleet_no,
+            r.id AS route_id, r.route_no, r.route_name,
+            COALESCE(d.full_name, ra.driver_name) AS driver_name, COALESCE(d.phone, ra.driver_phone) AS driver_phone,
+            ra.trip_km, COALESCE(ra.overbook_amount, 0) AS overbook_amount
+     FROM request_assignments ra
+     JOIN vehicles v ON v.id = ra.vehicle_id
+     LEFT JOIN routes r ON r.id = ra.route_id
+     LEFT JOIN drivers d ON d.id = ra.driver_id
+     WHERE ra.request_id=$1
+     ORDER BY r.route_no, ra.id`,
+    [requestId]
+  );
+  const employees = await db.query(
+    `SELECT e.id AS employee_id, e.emp_no, e.full_name, dep.name AS department,
+            tre.effective_route_id AS route_id, r.route_no, sr.sub_name AS sub_route, sr.stop_offset_minutes,
+            tre.assigned_vehicle_id, tre.opted_out_at, tre.opt_out_reason
+     FROM transport_request_employees tre
+     JOIN transport_requests tr ON tr.id = tre.request_id
+     JOIN employees e ON e.id = tre.employee_id
+     LEFT JOIN departments dep ON dep.id = ${departmentAsOfSql("e", "tr.request_date")}
+     LEFT JOIN routes r ON r.id = tre.effective_route_id
+     LEFT JOIN sub_routes sr ON sr.id = tre.effective_sub_route_id
+     WHERE tre.request_id=$1
+     ORDER BY ${stopOrderSql("sr")}, e.full_name`,
+    [requestId]
+  );
+
+  const person = (e) => ({
+    employee_id: e.employee_id,
+    emp_no: e.emp_no,
+    full_name: e.full_name,
+    department: e.department,
+    route_no: e.route_no,
+    sub_route: e.sub_route,
+    estimated_time: stopEta(shift, e.stop_offset_minutes)
+  });
+  const riding = employees.rows.filter(e => !e.opted_out_at);
+  const vehicleIds = new Set(assignments.rows.map(a => a.vehicle_id));
+
+  return {
+    request_id: requestId,
+    date,
+    shift,
+    status,
+    vehicles: assignments.rows.map(a => ({
+      vehicle_no: a.vehicle_no,
+      registration_no: a.registration_no,
+      fleet_no: a.fleet_no,
+      route: a.route_id ? { route_no: a.route_no, route_name: a.route_name } : null,
+      driver_name: a.driver_name,
+      driver_phone: a.driver_phone,
+      trip_km: a.trip_km === null ? null : Number(a.trip_km),
+      overbook_amount: a.overbook_amount,
+      passengers: riding.filter(e => e.assigned_vehicle_id === a.vehicle_id).map(person)
+    })),
+    unassigned: riding.filter(e => !vehicleIds.has(e.assigned_vehicle_id)).map(person),
+    opted_out: employees.rows.filter(e => e.opted_out_at).map(e => ({ ...person(e), reason: e.opt_out_reason })),
+    totals: { employees: riding.length, opted_out: employees.rowCount - riding.length, vehicles: assignments.rowCount }
+  };
+}
+
+async function deliver(d) {
+  const body = JSON.stringify(d.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const res = await fetch(d.url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "user-agent": "transport-request-webhooks/1",
+      "x-webhook-event": d.event,
+      "x-webhook-id": d.payload.id,
+      "x-webhook-delivery": String(d.id),
+      "x-webhook-timestamp": String(timestamp),
+      "x-webhook-signature": signPayload(d.secret, timestamp, body)
+    },
+    body,
+    redirect: "manual",
+    signal: AbortSignal.timeout(env.WEBHOOK_TIMEOUT_MS)
+  });
+  const text = await res.text().catch(() => "");
+  return { ok: res.ok, status: res.status, body: text.slice(0, RESPONSE_BODY_MAX), ms: Date.now() - started };
+}
+
+/** Send due deliveries. Returns { sent, failed, retrying }. */
+async function processWebhooks({ limit = 20 } = {}) {
+  const claimed = await query(
+    `UPDATE webhook_deliveries wd SET status='SENDING', attempts=attempts+1, locked_at=NOW()
+     FROM webhook_subscriptions s
+     WHERE s.id = wd.subscription_id AND wd.id IN (
+       SELECT id FROM webhook_deliveries
+       WHERE (status='PENDING' AND next_attempt_at <= NOW())
+          OR (status='SENDING' AND locked_at < NOW() - make_interval(mins => $2))
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING wd.id, wd.event, wd.payload, wd.attempts, wd.max_attempts, s.url, s.secret, s.is_active`,
+    [limit, STALE_SENDING_MINUTES]
+  );
+
+  const counts = { sent: 0, failed: 0, retrying: 0 };
+  for (const d of claimed.rows) {
+    let result = null;
+    let error = null;
+    if (!d.is_active) {
+      error = "Subscription is inactive";
+    } else {
+      try {
+        result = await deliver(d);
+        if (!result.ok) error = `HTTP ${result.status}`;
+      } catch (e) {
+        error = e.name === "TimeoutError" ? `Timed out after ${env.WEBHOOK_TIMEOUT_MS} ms` : String(e.message || e);
+      }
+    }
+
+    if (!error) {
+      await query(
+        `UPDATE webhook_deliveries SET status='SENT', sent_at=NOW(), locked_at=NULL, last_error=NULL,
+                response_status=$2, response_body=$3, duration_ms=$4
+         WHERE id=$1`,
+        [d.id, result.status, result.body, result.ms]
+      );
+      counts.sent += 1;
+      continue;
+    }
+    const giveUp = !d.is_active || d.attempts >= d.max_attempts;
+    await query(
+      `UPDATE webhook_deliveries
+       SET status=$2, last_error=$3, locked_at=NULL, response_status=$4, response_body=$5, duration_ms=$6,
+           next_attempt_at = NOW() + make_interval(mins => $7)
+       WHERE id=$1`,
+      [d.id, giveUp ? "FAILED" : "PENDING", error.slice(0, 500), result ? result.status : null, result ? result.body : null,
+        result ? result.ms : null, retryDelayMinutes(d.attempts)]
+    );
+    if (giveUp) counts.failed += 1;
+    else counts.retrying += 1;
+  }
+  return counts;
+}
+
+// One pass at a time; overlapping calls share the running pass
+function runWebhooks() {
+  if (!running) {
+    running = processWebhooks()
+      .then((c) => {
+        if (c.sent || c.failed || c.retrying) console.log("[webhooks] deliveries:", JSON.stringify(c));
+      })
+      .catch((e) => console.error("[webhooks] delivery pass failed:", e.message))
+      .finally(() => { running = null; });
+  }
+  return running;
+}
+
+/** Deliver soon after the enqueuing transaction commits instead of waiting for the next poll. */
+function kickWebhooks() {
+  if (!timer || kickTimer) return;
+  kickTimer = setTimeout(() => {
+    kickTimer = null;
+    runWebhooks();
+  }, 1000);
+  kickTimer.unref();
+}
+
+function startWebhookWorker() {
+  if (timer) return;
+  timer = setInterval(runWebhooks, Math.max(5, env.WEBHOOK_POLL_SECONDS) * 1000);
+  timer.unref();
+  runWebhooks();
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  generateSecret,
+  signPayload,
+  enqueueWebhook,
+  hasWebhookSubscribers,
+  enqueueEmployeeCreated,
+  runManifest,
+  processWebhooks,
+  kickWebhooks,
+  startWebhookWorker
+};
@@ -0,0 +1,46 @@
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, "" escapes, CRLF/LF line endings.
+ * Returns an array of rows (arrays of trimmed strings); blank lines are dropped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field.trim()); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field.trim()); field = "";
+      if (row.some(v => v !== "")) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field.trim());
+  if (row.some(v => v !== "")) rows.push(row);
+  return rows;
+}
+
+function csvField(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Rows (arrays of values) to CSV text with CRLF line endings; null/undefined become empty. */
+function toCsv(rows) {
+  return rows.map(r => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,5 @@
+// Escape user-entered text before putting it into an email body
+function escapeHtml(v) {
+  return String(v).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+module.exports = { escapeHtml };
@@ -0,0 +1,9 @@
+// "col=$n" for each listed column present in body (undefined = keep); values are appended to params
+function setClauses(body, columns, params) {
+  return columns.filter(col => body[col] !== undefined).map(col => {
+    params.push(body[col]);
+    return `${col}=$${params.length}`;
+  });
+}
+
+module.exports = { setClauses };
@@ -1,4 +1,10 @@
-const { ZodError } = require("zod");
+const { z, ZodError } = require("zod");
+const { DateTime } = require("luxon");
+
+// YYYY-MM-DD that is also a real calendar day (2027-02-30 would reach Postgres and fail there)
+const isoDate = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/)
+  .refine(v => DateTime.fromISO(v).isValid, "Invalid date");
 
 function validate(schema) {
   return (req, res, next) => {
@@ -23,4 +29,4 @@ function validate(schema) {
   };
 }
 
-module.exports = { validate };
+module.exports = { validate, isoDate };